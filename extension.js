@@ -151,6 +151,9 @@ class NetworkMapperViewProvider {
         case 'openTopologyViewer':
           vscode.commands.executeCommand('networkMapper.openTopologyViewer');
           break;
+        case 'openTemplatePlayground':
+          vscode.commands.executeCommand('networkMapper.openTemplatePlayground');
+          break;
       }
     });
   }
@@ -194,6 +197,7 @@ class NetworkMapperViewProvider {
       <h3>Network Mapper</h3>
       <button class="action-button" id="openDiscovery">Network Discovery</button>
       <button class="action-button" id="openTopology">View Topology</button>
+      <button class="action-button" id="openPlayground">Template Playground</button>
       <button class="action-button" id="openSettings">Settings</button>
       
       <script>
@@ -207,6 +211,10 @@ class NetworkMapperViewProvider {
           vscode.postMessage({ command: 'openTopologyViewer' });
         });
         
+        document.getElementById('openPlayground').addEventListener('click', () => {
+          vscode.postMessage({ command: 'openTemplatePlayground' });
+        });
+        
         document.getElementById('openSettings').addEventListener('click', () => {
           vscode.postMessage({ command: 'openSettings' });
         });
@@ -461,6 +469,41 @@ function activate(context) {
     context.subscriptions.push(viewTopologyVisualizationCommand);
     console.log('Registered networkMapper.viewTopologyVisualization command');
     
+    // Register the TextFSM template playground command
+    let openTemplatePlayground = vscode.commands.registerCommand(
+      'networkMapper.openTemplatePlayground',
+      function() {
+        try {
+          const TemplatePlaygroundPanel = require('./templatePlaygroundPanel');
+          TemplatePlaygroundPanel.createOrShow(context, settingsManager);
+        } catch (err) {
+          console.error('Error opening Template Playground:', err);
+          vscode.window.showErrorMessage(`Error opening Template Playground: ${err.message}`);
+        }
+      }
+    );
+    
+    context.subscriptions.push(openTemplatePlayground);
+    console.log('Registered networkMapper.openTemplatePlayground command');
+    
+    // Review, accept or revoke the SSH host keys discovery pinned or refused
+    try {
+      const { registerHostKeyCommands } = require('./hostKeyCommands');
+      registerHostKeyCommands(context, settingsManager);
+      console.log('Registered networkMapper.manageHostKeys command');
+    } catch (err) {
+      console.error('Error registering host key commands:', err);
+    }
+    
+    // TextFSM language support: diagnostics and completion for .textfsm files
+    try {
+      const { registerTextFsmLanguage } = require('./textfsmLanguage');
+      registerTextFsmLanguage(context);
+      console.log('Registered TextFSM language support');
+    } catch (err) {
+      console.error('Error registering TextFSM language support:', err);
+    }
+    
   } catch (err) {
     console.error('Error during extension activation:', err);
     vscode.window.showErrorMessage(`Failed to activate Network Mapper: ${err.message}`);
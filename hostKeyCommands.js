@@ -0,0 +1,122 @@
+// hostKeyCommands.js
+const vscode = require('vscode');
+const path = require('path');
+const { HostKeyStore } = require('./lib/host-keys');
+
+const COMMAND_ID = 'networkMapper.manageHostKeys';
+
+const PENDING_LABELS = {
+  changed: 'key changed',
+  revoked: 'key revoked in known_hosts',
+  unknown: 'not yet trusted'
+};
+
+/**
+ * Quick pick entries: keys refused during discovery first, then pinned keys
+ * @param {HostKeyStore} store
+ * @returns {vscode.QuickPickItem[]}
+ */
+function hostKeyItems(store) {
+  const pending = Object.entries(store.pending).map(([hostId, entry]) => ({
+    label: `$(warning) ${hostId}`,
+    description: `${PENDING_LABELS[entry.status] || entry.status} - ${entry.keyType}`,
+    detail: entry.expected
+      ? `Offered ${entry.fingerprint}, trusted ${entry.expected} (seen ${entry.seenAt})`
+      : `Offered ${entry.fingerprint} (seen ${entry.seenAt})`,
+    hostId,
+    pending: true
+  }));
+  const pinned = Object.entries(store.hosts)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([hostId, entry]) => ({
+      label: `$(key) ${hostId}`,
+      description: entry.keyType,
+      detail: `${entry.fingerprint} (pinned ${entry.addedAt})`,
+      hostId,
+      pending: false
+    }));
+  return [...pending, ...pinned];
+}
+
+async function reviewPending(store, item) {
+  const entry = store.pending[item.hostId];
+  const choice = await vscode.window.showQuickPick([
+    { label: 'Accept', description: 'Trust this key for the host from now on', action: 'accept' },
+    { label: 'Discard', description: 'Keep refusing it; the next refusal is listed again', action: 'discard' }
+  ], { placeHolder: `${item.hostId}: ${entry.fingerprint}` });
+  if (!choice) {
+    return;
+  }
+
+  if (choice.action === 'discard') {
+    store.discard(item.hostId);
+    return;
+  }
+  // A changed key is what a man-in-the-middle looks like; make the user say so
+  if (entry.expected) {
+    const confirm = await vscode.window.showWarningMessage(
+      `The host key for ${item.hostId} changed from ${entry.expected} to ${entry.fingerprint}. ` +
+      'Accept it only if you know the device was replaced or re-keyed.',
+      { modal: true },
+      'Accept New Key'
+    );
+    if (!confirm) {
+      return;
+    }
+  }
+  store.accept(item.hostId);
+  vscode.window.showInformationMessage(`Pinned ${entry.fingerprint} for ${item.hostId}`);
+}
+
+async function reviewPinned(store, item) {
+  const entry = store.hosts[item.hostId];
+  const confirm = await vscode.window.showWarningMessage(
+    `Revoke the pinned key ${entry.fingerprint} for ${item.hostId}? ` +
+    'The next connection pins whatever key the host offers, or is refused with strict host key checking.',
+    { modal: true },
+    'Revoke'
+  );
+  if (confirm) {
+    store.revoke(item.hostId);
+    vscode.window.showInformationMessage(`Revoked the host key for ${item.hostId}`);
+  }
+}
+
+/**
+ * Register the command that reviews pinned SSH host keys and the keys
+ * discovery refused: accept a refused key, discard it, or revoke a pin
+ * @param {vscode.ExtensionContext} context
+ * @param {SettingsManager} settingsManager
+ */
+function registerHostKeyCommands(context, settingsManager) {
+  const storeFile = () => (settingsManager && settingsManager.getSetting('hostKeyFile')) ||
+    path.join(context.globalStorageUri.fsPath, 'host_keys.json');
+
+  context.subscriptions.push(vscode.commands.registerCommand(COMMAND_ID, async () => {
+    try {
+      const store = new HostKeyStore(storeFile());
+      const items = hostKeyItems(store);
+      if (items.length === 0) {
+        vscode.window.showInformationMessage('No SSH host keys have been pinned yet.');
+        return;
+      }
+
+      const item = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Select a host key to accept, discard or revoke',
+        matchOnDescription: true,
+        matchOnDetail: true
+      });
+      if (!item) {
+        return;
+      }
+      await (item.pending ? reviewPending(store, item) : reviewPinned(store, item));
+    } catch (err) {
+      console.error('Error managing host keys:', err);
+      vscode.window.showErrorMessage(`Error managing SSH host keys: ${err.message}`);
+    }
+  }));
+}
+
+module.exports = {
+  registerHostKeyCommands
+};
@@ -3,6 +3,11 @@ const net = require('net');
 const dns = require('dns');
 const { promisify } = require('util');
 const { SynchronousSSHClient, SSHClientOptions } = require('./ssh-client2.js');
+const { TelnetClient } = require('./telnet-client.js');
+const { JumpHostResolver } = require('./jump-host.js');
+const { HostKeyVerifier, HostKeyError } = require('./host-keys.js');
+const { CredentialSelector } = require('./credential-selector.js');
+const { expandSweepSpec, isSweepSpec, parseTargetList, normalizeIpAddress, parseCidr, cidrContains } = require('./ip-utils.js');
 
 // Promisify DNS lookup
 const dnsLookup = promisify(dns.lookup);
@@ -74,6 +79,12 @@ async function isReachable(host, port = 22, timeout = 6000) {
 // const path = require('path');
 const { EventEmitter } = require('events');
 const TextFSMModule = require('./tfsm.js');
+const { TTPTemplate } = require('./ttp.js');
+const { translatePythonRegex } = require('./regex-template.js');
+const { TemplateIndex } = require('./template-index.js');
+const { NeighborRecord, NEIGHBOR_REQUIRED_FIELDS } = require('./neighbor-record.js');
+const { SessionRecorder, CaptureBundle } = require('./session-capture.js');
+const { GENERIC_DRIVER, getDriver, listDrivers, detectFromBanner, detectFromVersion, versionCommands } = require('./device-drivers.js');
 const TextFSM = TextFSMModule.TextFSM;
 
 // Configure logging
@@ -162,9 +173,46 @@ writeLog('info', `Network Mapper crawl4.js starting - writing logs to: ${logFile
 // Set environment variables for template directories
 process.env.NET_TEXTFSM = process.env.NET_TEXTFSM || './templates/textfsm';
 
+// Bump when the checkpoint layout written by saveCheckpoint() changes
+const CHECKPOINT_VERSION = 1;
+
+// Raised inside a device discovery when the crawl's AbortSignal fires
+class DiscoveryCancelledError extends Error {
+  constructor(message = 'Discovery cancelled') {
+    super(message);
+    this.name = 'DiscoveryCancelledError';
+  }
+}
+
 class ParseMethod {
   static TEXTFSM = 'TEXTFSM';
   static REGEX = 'REGEX';
+  static TTP = 'TTP';
+}
+
+// Progress events emitted by NetworkDiscovery. Every payload carries a
+// `counters` snapshot ({ total, successful, failed, pending, inFlight }).
+class DiscoveryEvent {
+  static HOP_STARTED = 'hopStarted';                   // { hop, devices }
+  static DEVICE_STARTED = 'deviceStarted';             // { hop, device }
+  static DEVICE_CONNECTED = 'deviceConnected';         // { hop, device, username, connectedIp, transport }
+  static DEVICE_FAILED = 'deviceFailed';               // { hop, device, reason, message }
+  static NEIGHBORS_FOUND = 'neighborsFound';           // { hop, device, neighbors }
+  static HOP_COMPLETED = 'hopCompleted';               // { hop, devices, nextHopCount }
+  static DISCOVERY_COMPLETED = 'discoveryCompleted';   // { status, devices, outputFile }
+  static SWEEP_PROGRESS = 'sweepProgress';             // { scanned, total, responsive }
+}
+
+// Reason codes carried by deviceFailed and stored on DiscoveredDevice.failureReason
+class FailureReason {
+  static UNREACHABLE = 'UNREACHABLE';
+  static AUTH_FAILED = 'AUTH_FAILED';
+  static TIMEOUT = 'TIMEOUT';
+  static ERROR = 'ERROR';
+  // The SSH host key differs from the pinned or known_hosts key, or is revoked
+  static HOST_KEY_CHANGED = 'HOST_KEY_CHANGED';
+  // Strict host key checking and the host's key is neither known nor pinned
+  static HOST_KEY_UNKNOWN = 'HOST_KEY_UNKNOWN';
 }
 
 class Credential {
@@ -173,18 +221,28 @@ class Credential {
     this.password = options.password || null;
     this.keyFile = options.keyFile || null;
     this.keyPassphrase = options.keyPassphrase || null;
+    // Authenticate with keys held by the running ssh-agent (Pageant on Windows)
+    this.useAgent = options.useAgent || false;
     this.port = options.port || 22;
     this.enablePassword = options.enablePassword || null;
     this.authPriority = options.authPriority || 0;
+    // CIDR blocks and hostname globs this credential is limited to (empty = any
+    // device); see lib/credential-selector.js
+    this.scope = options.scope || [];
   }
 }
 
 class ParseTemplate {
-  constructor(method, template, priority = 0, name = '') {
+  constructor(method, template, priority = 0, name = '', options = {}) {
     this.method = method;
     this.template = template;
     this.priority = priority;
     this.name = name || `${method}_${priority}`;
+    // Platform and command the template is registered for (null = any);
+    // source is the file path of templates resolved through a template index
+    this.platform = options.platform || null;
+    this.command = options.command || null;
+    this.source = options.source || null;
   }
 }
 
@@ -199,6 +257,7 @@ class DiscoveredDevice {
     this.visited = options.visited || false;
     this.failed = options.failed || false;
     this.errorMsg = options.errorMsg || null;
+    this.failureReason = options.failureReason || null;
     this.rawData = options.rawData || {};
     
     // Additional attributes
@@ -212,6 +271,10 @@ class DiscoveredDevice {
     this.hopCount = options.hopCount || 0;
     this.successfulCredentials = options.successfulCredentials || null;
     this.reachabilityStatus = options.reachabilityStatus || 'unknown';
+    // Privilege escalation outcome: 'not_needed', 'succeeded', 'failed' or 'no_enable_password'
+    this.enableStatus = options.enableStatus || null;
+    // 'ssh' or 'telnet': how the crawler logged in
+    this.transport = options.transport || null;
     this.lastUpdate = options.lastUpdate || new Date().toISOString();
     
     // Additional fields for better device info
@@ -224,10 +287,11 @@ class DiscoveredDevice {
 class ExtensibleParser {
   constructor() {
     this.templates = [];
+    this.templateIndex = null;
   }
 
-  addTemplate(method, template, priority = 0, name = '') {
-    this.templates.push(new ParseTemplate(method, template, priority, name));
+  addTemplate(method, template, priority = 0, name = '', options = {}) {
+    this.templates.push(new ParseTemplate(method, template, priority, name, options));
     // Sort by priority with TextFSM given preference
     this.templates.sort((a, b) => {
       if (a.method === ParseMethod.TEXTFSM && b.method !== ParseMethod.TEXTFSM) return -1;
@@ -239,9 +303,17 @@ class ExtensibleParser {
   parseRegex(text, pattern) {
     const results = [];
     try {
-      const regex = new RegExp(pattern, 'gmi');
+      // Loaded regex templates are compiled RegExps; copy so lastIndex starts at 0
+      const regex = pattern instanceof RegExp
+        ? new RegExp(pattern.source, pattern.flags)
+        : new RegExp(pattern, 'gmi');
+      const cleanedText = this._cleanText(text);
       let match;
-      while ((match = regex.exec(text)) !== null) {
+      while ((match = regex.exec(cleanedText)) !== null) {
+        if (match[0] === '') {
+          regex.lastIndex++;
+          continue;
+        }
         const groups = match.groups || {};
         results.push(groups);
       }
@@ -280,6 +352,106 @@ class ExtensibleParser {
     }
   }
 
+  parseTTP(text, template) {
+    try {
+      const parser = template instanceof TTPTemplate ? template : new TTPTemplate(template);
+      const result = parser.parse(this._cleanText(text));
+
+      for (const item of result) {
+        for (const key in item) {
+          if (typeof item[key] === 'string') {
+            item[key] = this._cleanValue(item[key]);
+          }
+        }
+      }
+
+      return result;
+    } catch (e) {
+      logger.error(`TTP parsing error: ${e.message}`);
+      logger.debug(`Error stack: ${e.stack}`);
+      return [];
+    }
+  }
+
+  // Split the optional "# priority, name" header (see templates/README.md)
+  // from a template file
+  _readTemplateHeader(content, fileName, defaultPriority) {
+    const header = content.match(/^#\s*(\d+)\s*,\s*(\S+)[^\n]*\n?/);
+    return {
+      priority: header ? parseInt(header[1], 10) : defaultPriority,
+      name: header ? header[2] : fileName.replace(/\.\w+$/, ''),
+      body: header ? content.slice(header[0].length) : content
+    };
+  }
+
+  // Files named the ntc-templates way, e.g.
+  // "arista_eos_show_lldp_neighbors_detail.ttp", are registered for that
+  // platform and command; other names apply to any output
+  _registrationFromFileName(fileName) {
+    const match = fileName.replace(/\.\w+$/, '').match(/^(.+?)_(show_.+)$/);
+    return match ? { platform: match[1], command: match[2].replace(/_/g, ' ') } : {};
+  }
+
+  // Load every *.ttp file in a directory. Without a header the file name is
+  // used with priority 50, after TextFSM and before the regex fallbacks.
+  loadTtpTemplates(ttpDir) {
+    const templates = [];
+    if (!ttpDir || !fs.existsSync(ttpDir)) {
+      logger.info(`No TTP template directory at ${ttpDir}`);
+      return templates;
+    }
+
+    for (const file of fs.readdirSync(ttpDir).filter(f => f.endsWith('.ttp')).sort()) {
+      const templatePath = path.join(ttpDir, file);
+      try {
+        const content = fs.readFileSync(templatePath, 'utf8');
+        const { priority, name } = this._readTemplateHeader(content, file, 50);
+        // Compile once here so template errors surface at load time
+        new TTPTemplate(content);
+        templates.push(new ParseTemplate(ParseMethod.TTP, content, priority, name,
+          this._registrationFromFileName(file)));
+        logger.info(`Loaded TTP template: ${file}`);
+      } catch (e) {
+        logger.error(`Error loading TTP template ${file}: ${e.message}`);
+      }
+    }
+
+    return templates;
+  }
+
+  // Load every *.regex file in a directory as a fallback template. Patterns
+  // are written for Python's re module and translated on load (see
+  // lib/regex-template.js); file priorities are offset so they always run
+  // after TextFSM and TTP templates.
+  loadRegexTemplates(regexDir, priorityOffset = 100) {
+    const templates = [];
+    if (!regexDir || !fs.existsSync(regexDir)) {
+      logger.info(`No regex template directory at ${regexDir}`);
+      return templates;
+    }
+
+    for (const file of fs.readdirSync(regexDir).filter(f => f.endsWith('.regex')).sort()) {
+      try {
+        const content = fs.readFileSync(path.join(regexDir, file), 'utf8');
+        const { priority, name, body } = this._readTemplateHeader(content, file, 0);
+        const { source, flags } = translatePythonRegex(body);
+        const allFlags = [...new Set(`gmi${flags}`)].join('');
+        templates.push(new ParseTemplate(
+          ParseMethod.REGEX,
+          new RegExp(source, allFlags),
+          priorityOffset + priority,
+          name,
+          this._registrationFromFileName(file)
+        ));
+        logger.info(`Loaded regex template: ${file}`);
+      } catch (e) {
+        logger.error(`Error loading regex template ${file}: ${e.message}`);
+      }
+    }
+
+    return templates;
+  }
+
   _cleanText(text) {
     if (typeof text !== 'string') {
       text = text.toString();
@@ -308,13 +480,8 @@ class ExtensibleParser {
   }
 
   
-_loadTemplatesFromDirectory(commands, textfsmDir) {
+_loadTemplatesFromDirectory(commands, textfsmDir, userDirs = []) {
   const templates = [];
-  const commandMap = {
-    'show cdp neighbors detail': 'cisco_ios_show_cdp_neighbors_detail.textfsm',
-    'show lldp neighbors detail': 'cisco_ios_show_lldp_neighbors_detail.textfsm',
-    'show lldp neighbor detail': 'arista_eos_show_lldp_neighbors_detail.textfsm'
-  };
 
   // Log all available templates
   try {
@@ -324,6 +491,32 @@ _loadTemplatesFromDirectory(commands, textfsmDir) {
     logger.error(`Error reading template directory: ${e.message}`);
   }
 
+  // Resolve through the ntc-templates style index when one exists; user
+  // directories come first so their rows override the shipped ones
+  if (this._loadTemplateIndex([...userDirs, textfsmDir])) {
+    for (const command of commands) {
+      for (const entry of this.templateIndex.find({ command })) {
+        for (const templatePath of entry.templatePaths) {
+          if (templates.some(t => t.source === templatePath)) {
+            continue;
+          }
+          const template = this._readTextFsmTemplate(templatePath, entry.platform);
+          if (template) {
+            templates.push(template);
+            logger.info(`Loaded TextFSM template: ${path.basename(templatePath)} (${entry.platform}) for command: ${command}`);
+          }
+        }
+      }
+    }
+    return templates;
+  }
+
+  const commandMap = {
+    'show cdp neighbors detail': 'cisco_ios_show_cdp_neighbors_detail.textfsm',
+    'show lldp neighbors detail': 'cisco_ios_show_lldp_neighbors_detail.textfsm',
+    'show lldp neighbor detail': 'arista_eos_show_lldp_neighbors_detail.textfsm'
+  };
+
   for (const command of commands) {
     for (const [pattern, templateFile] of Object.entries(commandMap)) {
       if (command.toLowerCase().includes(pattern)) {
@@ -352,7 +545,81 @@ _loadTemplatesFromDirectory(commands, textfsmDir) {
 
   return templates;
 }
-loadTextFsmTemplates(commands) {
+
+// Merge the index files found in the given directories into
+// this.templateIndex. Returns false when none of them has an index.
+_loadTemplateIndex(dirs) {
+  const seen = new Set();
+  const indexes = [];
+  for (const dir of dirs) {
+    const resolved = path.resolve(dir);
+    if (seen.has(resolved)) {
+      continue;
+    }
+    seen.add(resolved);
+    try {
+      const index = TemplateIndex.load(resolved);
+      if (index) {
+        logger.info(`Loaded template index from ${resolved} (${index.entries.length} rows)`);
+        indexes.push(index);
+      }
+    } catch (e) {
+      logger.error(`Error reading template index in ${resolved}: ${e.message}`);
+    }
+  }
+
+  this.templateIndex = indexes.length > 0 ? TemplateIndex.merge(indexes) : null;
+  return this.templateIndex !== null;
+}
+
+_readTextFsmTemplate(templatePath, platform = null) {
+  if (!fs.existsSync(templatePath)) {
+    logger.warning(`TextFSM template file not found: ${templatePath}`);
+    return null;
+  }
+  try {
+    return new ParseTemplate(
+      ParseMethod.TEXTFSM,
+      fs.readFileSync(templatePath, 'utf8'),
+      0,
+      path.basename(templatePath).replace('.textfsm', ''),
+      { platform, source: templatePath }
+    );
+  } catch (e) {
+    logger.error(`Error loading TextFSM template ${templatePath}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * TextFSM templates the index maps to a command, loading any that are not
+ * registered yet
+ * @param {Object} attributes - { command, platform, hostname }
+ * @returns {ParseTemplate[]}
+ */
+templatesFor(attributes) {
+  if (!this.templateIndex) {
+    return [];
+  }
+  const templates = [];
+  for (const entry of this.templateIndex.find(attributes)) {
+    for (const templatePath of entry.templatePaths) {
+      let template = this.templates.find(t => t.source === templatePath);
+      if (!template) {
+        template = this._readTextFsmTemplate(templatePath, entry.platform);
+        if (!template) {
+          continue;
+        }
+        this.addTemplate(template.method, template.template, template.priority, template.name,
+          { platform: template.platform, source: template.source });
+        template = this.templates.find(t => t.source === templatePath);
+      }
+      templates.push(template);
+    }
+  }
+  return templates;
+}
+loadTextFsmTemplates(commands, userDirs = []) {
   // Get textfsmDir with extra logging for debugging
   const textfsmDir = process.env.NET_TEXTFSM;
   logger.info(`Loading TextFSM templates from: ${textfsmDir}`);
@@ -369,60 +636,169 @@ loadTextFsmTemplates(commands) {
       logger.info(`Trying absolute path: ${absolutePath}`);
       if (fs.existsSync(absolutePath)) {
         logger.info(`Found template directory at absolute path: ${absolutePath}`);
-        return this._loadTemplatesFromDirectory(commands, absolutePath);
+        return this._loadTemplatesFromDirectory(commands, absolutePath, userDirs);
       }
     }
     return [];
   }
 
-  return this._loadTemplatesFromDirectory(commands, textfsmDir);
+  return this._loadTemplatesFromDirectory(commands, textfsmDir, userDirs);
 }
-  parse(text) {
+  /**
+   * Parse command output.
+   *
+   * Without options every template is tried in priority order and the first
+   * one with any results wins. With a platform and/or command only the
+   * templates registered for them are run (index rows, or templates named
+   * `<platform>_<command>`), and the one whose records best cover
+   * `requiredFields` wins; unregistered templates are a last resort.
+   * @param {string} text - Command output
+   * @param {Object} options - { platform, command, requiredFields }
+   * @returns {Object[]}
+   */
+  parse(text, options = {}) {
+    return this.parseBest(text, options).results;
+  }
+
+  /**
+   * Like parse(), but also reports the winning template
+   * @param {string} text - Command output
+   * @param {Object} options - { platform, command, requiredFields }; each
+   *   required field is a list of alternative column names
+   * @returns {{results: Object[], template: ParseTemplate|null, score: number|null}}
+   */
+  parseBest(text, { platform = null, command = null, requiredFields = [] } = {}) {
     logger.info(`PARSING - Total templates available: ${this.templates.length}`);
     
     const textfsmCount = this.templates.filter(t => t.method === ParseMethod.TEXTFSM).length;
     const regexCount = this.templates.filter(t => t.method === ParseMethod.REGEX).length;
+    const ttpCount = this.templates.filter(t => t.method === ParseMethod.TTP).length;
     
-    logger.info(`PARSING - Template methods count: TextFSM=${textfsmCount}, REGEX=${regexCount}`);
+    logger.info(`PARSING - Template methods count: TextFSM=${textfsmCount}, TTP=${ttpCount}, REGEX=${regexCount}`);
 
-    for (const template of this.templates) {
-      logger.info(`PARSING - Trying template: ${template.name}`);
+    if (!platform && !command) {
+      for (const template of this.templates) {
+        const results = this._runTemplate(text, template);
+        if (results.length > 0) {
+          logger.info(`PARSING - SUCCESS! Template ${template.name} produced results!`);
+          return { results, template, score: null };
+        }
+      }
+      logger.warning('PARSING - No parsing template produced results');
+      return { results: [], template: null, score: null };
+    }
 
-      try {
-        let results;
-        
-        if (template.method === ParseMethod.TEXTFSM) {
-          logger.info(`PARSING - Using TextFSM for template: ${template.name}`);
-          if (!template.template) {
-            logger.error(`PARSING - TextFSM template ${template.name} is empty!`);
-            continue;
-          }
-          results = this.parseTextFSM(text, template.template);
-          logger.info(`PARSING - TextFSM returned ${results ? results.length : 0} results`);
-        } else if (template.method === ParseMethod.REGEX) {
-          logger.info(`PARSING - Using Regex for template: ${template.name}`);
-          results = this.parseRegex(text, template.template);
-          logger.info(`PARSING - Regex returned ${results ? results.length : 0} results`);
-        } else {
-          logger.info(`PARSING - Unknown method for template: ${template.name}`);
+    logger.info(`PARSING - Selecting templates for platform=${platform || 'any'}, command=${command || 'any'}`);
+    const registered = this._candidateTemplates({ platform, command });
+    const generic = this.templates.filter(t => !t.source && !t.platform && !t.command);
+
+    for (const [tier, candidates] of [['registered', registered], ['generic', generic]]) {
+      let best = null;
+      for (const template of candidates) {
+        const results = this._runTemplate(text, template);
+        if (results.length === 0) {
           continue;
         }
-
-        if (results && results.length > 0) {
-          logger.info(`PARSING - SUCCESS! Template ${template.name} produced results!`);
-          return results;
-        } else {
-          logger.info(`PARSING - Template ${template.name} produced no results`);
+        const score = this._scoreResults(results, requiredFields);
+        logger.info(`PARSING - Template ${template.name} scored ${score.toFixed(2)} over ${results.length} records`);
+        // Candidates are in priority order, so ties keep the earlier one
+        if (!best || score > best.score || (score === best.score && results.length > best.results.length)) {
+          best = { results, template, score };
         }
-      } catch (e) {
-        logger.error(`PARSING - Error with template ${template.name}: ${e.message}`);
-        logger.error(e.stack);
-        continue;
+      }
+      if (best) {
+        logger.info(`PARSING - SUCCESS! ${tier} template ${best.template.name} selected`);
+        return best;
       }
     }
 
     logger.warning('PARSING - No parsing template produced results');
-    return [];
+    return { results: [], template: null, score: 0 };
+  }
+
+  // Templates registered for a platform/command: index rows plus templates
+  // carrying their own platform or command, in priority order
+  _candidateTemplates({ platform, command }) {
+    const indexed = command ? this.templatesFor({ platform, command }) : [];
+    return this.templates.filter(t => {
+      if (indexed.includes(t)) return true;
+      if (t.source) return !command && platform && t.platform === platform;
+      if (!t.platform && !t.command) return false;
+      if (platform && t.platform && t.platform !== platform) return false;
+      if (command && t.command && !this._commandMatches(t.command, command)) return false;
+      return true;
+    });
+  }
+
+  // CLI-style match: same number of words, each word of the issued command
+  // a prefix of the template's ("sh lldp neighbor det" matches
+  // "show lldp neighbors detail")
+  _commandMatches(templateCommand, command) {
+    const want = templateCommand.trim().toLowerCase().split(/\s+/);
+    const got = command.trim().toLowerCase().split(/\s+/);
+    return want.length === got.length && got.every((word, i) => want[i].startsWith(word));
+  }
+
+  // Share of required fields present across all records (1 when nothing
+  // is required)
+  _scoreResults(results, requiredFields) {
+    if (requiredFields.length === 0) {
+      return 1;
+    }
+    const hasValue = value => value !== undefined && value !== null &&
+      (Array.isArray(value) ? value.some(v => String(v).trim() !== '') : String(value).trim() !== '');
+    let covered = 0;
+    for (const record of results) {
+      const sources = [record];
+      if (record.neighbors && typeof record.neighbors === 'object' && !Array.isArray(record.neighbors)) {
+        sources.push(record.neighbors);
+      }
+      for (const aliases of requiredFields) {
+        if (aliases.some(field => sources.some(source => hasValue(source[field])))) {
+          covered++;
+        }
+      }
+    }
+    return covered / (results.length * requiredFields.length);
+  }
+
+  _runTemplate(text, template) {
+    logger.info(`PARSING - Trying template: ${template.name}`);
+
+    try {
+      let results;
+      
+      if (template.method === ParseMethod.TEXTFSM) {
+        logger.info(`PARSING - Using TextFSM for template: ${template.name}`);
+        if (!template.template) {
+          logger.error(`PARSING - TextFSM template ${template.name} is empty!`);
+          return [];
+        }
+        results = this.parseTextFSM(text, template.template);
+        logger.info(`PARSING - TextFSM returned ${results ? results.length : 0} results`);
+      } else if (template.method === ParseMethod.REGEX) {
+        logger.info(`PARSING - Using Regex for template: ${template.name}`);
+        results = this.parseRegex(text, template.template);
+        logger.info(`PARSING - Regex returned ${results ? results.length : 0} results`);
+      } else if (template.method === ParseMethod.TTP) {
+        logger.info(`PARSING - Using TTP for template: ${template.name}`);
+        results = this.parseTTP(text, template.template);
+        logger.info(`PARSING - TTP returned ${results ? results.length : 0} results`);
+      } else {
+        logger.info(`PARSING - Unknown method for template: ${template.name}`);
+        return [];
+      }
+
+      if (!results || results.length === 0) {
+        logger.info(`PARSING - Template ${template.name} produced no results`);
+        return [];
+      }
+      return results;
+    } catch (e) {
+      logger.error(`PARSING - Error with template ${template.name}: ${e.message}`);
+      logger.error(e.stack);
+      return [];
+    }
   }
 }
 
@@ -432,12 +808,63 @@ class NetworkDiscovery extends EventEmitter {
   constructor(credentials, options = {}) {
     super();
     this.credentials = credentials.sort((a, b) => a.authPriority - b.authPriority);
+    // Scoping, last-success cache and the per-account failed login ceiling
+    this.credentialSelector = new CredentialSelector(this.credentials, {
+      maxAuthFailures: options.maxAuthFailures || 0,
+      log: (message) => logger.info(message)
+    });
     this.discoveredDevices = {};
     this.parser = new ExtensibleParser();
     this.maxThreads = options.maxThreads || 10;
+    // Port probed for SSH before connecting to a device or queueing a neighbor
+    this.sshPort = options.sshPort || 22;
+    // Opt-in Telnet fallback for devices that refuse SSH, optionally limited
+    // to the listed subnets
+    this.telnetFallback = options.telnetFallback || false;
+    this.telnetPort = options.telnetPort || 23;
+    this.telnetSubnets = (options.telnetSubnets || []).map((subnet, i) => {
+      try {
+        return parseCidr(subnet);
+      } catch (error) {
+        throw new Error(`Invalid telnetSubnets[${i}] "${subnet}": ${error.message}`);
+      }
+    });
     this.visitedIps = new Set();
     this.failedIps = new Set();
     this.visitedHostnames = new Set();
+    // IPs queued for discovery or being checked; claimed before any await so
+    // concurrent workers never queue the same neighbor twice, and released
+    // again when the neighbor is skipped so a later parent can retry it
+    this.claimedIps = new Set();
+    // SSH sessions currently open, torn down if the crawl is cancelled
+    this._activeClients = new Set();
+    this._signal = null;
+    this.status = 'idle';
+    // Host keys of devices and jump hosts are pinned on first use in
+    // hostKeyFile (in memory only without one) and checked against
+    // knownHostsFile; strictHostKeyChecking turns off pinning on first use
+    this.hostKeys = new HostKeyVerifier({
+      storeFile: options.hostKeyFile || null,
+      knownHostsFile: options.knownHostsFile || null,
+      strict: options.strictHostKeyChecking || false,
+      log: (message) => logger.info(message),
+      warn: (message) => logger.warning(message)
+    });
+    // Bastion chains for devices that are only reachable through jump hosts
+    this.jumpHosts = new JumpHostResolver({
+      jumpHosts: options.jumpHosts || [],
+      jumpHostRules: options.jumpHostRules || []
+    }, {
+      agent: process.env.SSH_AUTH_SOCK || (process.platform === 'win32' ? 'pageant' : null),
+      hostKeys: this.hostKeys,
+      log: (message) => logger.debug(message)
+    });
+    // Record every session, probe and DNS lookup into a capture bundle, or
+    // answer them from one so the crawl runs offline (lib/session-capture.js)
+    this.capture = options.captureDir
+      ? new SessionRecorder(options.captureDir, { log: (message) => logger.info(message) })
+      : null;
+    this.replay = options.replayBundle || (options.replayDir ? CaptureBundle.load(options.replayDir) : null);
     
     // Get settings manager if available
     this.settingsManager = options.settingsManager;
@@ -481,71 +908,88 @@ class NetworkDiscovery extends EventEmitter {
       logger.info(`Using default output file: ${this.outputFile}`);
     }
 
+    // Checkpoint lives next to the output file unless told otherwise
+    this.checkpointFile = options.checkpointFile || NetworkDiscovery.checkpointPathFor(this.outputFile);
+
     // Rest of your initialization...
     this.exclusions = options.exclusions ? options.exclusions.split(',').map(s => s.trim()) : [];
     if (this.exclusions.length > 0) {
       logger.info(`Exclusion patterns loaded: ${this.exclusions.join(', ')}`);
     }
     
-    // Discovery commands
-    this.discoveryCommands = [
-      'show cdp neighbors detail',
-      'show lldp neighbors detail',
-      'show lldp neighbor detail'
-    ];
-
-    // Device information commands
-    this.deviceInfoCommands = [];
+    // Every driver's neighbor commands, for loading their templates; each
+    // device runs only its own driver's (lib/device-drivers.js)
+    this.discoveryCommands = [...new Set(
+      [GENERIC_DRIVER, ...listDrivers()].flatMap(driver => driver.neighborCommands))];
+    this.factTemplates = this._loadFactTemplates();
 
-    // Load TextFSM templates
-    const textfsmTemplates = this.parser.loadTextFsmTemplates(this.discoveryCommands);
+    // Load TextFSM templates; rows of an index file in the user template
+    // directory take precedence over the shipped index
+    const textfsmTemplates = this.parser.loadTextFsmTemplates(this.discoveryCommands,
+      [path.join(this.templateDir, 'textfsm'), this.templateDir]);
     textfsmTemplates.forEach(template => {
-      this.parser.addTemplate(template.method, template.template, template.priority, template.name);
+      this.parser.addTemplate(template.method, template.template, template.priority, template.name,
+        { platform: template.platform, source: template.source });
     });
 
     if (textfsmTemplates.length === 0) {
       logger.warning('No TextFSM templates were loaded during initialization!');
     }
 
-    // Add comprehensive regex templates
-    this._addRegexTemplates();
+    // TTP templates live next to the TextFSM directory unless configured
+    const ttpDir = options.ttpTemplateDir ||
+      path.join(path.dirname(path.resolve(process.env.NET_TEXTFSM)), 'ttp');
+    this.parser.loadTtpTemplates(ttpDir).forEach(template => {
+      this.parser.addTemplate(template.method, template.template, template.priority, template.name,
+        { platform: template.platform, command: template.command });
+    });
+
+    // Regex fallbacks from templates/regex, also next to the TextFSM directory
+    this._addRegexTemplates(options.regexTemplateDir ||
+      path.join(path.dirname(path.resolve(process.env.NET_TEXTFSM)), 'regex'));
   }
 
-  _addRegexTemplates() {
-    // These regex templates are fallbacks/supplements to TextFSM templates
-    // They help capture additional data when TextFSM templates miss something
+  // Read the fact templates named in the drivers' factCommands, keyed by
+  // file name. Missing files only disable parsing for that platform.
+  _loadFactTemplates() {
+    const templates = {};
+    const textfsmDir = path.resolve(process.env.NET_TEXTFSM);
+    
+    for (const driver of listDrivers()) {
+      for (const { template } of Object.values(driver.factCommands).filter(Boolean)) {
+        const templatePath = path.join(textfsmDir, template);
+        try {
+          templates[template] = new ParseTemplate(
+            ParseMethod.TEXTFSM,
+            fs.readFileSync(templatePath, 'utf8'),
+            0,
+            template.replace('.textfsm', '')
+          );
+        } catch (e) {
+          logger.warning(`Fact template not available: ${templatePath}`);
+        }
+      }
+    }
     
+    logger.info(`Loaded ${Object.keys(templates).length} device fact templates`);
+    return templates;
+  }
+
+  _addRegexTemplates(regexDir) {
+    // These regex templates are fallbacks/supplements to TextFSM and TTP
+    // templates. They help capture additional data when those miss something.
+    this.parser.loadRegexTemplates(regexDir).forEach(template => {
+      this.parser.addTemplate(template.method, template.template, template.priority, template.name,
+        { platform: template.platform, command: template.command });
+    });
+
     // Hostname extraction patterns (simple fallback)
     this.parser.addTemplate(
       ParseMethod.REGEX,
       'hostname\\s+(?<hostname>\\S+)',
-      100,  // Lower priority than TextFSM
+      200,  // After the regex template library
       'hostname_from_config'
     );
-
-    // Basic CDP neighbor pattern with interface info
-    // this.parser.addTemplate(
-    //   ParseMethod.REGEX,
-    //   `Device\\s+ID:\\s*(?<device_id>[^\\n]+?)\\s*\\n` +
-    //   `[\\s\\S]*?` +
-    //   `IP\\s+address:\\s*(?<ip_address>\\d+\\.\\d+\\.\\d+\\.\\d+)` +
-    //   `[\\s\\S]*?` +
-    //   `Interface:\\s*(?<local_interface>[^,]+),\\s*Port\\s+ID\\s*\\(outgoing\\s+port\\):\\s*(?<remote_interface>[^\\n]+)`,
-    //   101,  // Lower priority than TextFSM
-    //   'cdp_neighbor_fallback'
-    // );
-
-    // LLDP neighbor pattern with interface info
-    // this.parser.addTemplate(
-    //   ParseMethod.REGEX,
-    //   `Local\\s+Intf:\\s*(?<local_interface>[^\\n]+)\\s*\\n` +
-    //   `[\\s\\S]*?` +
-    //   `Port\\s+id:\\s*(?<remote_interface>[^\\n]+)` +
-    //   `[\\s\\S]*?` +
-    //   `System\\s+Name:\\s*(?<system_name>[^\\n]+)`,
-    //   102,
-    //   'lldp_neighbor_interface'
-    // );
   }
 
   _shouldExcludeDevice(hostname) {
@@ -566,8 +1010,8 @@ class NetworkDiscovery extends EventEmitter {
 
   
   async _validateDeviceReachability(device) {
-    logger.info(`Checking TCP socket reachability for ${device.ipAddress}:22...`);
-    const socketReachable =  this._isPortReachable(device.ipAddress, 22, 3000);
+    logger.info(`Checking TCP socket reachability for ${device.ipAddress}:${this._managementPorts(device.ipAddress).join('/')}...`);
+    const socketReachable = await this._isManagementReachable(device.ipAddress, 3000);
     
     if (socketReachable) {
       return true; // Device is reachable via its original IP
@@ -583,11 +1027,11 @@ class NetworkDiscovery extends EventEmitter {
         logger.info(`Performing forward DNS lookup for device ID: ${device.hostname}...`);
         
         // Use the promises API for DNS lookup
-        const address = dns.lookup(device.hostname);
+        const address = await this._lookupHost(device.hostname);
         
         if (address && address.address !== device.ipAddress) {
           logger.info(`DNS lookup resolved ${device.hostname} to ${address.address}, checking if that's reachable...`);
-          const resolvedReachable =  this._isPortReachable(address.address, 22, 3000);
+          const resolvedReachable = await this._isManagementReachable(address.address, 3000);
           
           if (resolvedReachable) {
             logger.info(`DNS-resolved IP ${address.address} is reachable! Updating device IP for discovery.`);
@@ -623,6 +1067,7 @@ class NetworkDiscovery extends EventEmitter {
     // Mark device as failed if we couldn't reach it via its IP or DNS resolution
     device.failed = true;
     device.errorMsg = 'Device unreachable via TCP';
+    device.failureReason = FailureReason.UNREACHABLE;
     device.reachabilityStatus = 'unreachable';
     this.failedIps.add(device.ipAddress);
     logger.info(`Device ${device.ipAddress} is unreachable - could not connect via TCP`);
@@ -631,7 +1076,7 @@ class NetworkDiscovery extends EventEmitter {
   
 
 
-  async _tryCredentials(host) {
+  async _tryCredentials(host, device = null) {
     logger.debug(`=== Starting connection attempt for ${host} ===`);
     
     const DISCOVERY_TIMEOUT = 60000; // Your main discovery timeout
@@ -639,34 +1084,51 @@ class NetworkDiscovery extends EventEmitter {
     const SSH_ATTEMPT_TIMEOUT = Math.floor(DISCOVERY_TIMEOUT / 3); // 33% of discovery timeout
     
     // First try a quick TCP socket check to see if the host is reachable
-    logger.debug(`Performing TCP socket check on ${host}:22 with timeout ${SOCKET_CHECK_TIMEOUT}ms`);
+    logger.debug(`Performing TCP socket check on ${host}:${this.sshPort} with timeout ${SOCKET_CHECK_TIMEOUT}ms`);
     let socketReachable = false;
     
     try {
-      const socketResult = await this._checkTcpSocket(host, 22, SOCKET_CHECK_TIMEOUT);
+      const socketResult = await this._checkTcpSocket(host, this.sshPort, SOCKET_CHECK_TIMEOUT);
       socketReachable = socketResult.reachable;
       logger.debug(`TCP socket check for ${host}: ${socketReachable ? 'REACHABLE' : 'UNREACHABLE'}`);
     } catch (socketErr) {
       logger.debug(`TCP socket check error for ${host}: ${socketErr.message}`);
     }
     
-    // If the socket is reachable (or if it's an IP and was unreachable), try SSH connection
-    if (socketReachable || net.isIP(host)) {
+    // If the socket is reachable (or if it's an IP and was unreachable), try SSH connection.
+    // Where Telnet fallback applies, a closed SSH port goes straight to Telnet.
+    if (socketReachable || (net.isIP(host) && !this._telnetAllowed(host))) {
       logger.debug(`Attempting SSH connection to ${host}`);
-      const sshResult = await this._trySshConnection(host, SSH_ATTEMPT_TIMEOUT);
+      const sshResult = await this._trySshConnection(host, SSH_ATTEMPT_TIMEOUT, device);
       if (sshResult && sshResult.success) {
         logger.info(`Successfully connected to ${host} via direct SSH connection`);
         return {
           cred: sshResult.cred,
           client: sshResult.client,
           usedFallbackIp: false,
-          connectedIp: host
+          connectedIp: host,
+          transport: 'ssh'
         };
       } else {
         logger.debug(`Direct SSH connection to ${host} failed with all credentials`);
       }
     }
     
+    if (this._telnetAllowed(host) && !this._isCancelled()) {
+      logger.info(`SSH to ${host} failed; falling back to Telnet on port ${this.telnetPort}`);
+      const telnetResult = await this._tryTelnetConnection(host, SSH_ATTEMPT_TIMEOUT, device);
+      if (telnetResult.success) {
+        return {
+          cred: telnetResult.cred,
+          client: telnetResult.client,
+          usedFallbackIp: false,
+          connectedIp: host,
+          transport: 'telnet'
+        };
+      }
+      logger.debug(`Telnet login to ${host} failed with all credentials`);
+    }
+    
     logger.debug(`=== All connection attempts failed for ${host} ===`);
     return null;
   }
@@ -761,6 +1223,28 @@ class NetworkDiscovery extends EventEmitter {
   
   // New helper method to check TCP socket reachability
   async _checkTcpSocket(host, port = 22, timeout = 2000) {
+    if (this.replay) {
+      return this.replay.isPortReachable(host, port)
+        ? { reachable: true, host, port }
+        : { reachable: false, host, port, error: 'Not reachable in capture bundle' };
+    }
+    const result = await this._openTcpSocket(host, port, timeout);
+    if (this.capture) {
+      this.capture.recordProbe(host, port, result.reachable);
+    }
+    return result;
+  }
+
+  async _openTcpSocket(host, port, timeout) {
+    const chain = this.jumpHosts.chainFor(host);
+    if (chain) {
+      logger.debug(`Probing ${host}:${port} via jump host ${chain.description}`);
+      const reachable = await chain.isPortReachable(host, port, timeout);
+      return reachable
+        ? { reachable: true, host, port }
+        : { reachable: false, host, port, error: `Not reachable via ${chain.description}` };
+    }
+
     return new Promise((resolve) => {
       logger.debug(`Opening TCP socket to ${host}:${port} with timeout ${timeout}ms`);
       
@@ -809,26 +1293,55 @@ class NetworkDiscovery extends EventEmitter {
     });
   }
   
-  // New helper method to try SSH connection with all credentials
-  async _trySshConnection(host, timeout) {
-    for (const cred of this.credentials) {
+  // Try SSH with each credential the selector allows for this device, the
+  // last one that worked nearby first
+  async _trySshConnection(host, timeout, device = null) {
+    const candidates = this.credentialSelector.candidates(host, device);
+    if (candidates.length === 0) {
+      logger.warning(`No credential is in scope (or under its failed login ceiling) for ${host}`);
+    }
+    for (const cred of candidates) {
+      // Counts against the account's ceiling until released; false once an
+      // account shared by two credentials, or raced by another worker, is locked
+      if (!(await this.credentialSelector.reserve(cred))) {
+        continue;
+      }
+      let client = null;
       try {
-        logger.debug(`Trying SSH credential: ${cred.username} on ${host}:${cred.port} with timeout ${timeout}ms`);
+        logger.debug(`Trying SSH credential: ${cred.username} (${this._describeAuth(cred)}) on ${host}:${cred.port} with timeout ${timeout}ms`);
+        
+        // Each attempt needs a fresh channel; the failed one is consumed
+        const chain = this.replay ? null : this.jumpHosts.chainFor(host);
+        const sock = chain ? await chain.openTunnel(host, cred.port, timeout) : null;
         
         const sshOptions = new SSHClientOptions({
           host: host,
           username: cred.username,
           password: cred.password,
+          keyFile: cred.keyFile,
+          passphrase: cred.keyPassphrase,
+          agent: cred.useAgent ? this._agentSocket() : null,
           port: cred.port,
+          sock: sock,
+          hostKeys: this.hostKeys,
           timeout: timeout,
           invokeShell: true, // Set to true to ensure shell mode is used
           outputCallback: function() {}
         });
   
-        const client = new SynchronousSSHClient(sshOptions);
+        if (this._isCancelled()) {
+          break;
+        }
+  
+        client = this._createSshClient(sshOptions);
+        this._activeClients.add(client);
         logger.debug(`Initiating SSH connection to ${host}...`);
         await client.connect();
         logger.debug(`SSH connection established with ${host}`);
+        if (this.capture) {
+          this.capture.recordAttempt(host, cred.username);
+        }
+        this.credentialSelector.recordSuccess(host, device, cred);
   
         // We don't need to create a shell here as it will be created in _discoverDevice
         // Also, don't try enable mode here - we'll handle that after proper shell setup
@@ -841,116 +1354,305 @@ class NetworkDiscovery extends EventEmitter {
         };
       } catch (e) {
         logger.debug(`SSH connection attempt to ${host} with ${cred.username} failed: ${e.message}`);
+        if (client) {
+          this._activeClients.delete(client);
+          if (this.capture) {
+            this.capture.recordAttempt(host, cred.username, e);
+          }
+          this.credentialSelector.recordFailure(cred, e);
+        }
+        // The key is the host's, not the credential's; no other credential
+        // (or Telnet) is tried against a host that may be impersonated
+        if (e instanceof HostKeyError) {
+          logger.warning(e.message);
+          throw e;
+        }
         continue;
+      } finally {
+        this.credentialSelector.release(cred);
       }
     }
     
     return { success: false };
   }
 
-  async _disablePagination(client, prompt) {
-    const paginationCommands = [
-      'terminal length 0',
-      'terminal pager 0',
-      'set cli screen-length 0'
-    ];
-  
-    // Use a reasonable timeout for pagination commands
-    const paginationTimeout = 10000; // 10 seconds
-    
-    // Special handling for prompts with newlines
-    let cleanPrompt = prompt;
-    if (prompt.includes('\n')) {
-      logger.debug(`Detected prompt with newline character: "${prompt.replace(/\n/g, '\\n')}"`);
-      // Remove the newline for matching purposes
-      cleanPrompt = prompt.replace(/[\r\n]+$/, '');
-      logger.debug(`Cleaned prompt for matching: "${cleanPrompt}"`);
+  // A live SSH client, or one playing back the host's session from the
+  // capture bundle when replaying
+  _createSshClient(sshOptions) {
+    return this.replay ? this.replay.createClient(sshOptions) : new SynchronousSSHClient(sshOptions);
+  }
+
+  // Whether policy lets this host fall back to Telnet
+  _telnetAllowed(host) {
+    if (!this.telnetFallback) {
+      return false;
     }
-  
-    // Try each pagination command
-    for (const cmd of paginationCommands) {
+    return this.telnetSubnets.length === 0 || this.telnetSubnets.some(cidr => cidrContains(cidr, host));
+  }
+
+  // Ports a device may be managed on: SSH, plus Telnet where policy allows
+  _managementPorts(host) {
+    return this._telnetAllowed(host) ? [this.sshPort, this.telnetPort] : [this.sshPort];
+  }
+
+  async _isManagementReachable(host, timeout = 3000) {
+    for (const port of this._managementPorts(host)) {
+      if (await this._isPortReachable(host, port, timeout)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Log in over Telnet with each credential that has a password; keys and
+  // agents are SSH-only. Only called after SSH failed and policy allows it.
+  async _tryTelnetConnection(host, timeout, device = null) {
+    for (const cred of this.credentialSelector.candidates(host, device).filter(candidate => candidate.password)) {
+      if (!(await this.credentialSelector.reserve(cred))) {
+        continue;
+      }
+      let client = null;
       try {
-        logger.info(`Disabling pagination with: ${cmd}`);
+        logger.debug(`Trying Telnet credential: ${cred.username} on ${host}:${this.telnetPort}`);
         
-        // Use direct command sending and manual output collection
-        // This bypasses the standard executeShellCommand method which might be having issues
-        if (client._shellReady) {
-          // Clear buffer before sending command
-          client._outputBuffer = '';
-          
-          // Send the command
-          client.sendCommand(cmd);
-          
-          // Wait for output with timeout
-          let success = false;
-          const startTime = Date.now();
-          
-          // Create a promise that resolves when we see the prompt or times out
-          const promptResult = await new Promise((resolve) => {
-            // Function to check for prompt
-            const checkForPrompt = () => {
-              const output = client._outputBuffer;
-              
-              // Check for various prompt formats
-              if (output.includes(prompt) || 
-                  output.includes(cleanPrompt) || 
-                  output.endsWith(cleanPrompt) ||
-                  output.endsWith(cleanPrompt + ' ')) {
-                
-                logger.debug(`Detected prompt after pagination command. Buffer: "${output.substring(output.length - 50)}"`);
-                resolve({ found: true, output });
-                return true;
-              }
-              
-              // Check timeout
-              if (Date.now() - startTime > paginationTimeout) {
-                logger.debug(`Timeout waiting for prompt after pagination command`);
-                resolve({ found: false, timeout: true, output });
-                return true;
-              }
-              
-              // Continue checking
-              return false;
-            };
-            
-            // Check immediately
-            if (!checkForPrompt()) {
-              // Set up an interval to check for the prompt
-              const checkInterval = setInterval(() => {
-                if (checkForPrompt()) {
-                  clearInterval(checkInterval);
-                }
-              }, 250); // Check every 250ms
-              
-              // Also set a timeout to ensure we don't hang
-              setTimeout(() => {
-                clearInterval(checkInterval);
-                resolve({ found: false, timeout: true, output: client._outputBuffer });
-              }, paginationTimeout);
-            }
-          });
-          
-          // Process result
-          if (promptResult.found) {
-            logger.info(`Successfully disabled pagination with: ${cmd}`);
-            return true;
-          } else {
-            logger.debug(`Command "${cmd}" did not return expected prompt, output: "${promptResult.output.substring(0, 100)}..."`);
-          }
-        } else {
-          logger.error(`Shell not ready, cannot send pagination command`);
+        const chain = this.replay ? null : this.jumpHosts.chainFor(host);
+        const sock = chain ? await chain.openTunnel(host, this.telnetPort, timeout) : null;
+        
+        const telnetOptions = new SSHClientOptions({
+          host: host,
+          port: this.telnetPort,
+          username: cred.username,
+          password: cred.password,
+          sock: sock,
+          timeout: Math.ceil(timeout / 1000),
+          outputCallback: function() {}
+        });
+        
+        if (this._isCancelled()) {
+          break;
         }
+        
+        client = this.replay ? this.replay.createClient(telnetOptions, 'telnet') : new TelnetClient(telnetOptions);
+        this._activeClients.add(client);
+        await client.connect();
+        if (this.capture) {
+          this.capture.recordAttempt(host, cred.username, null, 'telnet');
+        }
+        this.credentialSelector.recordSuccess(host, device, cred);
+        
+        logger.info(`Successfully logged in to ${host} over Telnet with ${cred.username}`);
+        return {
+          success: true,
+          cred: cred,
+          client: client
+        };
       } catch (e) {
-        logger.debug(`Error with pagination command ${cmd}: ${e.message}`);
+        logger.debug(`Telnet login to ${host} with ${cred.username} failed: ${e.message}`);
+        if (client) {
+          this._activeClients.delete(client);
+          if (this.capture) {
+            this.capture.recordAttempt(host, cred.username, e, 'telnet');
+          }
+          this.credentialSelector.recordFailure(cred, e);
+        }
+      } finally {
+        this.credentialSelector.release(cred);
       }
     }
-  
-    // If we get here, all commands failed
-    logger.warning(`All pagination disable commands failed, but continuing anyway`);
-    return false;
+    
+    return { success: false };
+  }
+
+  // dns.lookup(), recorded into or answered from the capture bundle
+  async _lookupHost(name) {
+    if (this.replay) {
+      return this.replay.lookup(name);
+    }
+    try {
+      const result = await dnsLookup(name);
+      if (this.capture) {
+        this.capture.recordLookup(name, result.address);
+      }
+      return result;
+    } catch (error) {
+      if (this.capture) {
+        this.capture.recordLookup(name, null);
+      }
+      throw error;
+    }
+  }
+
+  // ssh-agent socket for agent credentials, or null when none is running
+  _agentSocket() {
+    if (process.env.SSH_AUTH_SOCK) {
+      return process.env.SSH_AUTH_SOCK;
+    }
+    if (process.platform === 'win32') {
+      return 'pageant';
+    }
+    logger.warning('Agent authentication requested but SSH_AUTH_SOCK is not set');
+    return null;
+  }
+
+  _describeAuth(cred) {
+    const methods = [];
+    if (cred.keyFile) methods.push('key');
+    if (cred.useAgent) methods.push('agent');
+    if (cred.password) methods.push('password');
+    return methods.join('+') || 'none';
+  }
+
+  // Choose the device's driver: from the login banner and prompt if one
+  // names the OS, otherwise by running each registered version command until
+  // a driver recognises the output. Resolves with the driver and the version
+  // output it was recognised from, which doubles as a fact command output.
+  async _selectDriver(client, device, banner, prompt) {
+    const outputs = {};
+    let driver = detectFromBanner(banner);
+    
+    for (const command of driver ? [] : versionCommands()) {
+      try {
+        outputs[command] = this.parser._cleanText(await client.runCommand(command, 15000));
+      } catch (err) {
+        logger.debug(`Error executing ${command}: ${err.message}`);
+        continue;
+      }
+      driver = detectFromVersion(command, outputs[command]);
+      if (driver) {
+        break;
+      }
+    }
+    
+    if (!driver) {
+      logger.info(`No device driver matched ${device.ipAddress}; using generic commands`);
+      return { driver: GENERIC_DRIVER, outputs };
+    }
+    
+    logger.info(`Using ${driver.platform} driver for ${device.ipAddress}`);
+    device.deviceType = driver.platform;
+    client.setPrompt(prompt, driver.promptTerminators);
+    // Other platforms' version commands were only refused here
+    const versionOutput = outputs[driver.versionCommand];
+    return {
+      driver,
+      outputs: versionOutput === undefined ? {} :
+        { [driver.versionCommand]: driver.cleanOutput(driver.versionCommand, versionOutput) }
+    };
+  }
+
+  // Turn off paging with the first of the driver's commands the device
+  // accepts. Not fatal when none is: the client's prompt engine answers pager
+  // prompts itself.
+  async _disablePagination(client, prompt, driver = GENERIC_DRIVER) {
+    client.setPrompt(prompt, driver.promptTerminators);
+    if (driver.paginationCommands.length === 0) {
+      return true;
+    }
+    const accepted = await client.disablePaging(driver.paginationCommands, 10000);
+    if (accepted) {
+      logger.info(`Disabled pagination with: ${accepted}`);
+      return true;
+    }
+    logger.info(`No pagination command was accepted; pager prompts will be answered instead`);
+    return false;
   }
 
   
+  // Escalate from a `>` user-exec prompt with the driver's enable command and
+  // the credential's enablePassword. Records the outcome on
+  // device.enableStatus and returns the prompt to use from here on (the `#`
+  // prompt on success). Platforms whose `>` is not user-exec, like Junos
+  // operational mode, have no enable command.
+  async _ensurePrivileged(client, device, cred, prompt, driver = GENERIC_DRIVER) {
+    const trimmedPrompt = prompt.trim();
+    if (!trimmedPrompt.endsWith('>') || !driver.enableCommand) {
+      device.enableStatus = 'not_needed';
+      return prompt;
+    }
+    
+    if (!cred.enablePassword) {
+      logger.warning(`${device.ipAddress} is at user-exec prompt "${trimmedPrompt}" and no enable password is configured`);
+      device.enableStatus = 'no_enable_password';
+      return prompt;
+    }
+    
+    logger.info(`Entering enable mode on ${device.ipAddress}`);
+    const privilegedPrompt = /(\S+#)\s*$/;
+    const passwordPrompt = /[Pp]assword:\s*$/;
+    const userPrompt = />\s*$/;
+    
+    client._outputBuffer = '';
+    client.sendCommand(driver.enableCommand);
+    // A prompt still in flight from prompt detection must not read as a refusal,
+    // so only output after the echoed command counts
+    let result = await this._waitForPatterns(client, [privilegedPrompt, passwordPrompt, userPrompt], 10000, driver.enableCommand);
+    
+    if (result.index === 1) {
+      client._outputBuffer = '';
+      client.sendSecret(cred.enablePassword);
+      result = await this._waitForPatterns(client, [privilegedPrompt, passwordPrompt, userPrompt], 10000);
+      
+      // Rejected: IOS asks again; blank answers use up its retries and return to `>`
+      let retries = 0;
+      while (result.index === 1 && retries < 3) {
+        client.sendSecret('');
+        result = await this._waitForPatterns(client, [privilegedPrompt, passwordPrompt, userPrompt], 10000);
+        retries++;
+      }
+    }
+    
+    if (result.index === 0) {
+      const newPrompt = privilegedPrompt.exec(result.buffer)[1];
+      logger.info(`Enable mode active on ${device.ipAddress}, prompt is now "${newPrompt}"`);
+      device.enableStatus = 'succeeded';
+      return newPrompt;
+    }
+    
+    logger.warning(`Enable mode rejected on ${device.ipAddress}, continuing at user-exec level`);
+    device.enableStatus = 'failed';
+    return prompt;
+  }
+  
+  // Wait until the shell output matches one of the regexes. Resolves with the
+  // index of the first match and the output seen so far; rejects on timeout.
+  // With `after`, only output following the first occurrence of that text is
+  // matched.
+  _waitForPatterns(client, patterns, timeout, after = null) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      
+      const check = () => {
+        const start = after === null ? 0 : buffer.indexOf(after);
+        if (start === -1) {
+          return;
+        }
+        const text = after === null ? buffer : buffer.slice(start + after.length);
+        const index = patterns.findIndex(pattern => pattern.test(text));
+        if (index !== -1) {
+          cleanup();
+          resolve({ index, buffer });
+        }
+      };
+      
+      const dataHandler = (data) => {
+        buffer += data;
+        check();
+      };
+      
+      const timeoutHandle = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timeout waiting for ${patterns.map(p => p.source).join(' | ')}`));
+      }, timeout);
+      
+      const cleanup = () => {
+        client.removeListener('data', dataHandler);
+        clearTimeout(timeoutHandle);
+      };
+      
+      client.on('data', dataHandler);
+    });
+  }
+
   _extractHostnameFromPrompt(prompt) {
     if (!prompt) return null;
     
@@ -969,21 +1671,33 @@ class NetworkDiscovery extends EventEmitter {
 
 // Make sure this is defined as a method directly in the NetworkDiscovery class
 // This should be placed where other methods of NetworkDiscovery are defined
-async _processNeighbors(device, allOutputs) {
+async _processNeighbors(device, allOutputs, driver = getDriver(device.deviceType)) {
     const newNeighbors = [];
     const neighborsFound = [];
     this.retryQueue = [];
-    // Parse neighbor data
+    // Parse neighbor data: the driver's own parser first, then the template library
     for (const [cmd, output] of Object.entries(allOutputs)) {
-      if (cmd.toLowerCase().includes('cdp neighbor') || 
-          cmd.toLowerCase().includes('lldp neighbor')) {
-        const parsed = this.parser.parse(output);
-        if (parsed && parsed.length > 0) {
-          parsed.forEach(neighbor => {
-            neighbor.discovered_via = cmd;  // Store the command that discovered this neighbor
-          });
-          neighborsFound.push(...parsed);
-        }
+      if (!driver.neighborCommands.includes(cmd)) {
+        continue;
+      }
+      const driverEntries = driver.parseNeighbors(cmd, output);
+      if (driverEntries) {
+        neighborsFound.push(...driverEntries.map(entry => NeighborRecord.from(entry, {
+          command: cmd,
+          parsedBy: `${driver.platform}_driver`
+        })));
+        continue;
+      }
+      const { results: parsed, template } = this.parser.parseBest(output, {
+        platform: driver.platform || device.deviceType,
+        command: cmd,
+        requiredFields: NEIGHBOR_REQUIRED_FIELDS
+      });
+      if (parsed && parsed.length > 0) {
+        neighborsFound.push(...parsed.map(entry => NeighborRecord.from(entry, {
+          command: cmd,
+          parsedBy: template.name
+        })));
       }
     }
   
@@ -996,95 +1710,22 @@ async _processNeighbors(device, allOutputs) {
       
       // Process neighbors synchronously to ensure ALL checks complete before returning
       for (const neighbor of neighborsFound) {
-        let neighborIp = null;
-        let localInterface = null;
-        let remoteInterface = null;
-  
-        // Try to find IP address in various fields
-        const ipFields = [
-          'mgmt_address', 'management_ip', 'ip_address', 'neighbor_ip',
-          'MGMT_ADDRESS', 'IP_ADDRESS', 'NEIGHBOR_IP'  // Uppercase versions
-        ];
-        
-        for (const field of ipFields) {
-          if (neighbor[field]) {
-            neighborIp = neighbor[field].trim();
-            break;
-          }
-        }
-  
-        // Check nested structure
-        if (!neighborIp && neighbor.neighbors && typeof neighbor.neighbors === 'object') {
-          const nested = neighbor.neighbors;
-          for (const field of ipFields) {
-            if (nested[field]) {
-              neighborIp = nested[field].trim();
-              break;
-            }
-          }
-        }
+        const neighborIp = neighbor.primaryAddress();
+        const localInterface = neighbor.localPort;
+        const remoteInterface = neighbor.remotePort;
   
         // Skip if no valid IP found
-        if (!neighborIp || !this._isValidIpAddress(neighborIp)) {
+        if (!neighborIp) {
           logger.debug(`Skipping neighbor with invalid IP: ${JSON.stringify(neighbor)}`);
           continue;
         }
   
-        // Extract interface information
-        const interfaceFields = {
-          local: [
-            'local_interface', 'local_intf', 'interface', 'port', 'local_port',
-            'LOCAL_INTERFACE'  // Uppercase version
-          ],
-          remote: [
-            'remote_interface', 'remote_intf', 'neighbor_interface', 'port_id', 'remote_port',
-            'NEIGHBOR_INTERFACE'  // Uppercase version
-          ]
-        };
-  
-        // Try direct fields for local interface
-        for (const field of interfaceFields.local) {
-          if (neighbor[field]) {
-            localInterface = neighbor[field].trim();
-            break;
-          }
-        }
-  
-        // Try direct fields for remote interface
-        for (const field of interfaceFields.remote) {
-          if (neighbor[field]) {
-            remoteInterface = neighbor[field].trim();
-            break;
-          }
-        }
-  
-        // Check nested structure for interfaces
-        if (neighbor.neighbors && typeof neighbor.neighbors === 'object') {
-          const nested = neighbor.neighbors;
-          if (!localInterface) {
-            for (const field of interfaceFields.local) {
-              if (nested[field]) {
-                localInterface = nested[field].trim();
-                break;
-              }
-            }
-          }
-          if (!remoteInterface) {
-            for (const field of interfaceFields.remote) {
-              if (nested[field]) {
-                remoteInterface = nested[field].trim();
-                break;
-              }
-            }
-          }
-        }
-  
         // Store interface information for mapping
         if (localInterface && neighborIp) {
           device.localInterfaces[localInterface] = {
             connectedTo: neighborIp,
             remoteInterface: remoteInterface,
-            discoveredVia: neighbor.discovered_via
+            discoveredVia: neighbor.discoveredVia
           };
         }
   
@@ -1095,59 +1736,23 @@ async _processNeighbors(device, allOutputs) {
             connectedTo: neighborIp,
             remoteInterface: remoteInterface,
             status: 'up',  // Assumed from neighbor discovery
-            type: neighbor.discovered_via && neighbor.discovered_via.includes('cdp') ? 'cdp' : 'lldp'
+            type: neighbor.protocol
           });
         }
   
         // Check if we should add this neighbor to the discovery queue
         if (!this.discoveredDevices[neighborIp] && 
+            !this.claimedIps.has(neighborIp) &&
             !this.visitedIps.has(neighborIp) && 
             !this.failedIps.has(neighborIp)) {
+          this.claimedIps.add(neighborIp);
           
-          // Extract hostname
-          let hostname = null;
-          const hostnameFields = [
-            'neighbor_name', 'device_id', 'hostname', 'neighbor', 'system_name',
-            'NEIGHBOR_NAME', 'DEVICE_ID', 'HOSTNAME'  // Uppercase versions
-          ];
-          
-          for (const field of hostnameFields) {
-            if (neighbor[field]) {
-              hostname = neighbor[field].trim();
-              break;
-            }
-          }
-  
-          // Check nested structure for hostname
-          if (!hostname && neighbor.neighbors && typeof neighbor.neighbors === 'object') {
-            const nested = neighbor.neighbors;
-            for (const field of hostnameFields) {
-              if (nested[field]) {
-                hostname = nested[field].trim();
-                break;
-              }
-            }
-          }
-  
-          if (!hostname) {
-            hostname = `unknown-${neighborIp}`;
-          }
-  
-          // Extract platform information
-          let platform = neighbor.platform || neighbor.PLATFORM;
-          if (!platform && neighbor.neighbors && neighbor.neighbors.platform) {
-            platform = neighbor.neighbors.platform;
-          }
-  
-          // Extract capabilities
-          let capabilities = neighbor.capabilities || neighbor.CAPABILITIES;
-          if (!capabilities && neighbor.neighbors && neighbor.neighbors.capabilities) {
-            capabilities = neighbor.neighbors.capabilities;
-          }
+          const hostname = neighbor.systemName || `unknown-${neighborIp}`;
   
           // exclusion logic
           if (this._shouldExcludeDevice(hostname)) {
             logger.info(`Excluding device from discovery: ${hostname} (${neighborIp})`);
+            this.claimedIps.delete(neighborIp);
             continue;  // Skip to next neighbor
           }
   
@@ -1155,11 +1760,12 @@ async _processNeighbors(device, allOutputs) {
           const newDevice = new DiscoveredDevice({
             hostname: hostname,
             ipAddress: neighborIp,
-            platform: platform,
+            platform: neighbor.platform,
             parent: device.ipAddress,
             hopCount: device.hopCount + 1,
-            capabilities: capabilities ? capabilities.split(' ') : [],
-            managementIp: neighbor.mgmt_address || neighbor.management_ip || neighbor.MGMT_ADDRESS
+            capabilities: neighbor.capabilities.slice(),
+            systemDescription: neighbor.systemDescription,
+            managementIp: neighborIp
           });
   
           // Store basic interface information for the new device
@@ -1169,55 +1775,55 @@ async _processNeighbors(device, allOutputs) {
               connectedTo: device.ipAddress,
               remoteInterface: localInterface,
               status: 'up',
-              type: neighbor.discovered_via && neighbor.discovered_via.includes('cdp') ? 'cdp' : 'lldp'
+              type: neighbor.protocol
             });
           }
   
-          // Check TCP port 22 reachability before adding to queue - process synchronously
-          logger.info(`Checking TCP port 22 reachability for neighbor: ${neighborIp} (${hostname})`);
+          // Check SSH (or allowed Telnet) reachability before adding to queue - process synchronously
+          const ports = this._managementPorts(neighborIp).join('/');
+          logger.info(`Checking TCP port ${ports} reachability for neighbor: ${neighborIp} (${hostname})`);
           let socketReachable = false;
           try {
-            socketReachable = await this._isPortReachable(neighborIp, 22, 1000); // 1 second timeout
+            socketReachable = await this._isManagementReachable(neighborIp, 1000); // 1 second timeout
           } catch (err) {
             logger.error(`Error checking port reachability: ${err.message}`);
             socketReachable = false;
           }
           
           if (socketReachable) {
-            logger.info(`TCP port 22 is open for ${neighborIp} (${hostname}), adding to discovery queue`);
+            logger.info(`TCP port ${ports} is open for ${neighborIp} (${hostname}), adding to discovery queue`);
             this.discoveredDevices[neighborIp] = newDevice;
             newNeighbors.push(newDevice);
             logger.info(`Added new neighbor to queue: ${neighborIp} (${hostname})`);
           } else {
-            logger.info(`TCP port 22 is NOT open for ${neighborIp} (${hostname}), trying forward DNS lookup`);
+            logger.info(`TCP port ${ports} is NOT open for ${neighborIp} (${hostname}), trying forward DNS lookup`);
             
             // Try to resolve the hostname via DNS lookup
             try {
               // Only attempt DNS lookup if we have a valid hostname (not just an IP or unknown)
               if (hostname && !hostname.startsWith('unknown-') && !this._isValidIpAddress(hostname)) {
-                // Use promisify instead of dns.promises to match existing code style
-                const dnsLookup = promisify(dns.lookup);
-                const address = await dnsLookup(device.hostname);
-                const addressResult = await dnsLookup(hostname).catch(err => {
+                const addressResult = await this._lookupHost(hostname).catch(err => {
                   logger.error(`DNS lookup error: ${err.message}`);
                   return null;
                 });
                 
-                if (addressResult && addressResult.address && addressResult.address !== neighborIp) {
+                if (addressResult && addressResult.address && addressResult.address !== neighborIp &&
+                    !this.claimedIps.has(addressResult.address)) {
+                  this.claimedIps.add(addressResult.address);
                   const address = addressResult.address;
-                  logger.info(`DNS lookup for ${hostname} resolved to ${address}, checking port 22`);
+                  logger.info(`DNS lookup for ${hostname} resolved to ${address}, checking port ${this._managementPorts(address).join('/')}`);
                   
-                  // Check if the resolved IP is reachable on port 22
+                  // Check if the resolved IP is reachable on a management port
                   let resolvedReachable = false;
                   try {
-                    resolvedReachable = await this._isPortReachable(address, 22, 1000); // 1 second timeout
+                    resolvedReachable = await this._isManagementReachable(address, 1000); // 1 second timeout
                   } catch (err) {
                     logger.error(`Error checking port reachability for resolved IP: ${err.message}`);
                     resolvedReachable = false;
                   }
                   
                   if (resolvedReachable) {
-                    logger.info(`TCP port 22 is open for DNS-resolved IP ${address}, updating neighbor IP`);
+                    logger.info(`TCP port ${this._managementPorts(address).join('/')} is open for DNS-resolved IP ${address}, updating neighbor IP`);
                     
                     // Update the neighbor IP to the resolved address
                     newDevice.originalIp = neighborIp;
@@ -1228,7 +1834,8 @@ async _processNeighbors(device, allOutputs) {
                     newNeighbors.push(newDevice);
                     logger.info(`Added new neighbor to queue with resolved IP: ${address} (${hostname})`);
                   } else {
-                    logger.info(`TCP port 22 is NOT open for DNS-resolved IP ${address}, skipping neighbor`);
+                    logger.info(`TCP port ${this._managementPorts(address).join('/')} is NOT open for DNS-resolved IP ${address}, skipping neighbor`);
+                    this.claimedIps.delete(address);
                   }
                 } else {
                   logger.info(`DNS lookup for ${hostname} returned the same address or failed, skipping neighbor`);
@@ -1240,6 +1847,11 @@ async _processNeighbors(device, allOutputs) {
               logger.debug(`DNS lookup failed for ${hostname}: ${dnsErr.message}, skipping neighbor`);
             }
           }
+
+          // Not queued: another parent reporting this neighbor checks it again
+          if (!newNeighbors.includes(newDevice)) {
+            this.claimedIps.delete(neighborIp);
+          }
         } 
         // If device already exists, update interface information
         else if (this.discoveredDevices[neighborIp] && localInterface && remoteInterface) {
@@ -1254,7 +1866,7 @@ async _processNeighbors(device, allOutputs) {
             existingDevice.localInterfaces[remoteInterface] = {
               connectedTo: device.ipAddress,
               remoteInterface: localInterface,
-              discoveredVia: neighbor.discovered_via
+              discoveredVia: neighbor.discoveredVia
             };
           }
           
@@ -1269,7 +1881,7 @@ async _processNeighbors(device, allOutputs) {
               connectedTo: device.ipAddress,
               remoteInterface: localInterface,
               status: 'up',
-              type: neighbor.discovered_via && neighbor.discovered_via.includes('cdp') ? 'cdp' : 'lldp'
+              type: neighbor.protocol
             });
           }
         }
@@ -1311,16 +1923,19 @@ async _processNeighbors(device, allOutputs) {
     }
   
     this.visitedIps.add(device.ipAddress);
+    if (device.hostname && device.hostname.trim() !== '') {
+      this.visitedHostnames.add(device.hostname);
+    }
     device.visited = true;
   
     logger.info(`\n=== Discovering ${device.ipAddress} (${device.hostname || 'unknown'}) at hop ${hop} ===`);
   
     // Do a quick socket check before starting the full discovery process
-    logger.info(`Checking TCP socket reachability for ${device.ipAddress}:22...`);
+    logger.info(`Checking TCP socket reachability for ${device.ipAddress}:${this._managementPorts(device.ipAddress).join('/')}...`);
     let socketReachable = false;
     
     try {
-      socketReachable = await this._isPortReachable(device.ipAddress, 22, 3000);
+      socketReachable = await this._isManagementReachable(device.ipAddress, 3000);
     } catch (err) {
       logger.error(`Error checking port reachability for ${device.ipAddress}: ${err.message}`);
       socketReachable = false;
@@ -1337,8 +1952,7 @@ async _processNeighbors(device, allOutputs) {
           logger.info(`Performing forward DNS lookup for device ID: ${device.hostname}...`);
           
           // Use the promises API for DNS lookup
-          const dnsLookup = promisify(dns.lookup);
-          const address = await dnsLookup(device.hostname).catch(err => {
+          const address = await this._lookupHost(device.hostname).catch(err => {
             logger.error(`DNS lookup error for ${device.hostname}: ${err.message}`);
             return null;
           });
@@ -1348,7 +1962,7 @@ async _processNeighbors(device, allOutputs) {
             let resolvedReachable = false;
             
             try {
-              resolvedReachable = await this._isPortReachable(address.address, 22, 3000);
+              resolvedReachable = await this._isManagementReachable(address.address, 3000);
             } catch (err) {
               logger.error(`Error checking port reachability for resolved IP ${address.address}: ${err.message}`);
               resolvedReachable = false;
@@ -1389,10 +2003,14 @@ async _processNeighbors(device, allOutputs) {
         logger.debug(`Attempting to connect to ${device.ipAddress}...`);
         
         // Try to connect
-        const result = await this._tryCredentials(device.ipAddress);
+        const result = await this._tryCredentials(device.ipAddress, device);
+        if (this._isCancelled()) {
+          return newNeighbors;
+        }
         if (!result) {
           device.failed = true;
           device.errorMsg = 'No valid credentials';
+          device.failureReason = FailureReason.AUTH_FAILED;
           device.reachabilityStatus = 'unreachable';
           this.failedIps.add(device.ipAddress);
           logger.info(`Device ${device.ipAddress} is unreachable - no valid credentials found`);
@@ -1402,10 +2020,19 @@ async _processNeighbors(device, allOutputs) {
         // Add debug for successful connection
         logger.debug(`Successfully connected to ${device.ipAddress} with credentials`);
   
-        const { cred, client, usedFallbackIp, connectedIp } = result;
+        const { cred, usedFallbackIp, connectedIp } = result;
+        client = result.client;
         device.successfulCredentials = cred.username;
+        device.transport = result.transport || 'ssh';
         device.reachabilityStatus = 'reachable';
         device.hopCount = hop;
+        this._emitProgress(DiscoveryEvent.DEVICE_CONNECTED, {
+          hop,
+          device,
+          username: cred.username,
+          connectedIp: connectedIp || device.ipAddress,
+          transport: device.transport
+        });
         
         // If we connected using a fallback IP (from _tryCredentials), update the device record
         if (usedFallbackIp && connectedIp) {
@@ -1429,10 +2056,14 @@ async _processNeighbors(device, allOutputs) {
         // Reset the failed flag since we've successfully connected
         device.failed = false;
         device.errorMsg = null;
+        device.failureReason = null;
         
         // IMPORTANT: Initialize the shell before trying to find the prompt
         logger.debug(`Initializing shell for ${device.ipAddress}...`);
         await client.createShell();
+        if (this.capture) {
+          this.capture.attach(client, connectedIp || device.ipAddress);
+        }
         
         // Add debug for prompt detection
         logger.debug(`Attempting to find prompt on ${device.ipAddress}...`);
@@ -1444,6 +2075,9 @@ async _processNeighbors(device, allOutputs) {
         } catch (err) {
           logger.error(`Error finding prompt: ${err.message}`);
         }
+        if (this.capture) {
+          this.capture.recordPrompt(client, prompt);
+        }
         
         if (!prompt) {
           logger.warning(`Could not detect prompt for ${device.ipAddress}, using default '#'`);
@@ -1461,43 +2095,57 @@ async _processNeighbors(device, allOutputs) {
           }
         }
   
+        // Pick the vendor driver from the banner or a version command
+        const banner = `${client._outputBuffer || ''}\n${prompt}`;
+        const { driver, outputs: versionOutputs } = await this._selectDriver(client, device, banner, prompt);
+        // Now also cached under the detected platform
+        this.credentialSelector.recordSuccess(device.ipAddress, device, cred);
+  
+        // CDP/LLDP detail is often refused or truncated at user-exec level
+        try {
+          prompt = await this._ensurePrivileged(client, device, cred, prompt, driver);
+        } catch (err) {
+          logger.error(`Error entering enable mode on ${device.ipAddress}: ${err.message}`);
+          device.enableStatus = 'failed';
+        }
+  
         // Add debug for pagination
         logger.debug(`Attempting to disable pagination on ${device.ipAddress}...`);
         
         // Disable pagination
         let paginationDisabled = false;
         try {
-          paginationDisabled = await this._disablePagination(client, prompt);
+          paginationDisabled = await this._disablePagination(client, prompt, driver);
         } catch (err) {
           logger.error(`Error disabling pagination: ${err.message}`);
         }
         
         if (!paginationDisabled) {
-          logger.warning(`Failed to disable pagination on ${device.ipAddress}`);
+          logger.info(`Pagination still on for ${device.ipAddress}; answering pager prompts`);
         } else {
           logger.debug(`Successfully disabled pagination on ${device.ipAddress}`);
         }
   
         // Add debug for device info commands
-        logger.debug(`Starting execution of ${this.deviceInfoCommands.length} device info commands on ${device.ipAddress}`);
+        logger.debug(`Starting execution of ${Object.keys(driver.factCommands).length} device info commands on ${device.ipAddress}`);
         
         // Execute device information commands
-        let deviceInfo = {};
+        let deviceInfo = { ...versionOutputs };
         try {
-          deviceInfo = await this._executeDeviceInfoCommands(client, prompt);
+          deviceInfo = await this._executeDeviceInfoCommands(client, driver, deviceInfo);
         } catch (err) {
           logger.error(`Error executing device info commands: ${err.message}`);
         }
         
-        this._updateDeviceInfo(device, deviceInfo);
+        this._updateDeviceInfo(device, deviceInfo, driver);
   
         // Add debug for discovery commands
-        logger.debug(`Starting execution of ${this.discoveryCommands.length} discovery commands on ${device.ipAddress}`);
+        logger.debug(`Starting execution of ${driver.neighborCommands.length} discovery commands on ${device.ipAddress}`);
         
         // Execute discovery commands
         let allOutputs = {};
         try {
-          allOutputs = await this._executeDiscoveryCommands(client, prompt);
+          allOutputs = await this._executeDiscoveryCommands(client, driver);
         } catch (err) {
           logger.error(`Error executing discovery commands: ${err.message}`);
         }
@@ -1506,7 +2154,7 @@ async _processNeighbors(device, allOutputs) {
         logger.debug(`Processing neighbor information for ${device.ipAddress}...`);
         
         // Parse and process neighbor information
-        const neighbors = await this._processNeighbors(device, allOutputs);
+        const neighbors = await this._processNeighbors(device, allOutputs, driver);
         
         // Ensure we have a valid array
         if (neighbors && Array.isArray(neighbors)) {
@@ -1518,13 +2166,25 @@ async _processNeighbors(device, allOutputs) {
       } catch (e) {
         logger.error(`Error discovering ${device.ipAddress}: ${e.message}`);
         logger.debug(e.stack);
-        device.failed = true;
-        device.errorMsg = e.message;
+        // A torn-down session during cancellation is not a device failure
+        if (!this._isCancelled()) {
+          device.failed = true;
+          device.errorMsg = e.message;
+          device.failureReason = FailureReason.ERROR;
+          if (e instanceof HostKeyError) {
+            device.failureReason = e.status === 'unknown' ? FailureReason.HOST_KEY_UNKNOWN : FailureReason.HOST_KEY_CHANGED;
+            device.reachabilityStatus = 'reachable';
+          }
+        }
       } finally {
         try {
           if (client) {
             logger.debug(`Disconnecting SSH session for ${device.ipAddress}...`);
+            this._activeClients.delete(client);
             client.disconnect();
+            if (this.capture) {
+              this.capture.finish(client);
+            }
           }
         } catch (e) {
           // Ignore disconnect errors
@@ -1537,9 +2197,23 @@ async _processNeighbors(device, allOutputs) {
       return Array.isArray(newNeighbors) ? newNeighbors : [];
     })();
   
+    // Cancellation wins the race immediately; the sessions are torn down by the abort handler
+    let abortHandler = null;
+    const abortPromise = new Promise((_, reject) => {
+      if (!this._signal) {
+        return;
+      }
+      abortHandler = () => reject(new DiscoveryCancelledError(`Discovery of ${device.ipAddress} cancelled`));
+      if (this._signal.aborted) {
+        abortHandler();
+      } else {
+        this._signal.addEventListener('abort', abortHandler, { once: true });
+      }
+    });
+  
     try {
-      // Race between the discovery process and the timeout
-      const result = await Promise.race([discoveryPromise, timeoutPromise]);
+      // Race between the discovery process, the timeout and cancellation
+      const result = await Promise.race([discoveryPromise, timeoutPromise, abortPromise]);
       
       // Now apply the deferred IP update if needed
       if (device._pendingIpUpdate) {
@@ -1577,10 +2251,15 @@ async _processNeighbors(device, allOutputs) {
       // Ensure we return an array
       return Array.isArray(result) ? result : [];
     } catch (error) {
+      if (error instanceof DiscoveryCancelledError) {
+        throw error;
+      }
+      
       // If timeout occurs, mark device as failed
       logger.error(`${error.message}`);
       device.failed = true;
       device.errorMsg = error.message;
+      device.failureReason = FailureReason.TIMEOUT;
       
       // Always return an array, even on error
       return [];
@@ -1589,11 +2268,32 @@ async _processNeighbors(device, allOutputs) {
       if (discoveryTimer) {
         clearTimeout(discoveryTimer);
       }
+      if (abortHandler && this._signal) {
+        this._signal.removeEventListener('abort', abortHandler);
+      }
     }
   }
 
   // Helper method for TCP port reachability check
   async _isPortReachable(host, port = 22, timeout = 3000) {
+    if (this.replay) {
+      return this.replay.isPortReachable(host, port);
+    }
+    const reachable = await this._probePort(host, port, timeout);
+    if (this.capture) {
+      this.capture.recordProbe(host, port, reachable);
+    }
+    return reachable;
+  }
+
+  async _probePort(host, port, timeout) {
+    const chain = this.jumpHosts.chainFor(host);
+    if (chain) {
+      const reachable = await chain.isPortReachable(host, port, timeout);
+      logger.info(`TCP probe of ${host}:${port} via jump host ${chain.description}: ${reachable ? 'reachable' : 'unreachable'}`);
+      return reachable;
+    }
+
     return new Promise((resolve) => {
       const socket = new net.Socket();
       let resolved = false;
@@ -1639,136 +2339,18 @@ async _processNeighbors(device, allOutputs) {
     });
   }
 
-// Add this method to NetworkDiscovery class
-
-async _executeCommandWithDirectPromptDetection(client, command, prompt, timeout = 10000) {
-  return new Promise((resolve, reject) => {
-    if (!client._shellReady) {
-      reject(new Error('Shell not ready'));
-      return;
-    }
-    
-    // Clean prompt for better matching
-    let cleanPrompt = prompt;
-    if (prompt.includes('\n')) {
-      logger.debug(`Cleaning prompt with newline: "${prompt.replace(/\n/g, '\\n')}"`);
-      cleanPrompt = prompt.replace(/[\r\n]+$/, '');
+// Runs through the client's prompt engine, which answers pagers and strips echo and prompt.
+// Commands already in `deviceInfo` (the version command from driver selection) are not rerun.
+async _executeDeviceInfoCommands(client, driver = GENERIC_DRIVER, deviceInfo = {}) {
+  for (const cmd of Object.keys(driver.factCommands)) {
+    if (deviceInfo[cmd] !== undefined) {
+      continue;
     }
-    
-    // Clear the output buffer
-    client._outputBuffer = '';
-    
-    // Send the command
-    logger.debug(`Executing command with direct prompt detection: ${command}`);
-    client.sendCommand(command);
-    
-    const startTime = Date.now();
-    let outputBuffer = '';
-    
-    // Function to check if output contains our prompt
-    const checkForPrompt = (data) => {
-      outputBuffer += data;
-      
-      // Different ways to match the prompt
-      const exactMatch = outputBuffer.includes(prompt);
-      const cleanMatch = outputBuffer.includes(cleanPrompt);
-      const endsWithPrompt = outputBuffer.endsWith(cleanPrompt) || 
-                             outputBuffer.endsWith(cleanPrompt + ' ');
-      
-      // Check for common prompt endings
-      const lines = outputBuffer.split('\n');
-      const lastLine = lines[lines.length - 1].trim();
-      const promptPatternMatch = lastLine.endsWith('#') || 
-                                lastLine.endsWith('>') || 
-                                lastLine.endsWith('$');
-      
-      if (exactMatch || cleanMatch || endsWithPrompt) {
-        logger.debug(`Prompt detected after command "${command}"`);
-        cleanup();
-        resolve(outputBuffer);
-        return true;
-      }
-      
-      // Check if we have timeout
-      if (Date.now() - startTime > timeout) {
-        // If we have some output and it looks like it might have ended, resolve anyway
-        if (outputBuffer.length > 0 && promptPatternMatch) {
-          logger.debug(`Command timeout but prompt-like pattern detected, accepting output`);
-          cleanup();
-          resolve(outputBuffer);
-        } else {
-          logger.debug(`Command timeout with no prompt detection`);
-          cleanup();
-          reject(new Error(`Timeout waiting for prompt after command: ${command}`));
-        }
-        return true;
-      }
-      
-      return false;
-    };
-    
-    // Set up the data handler
-    const dataHandler = (data) => {
-      checkForPrompt(data);
-    };
-    
-    // Clean up function
-    const cleanup = () => {
-      client.removeListener('data', dataHandler);
-      clearInterval(checkInterval);
-      clearTimeout(timeoutHandle);
-    };
-    
-    // Listen for data
-    client.on('data', dataHandler);
-    
-    // Set up periodic checking (some devices might not trigger the data event reliably)
-    const checkInterval = setInterval(() => {
-      // Check if the current buffer contains our prompt
-      if (client._outputBuffer !== outputBuffer) {
-        const newData = client._outputBuffer.substring(outputBuffer.length);
-        if (newData.length > 0) {
-          checkForPrompt(newData);
-        }
-      }
-    }, 250);
-    
-    // Set up timeout
-    const timeoutHandle = setTimeout(() => {
-      if (outputBuffer.length > 0) {
-        // We have some output, try to check if it might have the prompt
-        const lines = outputBuffer.split('\n');
-        const lastLine = lines[lines.length - 1].trim();
-        
-        if (lastLine.endsWith('#') || lastLine.endsWith('>') || lastLine.endsWith('$')) {
-          logger.debug(`Timeout but prompt-like ending detected, accepting output`);
-          cleanup();
-          resolve(outputBuffer);
-        } else {
-          logger.debug(`Command timeout with no prompt-like ending`);
-          cleanup();
-          reject(new Error(`Timeout waiting for prompt after command: ${command}`));
-        }
-      } else {
-        logger.debug(`Command timeout with no output`);
-        cleanup();
-        reject(new Error(`Timeout with no output for command: ${command}`));
-      }
-    }, timeout);
-  });
-}
-
-// Replace this method with a better implementation using direct prompt detection
-async _executeDeviceInfoCommands(client, prompt) {
-  const deviceInfo = {};
-
-  for (const cmd of this.deviceInfoCommands) {
     try {
       logger.info(`Executing device info command: ${cmd}`);
       
-      // Use the direct prompt detection method
-      const output = await this._executeCommandWithDirectPromptDetection(client, cmd, prompt, 15000);
-      const cleanedOutput = this.parser._cleanText(output);
+      const output = await client.runCommand(cmd, 15000);
+      const cleanedOutput = this.parser._cleanText(driver.cleanOutput(cmd, output));
       deviceInfo[cmd] = cleanedOutput;
       
       // Try to extract hostname specifically
@@ -1786,19 +2368,18 @@ async _executeDeviceInfoCommands(client, prompt) {
   return deviceInfo;
 }
 
-// Replace this method with a better implementation using direct prompt detection
-async _executeDiscoveryCommands(client, prompt) {
+// Runs through the client's prompt engine, which answers pagers and strips echo and prompt
+async _executeDiscoveryCommands(client, driver = GENERIC_DRIVER) {
   const allOutputs = {};
 
-  for (const cmd of this.discoveryCommands) {
+  for (const cmd of driver.neighborCommands) {
     try {
       logger.info(`Executing command: ${cmd}`);
       
-      // Use the direct prompt detection method
-      const output = await this._executeCommandWithDirectPromptDetection(client, cmd, prompt, 30000);
+      const output = await client.runCommand(cmd, 30000);
       
       // Clean the output
-      const cleanedOutput = this.parser._cleanText(output);
+      const cleanedOutput = this.parser._cleanText(driver.cleanOutput(cmd, output));
 
       // Check for actual command errors (not just disabled protocols)
       const errorIndicators = [
@@ -1874,7 +2455,7 @@ async _executeDiscoveryCommands(client, prompt) {
 
   return allOutputs;
 }
-  _updateDeviceInfo(device, deviceInfo) {
+  _updateDeviceInfo(device, deviceInfo, driver = GENERIC_DRIVER) {
     // Update hostname if found
     if (deviceInfo.extracted_hostname && !device.hostname) {
       device.hostname = deviceInfo.extracted_hostname;
@@ -1884,9 +2465,24 @@ async _executeDiscoveryCommands(client, prompt) {
     // Store raw command outputs
     device.rawData = { ...device.rawData, ...deviceInfo };
 
-    // Try to extract additional device information
-    const versionOutput = deviceInfo['show version'] || '';
+    const versionOutput = deviceInfo[driver.versionCommand] || deviceInfo['show version'] || '';
+    
+    // Structured facts from the driver's templates and parser
+    const facts = this._parseDeviceFacts(driver, deviceInfo);
+    if (facts.deviceType) {
+      device.deviceType = facts.deviceType;
+    }
+    for (const field of ['model', 'serialNumber', 'softwareVersion', 'macAddress']) {
+      if (facts[field]) {
+        device[field] = facts[field];
+      }
+    }
+    if (facts.hostname && !device.hostname) {
+      device.hostname = facts.hostname;
+      logger.info(`Updated hostname from ${driver.versionCommand}: ${device.hostname}`);
+    }
     
+    // Regex fallbacks for platforms without templates
     // Extract serial number
     const serialMatch = /(?:Processor board ID|Serial Number)[:\s]+(\S+)/i.exec(versionOutput);
     if (serialMatch && !device.serialNumber) {
@@ -1904,10 +2500,56 @@ async _executeDiscoveryCommands(client, prompt) {
     if (versionMatch && !device.softwareVersion) {
       device.softwareVersion = versionMatch[1];
     }
+    
+    // No CDP/LLDP platform string from a neighbor, so use the collected model
+    if (!device.platform && device.model) {
+      device.platform = device.model;
+    }
   }
 
 
 
+  // Parse each of the driver's fact commands with its template, then let the
+  // driver fill in what the templates left out. Returns {} for GENERIC_DRIVER.
+  _parseDeviceFacts(driver, deviceInfo) {
+    if (!driver.platform) {
+      logger.debug('No device driver matched; skipping fact templates');
+      return {};
+    }
+    
+    const facts = { deviceType: driver.platform };
+    for (const [command, spec] of Object.entries(driver.factCommands)) {
+      const output = deviceInfo[command];
+      const parseTemplate = spec && this.factTemplates[spec.template];
+      if (!output || !parseTemplate) {
+        continue;
+      }
+      
+      // The first record is the chassis for inventory and the only one for version
+      const [record] = this.parser.parseTextFSM(output, parseTemplate.template);
+      if (!record) {
+        logger.debug(`${spec.template} produced no records`);
+        continue;
+      }
+      
+      for (const [field, column] of Object.entries(spec.fields)) {
+        const value = Array.isArray(record[column]) ? record[column][0] : record[column];
+        if (value) {
+          facts[field] = value;
+        }
+      }
+    }
+    
+    for (const [field, value] of Object.entries(driver.parseFacts(deviceInfo))) {
+      if (value && !facts[field]) {
+        facts[field] = value;
+      }
+    }
+    
+    logger.info(`Device facts (${driver.platform}): model=${facts.model || '-'}, serial=${facts.serialNumber || '-'}, version=${facts.softwareVersion || '-'}`);
+    return facts;
+  }
+
   // Add this method to NetworkDiscovery class to check exclusions
 _shouldExcludeDevice(hostname) {
   if (!hostname || this.exclusions.length === 0) {
@@ -1925,21 +2567,285 @@ _shouldExcludeDevice(hostname) {
   return false;
 }
 
-async discoverSingleThreaded(seedDevices, maxHops = 10) {
-    let currentHop = 0;
-    const devicesByHop = {};
+async discoverSingleThreaded(seedDevices, maxHops = 10, options = {}) {
     this.retryQueue = this.retryQueue || []; // Initialize retry queue if not already done
     
+    // Initialize with seed devices at hop 0
+    const devicesByHop = { 0: this._initializeSeedDevices(seedDevices) };
+    
+    return this._crawl(devicesByHop, 0, maxHops, 1, options.signal);
+  }
+
+  // Same BFS as discoverSingleThreaded, but each hop is worked by a bounded pool
+  // of concurrent device discoveries. Neighbors are queued for the next hop in
+  // the order of the devices that found them, so the result matches the
+  // sequential path.
+  async discoverConcurrent(seedDevices, maxHops = 10, options = {}) {
+    const concurrency = Math.max(1, parseInt(options.concurrency || this.maxThreads, 10) || 1);
+    this.retryQueue = this.retryQueue || [];
+    
+    const devicesByHop = { 0: this._initializeSeedDevices(seedDevices) };
+    logger.info(`Starting concurrent discovery with up to ${concurrency} devices in flight per hop`);
+    
+    return this._crawl(devicesByHop, 0, maxHops, concurrency, options.signal);
+  }
+
+  // Probe every address in the given CIDR blocks / ranges for SSH and return
+  // the responsive ones as hop-0 seed entries ({ hostname: '', ip_address }),
+  // so islands that CDP/LLDP never reaches can be crawled too. Probes go
+  // through _isPortReachable, so jump host rules apply to the sweep as well.
+  async sweepTargets(specs, options = {}) {
+    const port = options.port || this.sshPort;
+    const timeout = options.timeout || 1000;
+    const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 32);
+    const signal = options.signal || null;
+    
+    const addresses = [...new Set(specs.flatMap(spec => expandSweepSpec(spec)))];
+    logger.info(`Sweeping ${addresses.length} address(es) for port ${port} (concurrency ${concurrency})`);
+    
+    let scanned = 0;
+    const responsive = [];
+    await this._runWithConcurrency(
+      addresses,
+      concurrency,
+      async (address) => {
+        if (await this._isPortReachable(address, port, timeout)) {
+          responsive.push(address);
+        }
+        scanned++;
+        this._emitProgress(DiscoveryEvent.SWEEP_PROGRESS, {
+          scanned,
+          total: addresses.length,
+          responsive: responsive.length
+        });
+        return [];
+      },
+      () => !!(signal && signal.aborted)
+    );
+    
+    logger.info(`Sweep complete: ${responsive.length} of ${addresses.length} address(es) answered on port ${port}`);
+    
+    // Keep address order stable regardless of which probe finished first
+    const order = new Map(addresses.map((address, index) => [address, index]));
+    return responsive
+      .sort((a, b) => order.get(a) - order.get(b))
+      .map(address => ({ hostname: '', ip_address: address }));
+  }
+
+  // Continue a discovery from a checkpoint written by saveCheckpoint(). Pending
+  // devices are re-queued at their hop and the crawl picks up where it stopped.
+  async resumeFrom(checkpointFile, options = {}) {
+    if (!fs.existsSync(checkpointFile)) {
+      throw new Error(`Checkpoint file not found: ${checkpointFile}`);
+    }
+    
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to read checkpoint ${checkpointFile}: ${e.message}`);
+    }
+    
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION || !checkpoint.devices) {
+      throw new Error(`Unsupported checkpoint format in ${checkpointFile}`);
+    }
+    if (checkpoint.status === 'completed') {
+      throw new Error(`Discovery in ${checkpointFile} already completed, nothing to resume`);
+    }
+    
+    logger.info(`Resuming discovery from checkpoint: ${checkpointFile} (saved ${checkpoint.savedAt})`);
+    
+    this.checkpointFile = checkpointFile;
+    if (checkpoint.outputFile && !options.outputFile) {
+      this.outputFile = checkpoint.outputFile;
+    } else if (options.outputFile) {
+      this.outputFile = options.outputFile;
+    }
+    
+    // Restore device records and bookkeeping; neighbors saved by older
+    // versions hold raw template columns and are normalized here
+    this.discoveredDevices = {};
+    for (const [ip, data] of Object.entries(checkpoint.devices)) {
+      const device = Object.assign(new DiscoveredDevice({}), data);
+      device.neighbors = (data.neighbors || []).map(neighbor => NeighborRecord.from(neighbor));
+      this.discoveredDevices[ip] = device;
+    }
+    this.visitedIps = new Set(checkpoint.visitedIps || []);
+    this.failedIps = new Set(checkpoint.failedIps || []);
+    this.visitedHostnames = new Set(checkpoint.visitedHostnames || []);
+    this.claimedIps = new Set(checkpoint.claimedIps || Object.keys(this.discoveredDevices));
+    this.credentialSelector.restore(checkpoint.credentialState);
+    this.retryQueue = [];
+    
+    // Rebuild the per-hop queues from the pending IPs
+    const devicesByHop = {};
+    let startHop = null;
+    for (const [hop, ips] of Object.entries(checkpoint.pendingByHop || {})) {
+      const hopNumber = parseInt(hop, 10);
+      devicesByHop[hopNumber] = ips
+        .map(ip => this.discoveredDevices[ip])
+        .filter(device => device && !device.visited && !device.failed);
+      
+      if (devicesByHop[hopNumber].length > 0 && (startHop === null || hopNumber < startHop)) {
+        startHop = hopNumber;
+      }
+    }
+    
+    const maxHops = options.maxHops !== undefined ? options.maxHops : checkpoint.maxHops;
+    const concurrency = Math.max(1, parseInt(options.concurrency || checkpoint.concurrency, 10) || 1);
+    
+    if (startHop === null) {
+      logger.info('Checkpoint has no pending devices, finalizing results');
+      return this._finalizeDiscovery();
+    }
+    
+    const pendingCount = Object.values(devicesByHop).reduce((sum, list) => sum + list.length, 0);
+    logger.info(`Restored ${Object.keys(this.discoveredDevices).length} devices, ${pendingCount} pending from hop ${startHop}`);
+    
+    return this._crawl(devicesByHop, startHop, maxHops, concurrency, options.signal);
+  }
+
+  // Hop-by-hop BFS shared by the sequential, concurrent and resumed entry points.
+  // When signal aborts, open sessions are closed, no further devices or hops
+  // are started and the partial result is saved with status 'cancelled'.
+  async _crawl(devicesByHop, startHop, maxHops, concurrency, signal = null) {
+    let currentHop = startHop;
+    this._crawlOptions = { maxHops, concurrency };
+    this._inFlightDevices = new Set();
+    this._signal = signal || null;
+    this.status = 'running';
+    
+    const onAbort = () => {
+      logger.warning(`Discovery cancelled, closing ${this._activeClients.size} active SSH session(s)`);
+      for (const client of this._activeClients) {
+        try {
+          client.disconnect();
+        } catch (e) {
+          logger.debug(`Error closing SSH session during cancellation: ${e.message}`);
+        }
+      }
+      this._activeClients.clear();
+      this.jumpHosts.closeAll();
+    };
+    if (this._signal) {
+      this._signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    this.saveCheckpoint();
+    
+    try {
+      // Process each hop level
+      while (currentHop <= maxHops) {
+        if (this._isCancelled()) {
+          logger.info(`Discovery cancelled before hop ${currentHop}`);
+          break;
+        }
+        
+        const currentDevices = devicesByHop[currentHop] || [];
+      
+        if (currentDevices.length === 0) {
+          logger.info(`No devices to process at hop ${currentHop}, stopping BFS`);
+          break;
+        }
+      
+        if (concurrency > 1) {
+          logger.info(`\n=== Processing hop ${currentHop}: ${currentDevices.length} devices (concurrency ${concurrency}) ===`);
+        } else {
+          logger.info(`\n=== Processing hop ${currentHop}: ${currentDevices.length} devices ===`);
+        }
+      
+        this._emitProgress(DiscoveryEvent.HOP_STARTED, { hop: currentHop, devices: currentDevices });
+      
+        // Results are indexed by position in the hop so the next hop queue is
+        // built in a stable order regardless of which worker finished first
+        const results = await this._runWithConcurrency(
+          currentDevices,
+          concurrency,
+          device => this._discoverHopDevice(device, currentHop),
+          () => this._isCancelled()
+        );
+      
+        // A resumed crawl may already have devices queued for the next hop
+        devicesByHop[currentHop + 1] = (devicesByHop[currentHop + 1] || []).concat(...results);
+      
+        this._logHopSummary(currentHop, currentDevices, devicesByHop[currentHop + 1]);
+        this._emitProgress(DiscoveryEvent.HOP_COMPLETED, {
+          hop: currentHop,
+          devices: currentDevices,
+          nextHopCount: devicesByHop[currentHop + 1].length
+        });
+      
+        // Check if next hop has devices before moving to it
+        if (devicesByHop[currentHop + 1].length > 0) {
+          logger.info(`Moving to hop ${currentHop + 1} with ${devicesByHop[currentHop + 1].length} devices`);
+          currentHop++;
+        } else {
+          logger.info(`No devices in next hop queue, stopping discovery`);
+          break;
+        }
+      }
+    } catch (error) {
+      this._saveCapture();
+      throw error;
+    } finally {
+      if (this._signal) {
+        this._signal.removeEventListener('abort', onAbort);
+      }
+      this.jumpHosts.closeAll();
+    }
+    
+    return this._finalizeDiscovery();
+  }
+
+  _isCancelled() {
+    return !!(this._signal && this._signal.aborted);
+  }
+
+  // Run worker over items with at most `concurrency` calls in flight.
+  // Returns the worker results in item order; items not started because
+  // shouldStop() returned true yield an empty result.
+  async _runWithConcurrency(items, concurrency, worker, shouldStop = () => false) {
+    const results = items.map(() => []);
+    let nextIndex = 0;
+    
+    const runWorker = async () => {
+      while (nextIndex < items.length && !shouldStop()) {
+        // Claiming the index is synchronous, so no two workers get the same item
+        const index = nextIndex++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (e) {
+          logger.error(`Worker error on item ${index}: ${e.message}`);
+          results[index] = [];
+        }
+      }
+    };
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+      workers.push(runWorker());
+    }
+    await Promise.all(workers);
+    
+    return results;
+  }
+
+  _initializeSeedDevices(seedDevices) {
     // Ensure tracking sets are initialized
     this.visitedIps = this.visitedIps || new Set();
     this.failedIps = this.failedIps || new Set();
     this.visitedHostnames = this.visitedHostnames || new Set();
+    this.claimedIps = this.claimedIps || new Set();
     
-    // Initialize with seed devices at hop 0
-    devicesByHop[0] = [];
+    const hopZero = [];
     for (const device of seedDevices) {
       const hostname = device.hostname || '';
-      const ipAddress = device.ip_address;
+      const ipAddress = normalizeIpAddress(device.ip_address) || device.ip_address;
+      
+      // A seed may name its own bastion chain, scoped to that address only
+      if (Array.isArray(device.jumpHosts)) {
+        this.jumpHosts.addRule(ipAddress, device.jumpHosts);
+      }
       
       const dev = new DiscoveredDevice({
         hostname: hostname,
@@ -1950,89 +2856,139 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
       // Add to discovered devices but DON'T mark as visited yet
       // This allows them to be processed once
       this.discoveredDevices[dev.ipAddress] = dev;
-      devicesByHop[0].push(dev);
+      this.claimedIps.add(dev.ipAddress);
+      hopZero.push(dev);
     }
     
-    // Process each hop level
-    while (currentHop <= maxHops) {
-      const currentDevices = devicesByHop[currentHop] || [];
-      
-      if (currentDevices.length === 0) {
-        logger.info(`No devices to process at hop ${currentHop}, stopping BFS`);
-        break;
-      }
-      
-      logger.info(`\n=== Processing hop ${currentHop}: ${currentDevices.length} devices ===`);
-      
-      // Ensure next hop level list exists
-      if (!devicesByHop[currentHop + 1]) {
-        devicesByHop[currentHop + 1] = [];
-      }
+    return hopZero;
+  }
+
+  // Discover a single device as part of a hop and return its new neighbors
+  async _discoverHopDevice(device, currentHop) {
+    // Skip if already processed or failed
+    if (device.visited || device.failed || this._isCancelled()) {
+      return [];
+    }
+    
+    this._inFlightDevices = this._inFlightDevices || new Set();
+    this._inFlightDevices.add(device);
+    this._emitProgress(DiscoveryEvent.DEVICE_STARTED, { hop: currentHop, device });
+    
+    // Validate reachability
+    const reachable = await this._validateDeviceReachability(device);
+    
+    // For unreachable devices, the _validateDeviceReachability method
+    // should have already marked them as failed
+    if (!reachable) {
+      this._inFlightDevices.delete(device);
+      this._emitDeviceOutcome(device, currentHop, []);
+      this.saveCheckpoint();
+      return [];
+    }
+    
+    let newNeighbors = [];
+    try {
+      // Now proceed with discovery
+      newNeighbors = await this._discoverDevice(device, currentHop);
       
-      // Process devices at current hop
-      for (const device of currentDevices) {
-        // Skip if already processed or failed
-        if (device.visited || device.failed) {
-          continue;
-        }
-        
-        // Validate reachability
-        const reachable = await this._validateDeviceReachability(device);
-        
-        if (reachable) {
-          try {
-            // Now proceed with discovery
-            const newNeighbors = await this._discoverDevice(device, currentHop);
-            
-            if (newNeighbors && Array.isArray(newNeighbors) && newNeighbors.length > 0) {
-              logger.info(`Device ${device.ipAddress} discovered ${newNeighbors.length} new neighbors`);
-              newNeighbors.forEach(neighbor => {
-                logger.info(`  - ${neighbor.ipAddress} (${neighbor.hostname || 'unknown'})`);
-              });
-              devicesByHop[currentHop + 1].push(...newNeighbors);
-            } else {
-              logger.info(`Device ${device.ipAddress} has no new neighbors to discover`);
-            }
-          } catch (e) {
-            logger.error(`Error processing device ${device.ipAddress}: ${e.message}`);
-            logger.error(e.stack);
-            device.failed = true;
-            device.errorMsg = e.message;
-          }
-          
-          // Save incremental results
-          this.saveToJson();
-        }
-        // For unreachable devices, the _validateDeviceReachability method 
-        // should have already marked them as failed
+      if (newNeighbors && Array.isArray(newNeighbors) && newNeighbors.length > 0) {
+        logger.info(`Device ${device.ipAddress} discovered ${newNeighbors.length} new neighbors`);
+        newNeighbors.forEach(neighbor => {
+          logger.info(`  - ${neighbor.ipAddress} (${neighbor.hostname || 'unknown'})`);
+        });
+      } else {
+        logger.info(`Device ${device.ipAddress} has no new neighbors to discover`);
+        newNeighbors = [];
       }
-      
-      // Report on this hop's processing
-      const successful = currentDevices.filter(d => d.visited && !d.failed).length;
-      const failed = currentDevices.filter(d => d.failed).length;
-      const pending = currentDevices.filter(d => !d.visited && !d.failed).length;
-      
-      logger.info(`\n=== Hop ${currentHop} Summary ===`);
-      logger.info(`  Successful: ${successful}`);
-      logger.info(`  Failed: ${failed}`);
-      logger.info(`  Pending: ${pending}`);
-      logger.info(`  Next hop queue: ${devicesByHop[currentHop + 1].length} devices`);
-      
-      // ADD THIS SECTION - Check next hop before incrementing
-      logger.info(`\n=== Completed hop ${currentHop} ===`);
-      logger.info(`Next hop queue size: ${devicesByHop[currentHop + 1] ? devicesByHop[currentHop + 1].length : 0} devices`);
-      
-      // Check if next hop has devices before moving to it
-      if (devicesByHop[currentHop + 1] && devicesByHop[currentHop + 1].length > 0) {
-        logger.info(`Moving to hop ${currentHop + 1} with ${devicesByHop[currentHop + 1].length} devices`);
-        currentHop++;
+    } catch (e) {
+      if (e instanceof DiscoveryCancelledError) {
+        // Interrupted mid-scan; leave it pending so a resume picks it up
+        logger.info(`Discovery of ${device.ipAddress} cancelled`);
+        this._revertToPending(device);
       } else {
-        logger.info(`No devices in next hop queue, stopping discovery`);
-        break;
+        logger.error(`Error processing device ${device.ipAddress}: ${e.message}`);
+        logger.error(e.stack);
+        device.failed = true;
+        device.errorMsg = e.message;
+        device.failureReason = FailureReason.ERROR;
       }
-      // END ADDED SECTION - Don't increment currentHop unconditionally!
     }
     
+    this._inFlightDevices.delete(device);
+    this._emitDeviceOutcome(device, currentHop, newNeighbors);
+    
+    // Save incremental results
+    this.saveToJson();
+    this.saveCheckpoint();
+    
+    return newNeighbors;
+  }
+
+  // Report how a device finished: deviceFailed, neighborsFound, or nothing if it
+  // was put back to pending by a cancellation
+  _emitDeviceOutcome(device, hop, neighbors) {
+    if (device.failed) {
+      this._emitProgress(DiscoveryEvent.DEVICE_FAILED, {
+        hop,
+        device,
+        reason: device.failureReason || FailureReason.ERROR,
+        message: device.errorMsg
+      });
+    } else if (device.visited) {
+      this._emitProgress(DiscoveryEvent.NEIGHBORS_FOUND, { hop, device, neighbors });
+    }
+  }
+
+  _progressCounters() {
+    const devices = Object.values(this.discoveredDevices);
+    const successful = devices.filter(d => d.visited && !d.failed).length;
+    const failed = devices.filter(d => d.failed).length;
+    const inFlight = this._inFlightDevices ? this._inFlightDevices.size : 0;
+    return {
+      total: devices.length,
+      successful,
+      failed,
+      pending: devices.length - successful - failed,
+      inFlight
+    };
+  }
+
+  // Emit a DiscoveryEvent. A throwing listener must not break the crawl.
+  _emitProgress(event, payload = {}) {
+    try {
+      this.emit(event, { ...payload, counters: this._progressCounters() });
+    } catch (e) {
+      logger.error(`Error in ${event} listener: ${e.message}`);
+    }
+  }
+
+  _revertToPending(device) {
+    device.visited = false;
+    device.failed = false;
+    device.errorMsg = null;
+    device.failureReason = null;
+    this.visitedIps.delete(device.ipAddress);
+    if (device.hostname) {
+      this.visitedHostnames.delete(device.hostname);
+    }
+  }
+
+  _logHopSummary(currentHop, currentDevices, nextHopDevices) {
+    const successful = currentDevices.filter(d => d.visited && !d.failed).length;
+    const failed = currentDevices.filter(d => d.failed).length;
+    const pending = currentDevices.filter(d => !d.visited && !d.failed).length;
+    
+    logger.info(`\n=== Hop ${currentHop} Summary ===`);
+    logger.info(`  Successful: ${successful}`);
+    logger.info(`  Failed: ${failed}`);
+    logger.info(`  Pending: ${pending}`);
+    logger.info(`  Next hop queue: ${nextHopDevices.length} devices`);
+    
+    logger.info(`\n=== Completed hop ${currentHop} ===`);
+    logger.info(`Next hop queue size: ${nextHopDevices.length} devices`);
+  }
+
+  _finalizeDiscovery() {
     // Post-process to fill in missing data
     this._postProcessDeviceData();
     
@@ -2043,7 +2999,9 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     const unreachable = Object.values(this.discoveredDevices).filter(d => d.reachabilityStatus === 'unreachable').length;
     const pending = total - successful - failed;
     
-    logger.info('\n=== DISCOVERY COMPLETE ===');
+    this.status = this._isCancelled() ? 'cancelled' : 'completed';
+    
+    logger.info(this.status === 'cancelled' ? '\n=== DISCOVERY CANCELLED ===' : '\n=== DISCOVERY COMPLETE ===');
     logger.info(`Total devices discovered: ${total}`);
     logger.info(`Successfully scanned: ${successful}`);
     logger.info(`Unreachable (auth failed): ${unreachable}`);
@@ -2052,11 +3010,11 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     
     // Protocol statistics
     const cdpDevices = Object.values(this.discoveredDevices).filter(d => 
-      d.neighbors && Array.isArray(d.neighbors) && d.neighbors.some(n => n && n.discovered_via && n.discovered_via.includes('cdp'))
+      d.neighbors && Array.isArray(d.neighbors) && d.neighbors.some(n => n && n.protocol === 'cdp')
     ).length;
     
     const lldpDevices = Object.values(this.discoveredDevices).filter(d => 
-      d.neighbors && Array.isArray(d.neighbors) && d.neighbors.some(n => n && n.discovered_via && n.discovered_via.includes('lldp'))
+      d.neighbors && Array.isArray(d.neighbors) && d.neighbors.some(n => n && n.protocol === 'lldp')
     ).length;
     
     logger.info(`\nProtocol Statistics:`);
@@ -2065,10 +3023,37 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     
     logger.info(`\nResults saved to ${this.outputFile}`);
     
-    this.saveToJson();
+    if (this.status === 'cancelled') {
+      logger.info(`Resume with the checkpoint at ${this.checkpointFile}`);
+    }
+    
+    try {
+      this.saveToJson();
+      this.saveCheckpoint(this.status);
+    } finally {
+      this._saveCapture();
+    }
+    this._emitProgress(DiscoveryEvent.DISCOVERY_COMPLETED, {
+      status: this.status,
+      devices: this.discoveredDevices,
+      outputFile: this.outputFile
+    });
     return this.discoveredDevices;
   }
 
+  // Write the capture bundle's manifest however the run ends: a failed or
+  // cancelled run is the one most worth replaying
+  _saveCapture() {
+    if (!this.capture) {
+      return;
+    }
+    try {
+      this.capture.save();
+    } catch (error) {
+      logger.error(`Error saving capture bundle: ${error.message}`);
+    }
+  }
+
   _postProcessDeviceData() {
     logger.info('Post-processing device data...');
     
@@ -2079,32 +3064,9 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     for (const [ip, device] of Object.entries(this.discoveredDevices)) {
       if (device.neighbors) {
         for (const neighbor of device.neighbors) {
-          let neighborIp = null;
-          let neighborHostname = null;
-          let neighborPlatform = null;
-          
-          // Extract IP
-          const ipFields = ['mgmt_address', 'management_ip', 'ip_address', 'neighbor_ip'];
-          for (const field of ipFields) {
-            if (neighbor[field]) {
-              neighborIp = neighbor[field].trim();
-              break;
-            }
-          }
-          
-          // Extract hostname
-          const hostnameFields = ['neighbor_name', 'device_id', 'hostname', 'neighbor', 'system_name'];
-          for (const field of hostnameFields) {
-            if (neighbor[field]) {
-              neighborHostname = neighbor[field].trim();
-              break;
-            }
-          }
-          
-          // Extract platform
-          if (neighbor.platform) {
-            neighborPlatform = neighbor.platform;
-          }
+          const neighborIp = neighbor.primaryAddress();
+          const neighborHostname = neighbor.systemName;
+          const neighborPlatform = neighbor.platform;
           
           if (neighborIp && neighborHostname) {
             ipToHostnameMap[neighborIp] = neighborHostname;
@@ -2130,15 +3092,9 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     }
   }
 
+  // IPv4 or IPv6, as it appears in CDP/LLDP output (e.g. "2001:DB8::1 (global unicast)")
   _isValidIpAddress(ip) {
-    if (!ip) return false;
-    
-    // Clean up the IP address by trimming whitespace and removing any non-digit or dot characters
-    const cleanedIp = String(ip).trim().replace(/[^\d.]/g, '');
-    
-    // Check if it's a valid IPv4 format
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    return ipv4Regex.test(cleanedIp);
+    return normalizeIpAddress(ip) !== null;
   }
 
   saveToJson() {
@@ -2153,6 +3109,7 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
         metadata: {
           total_devices: Object.keys(deviceDicts).length,
           discovered_at: new Date().toISOString(),
+          status: this.status,
           successful: Object.values(this.discoveredDevices).filter(d => d.visited && !d.failed).length,
           failed: Object.values(this.discoveredDevices).filter(d => d.failed).length,
           max_hop_count: Math.max(...Object.values(this.discoveredDevices).map(d => d.hopCount), 0),
@@ -2170,6 +3127,78 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     }
   }
 
+  static checkpointPathFor(outputFile) {
+    const base = outputFile.replace(/\.json$/i, '');
+    return `${base}.checkpoint.json`;
+  }
+
+  // Persist everything needed to resume: pending devices grouped by hop, the
+  // visited/failed bookkeeping and the partial device records. Devices that are
+  // mid-discovery are written as pending so a resume retries them.
+  saveCheckpoint(status = 'running') {
+    if (!this.checkpointFile) {
+      return;
+    }
+    
+    try {
+      const inFlight = this._inFlightDevices || new Set();
+      const visitedIps = new Set(this.visitedIps);
+      const visitedHostnames = new Set(this.visitedHostnames);
+      const devices = {};
+      const pendingByHop = {};
+      
+      for (const [ip, device] of Object.entries(this.discoveredDevices)) {
+        const record = { ...device };
+        
+        if (inFlight.has(device)) {
+          record.visited = false;
+          record.failed = false;
+          record.errorMsg = null;
+          record.failureReason = null;
+          visitedIps.delete(ip);
+          visitedIps.delete(device.ipAddress);
+          if (device.hostname) {
+            visitedHostnames.delete(device.hostname);
+          }
+        }
+        
+        devices[ip] = record;
+        
+        if (!record.visited && !record.failed) {
+          const hop = record.hopCount || 0;
+          pendingByHop[hop] = pendingByHop[hop] || [];
+          pendingByHop[hop].push(ip);
+        }
+      }
+      
+      const checkpoint = {
+        version: CHECKPOINT_VERSION,
+        status: status,
+        savedAt: new Date().toISOString(),
+        outputFile: this.outputFile,
+        maxHops: this._crawlOptions ? this._crawlOptions.maxHops : null,
+        concurrency: this._crawlOptions ? this._crawlOptions.concurrency : 1,
+        pendingByHop: pendingByHop,
+        visitedIps: [...visitedIps],
+        failedIps: [...this.failedIps],
+        visitedHostnames: [...visitedHostnames],
+        claimedIps: [...(this.claimedIps || [])],
+        // No secrets: the last-success cache (positions in the credential list,
+        // saved with a description of that list) and failed logins per username
+        credentialState: this.credentialSelector.toJSON(),
+        devices: devices
+      };
+      
+      // Write to a temp file first so a crash mid-write never leaves a torn checkpoint
+      const tmpFile = `${this.checkpointFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(checkpoint, null, 2));
+      fs.renameSync(tmpFile, this.checkpointFile);
+      logger.debug(`Wrote discovery checkpoint to ${this.checkpointFile}`);
+    } catch (e) {
+      logger.error(`Error saving discovery checkpoint: ${e.message}`);
+    }
+  }
+
   generateTopologyGraph() {
     const nodes = [];
     const links = [];
@@ -2183,6 +3212,10 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
         status: device.visited && !device.failed ? 'success' : 
                device.failed ? 'failed' : 'pending',
         platform: device.platform,
+        deviceType: device.deviceType,
+        model: device.model,
+        serialNumber: device.serialNumber,
+        softwareVersion: device.softwareVersion,
         capabilities: device.capabilities,
         interfaces: device.interfaces
       });
@@ -2201,38 +3234,7 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
     for (const [ip, device] of Object.entries(this.discoveredDevices)) {
       if (device.neighbors) {
         for (const neighbor of device.neighbors) {
-          let neighborIp = null;
-          let localInterface = null;
-          let remoteInterface = null;
-          
-          // Extract IP and interface information
-          const localInterfaceFields = ['local_interface', 'local_intf', 'interface', 'port', 'local_port'];
-          const remoteInterfaceFields = ['remote_interface', 'remote_intf', 'neighbor_interface', 'port_id', 'remote_port'];
-          
-          // Find IP
-            const ipFields = ['mgmt_address', 'management_ip', 'ip_address', 'neighbor_ip', 
-                'MGMT_ADDRESS', 'IP_ADDRESS', 'NEIGHBOR_IP'];
-            for (const field of ipFields) {
-            if (neighbor[field]) {
-            neighborIp = neighbor[field].trim();
-            break;
-            }
-            }
-          
-          // Find interfaces
-          for (const field of localInterfaceFields) {
-            if (neighbor[field]) {
-              localInterface = neighbor[field];
-              break;
-            }
-          }
-          
-          for (const field of remoteInterfaceFields) {
-            if (neighbor[field]) {
-              remoteInterface = neighbor[field];
-              break;
-            }
-          }
+          const neighborIp = neighbor.primaryAddress();
 
           if (neighborIp && this.discoveredDevices[neighborIp]) {
             // Check if link already exists
@@ -2245,9 +3247,9 @@ async discoverSingleThreaded(seedDevices, maxHops = 10) {
               links.push({
                 source: ip,
                 target: neighborIp,
-                type: neighbor.discovered_via ? neighbor.discovered_via.split(' ')[1] : 'unknown',
-                sourceInterface: localInterface,
-                targetInterface: remoteInterface
+                type: neighbor.protocol || 'unknown',
+                sourceInterface: neighbor.localPort,
+                targetInterface: neighbor.remotePort
               });
             }
           }
@@ -2265,8 +3267,59 @@ async function main() {
   const args = process.argv.slice(2);
   let exclusions = '';
   let maxHops = 4;
+  let maxHopsGiven = false;
   const seedDevices = [];
   let credsFile = 'creds.json'; // Default creds file name
+  let resumeFile = null;
+  let jumpFile = null;
+  const sweepSpecs = [];
+  let sweepConcurrency = 32;
+  let captureDir = null;
+  let replayDir = null;
+  let telnetFallback = false;
+  let telnetSubnets = [];
+  let hostKeyFile = path.join(os.homedir(), '.network-mapper', 'host_keys.json');
+  let knownHostsFile = null;
+  let strictHostKeyChecking = false;
+  let maxAuthFailures = 0;
+  
+  // Queue one seed entry: hostname,ip, a bare IP, or a CIDR block/range to sweep
+  const addSeedEntry = (seedInput) => {
+    const entry = seedInput.trim();
+    if (!entry) {
+      return true;
+    }
+    if (entry.includes(',')) {
+      // Check if input contains a comma (hostname,ip format)
+      const seedParts = entry.split(',');
+      if (seedParts.length !== 2) {
+        console.error(`Error: Invalid seed format: ${entry}. Must be hostname,ip_address or just ip_address`);
+        return false;
+      }
+      seedDevices.push({
+        hostname: seedParts[0].trim(),
+        ip_address: seedParts[1].trim()
+      });
+    } else if (isSweepSpec(entry)) {
+      try {
+        expandSweepSpec(entry);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return false;
+      }
+      sweepSpecs.push(entry);
+      console.log(`Added sweep target: ${entry}`);
+    } else {
+      // If no comma, treat as single IP address and leave hostname blank
+      // The system will attempt to get hostname during discovery
+      seedDevices.push({
+        hostname: '',  // Empty hostname
+        ip_address: entry
+      });
+      console.log(`Added seed device with IP: ${entry} (hostname will be determined during discovery)`);
+    }
+    return true;
+  };
   
   // Display help if requested
   if (args.includes('--help') || args.includes('-h')) {
@@ -2275,13 +3328,41 @@ Network Discovery Tool - Command Line Options:
   --exclude PATTERN[,PATTERN...]  Exclude devices matching these patterns
   --seed HOST,IP[;HOST,IP...]     Specify seed device(s) for discovery (semicolon separated)
                                   Single IP format also accepted (hostname will be derived)
+                                  CIDR blocks and ranges (10.0.0.0/24, 10.0.0.10-50) are
+                                  swept for SSH and responsive hosts become seeds
+  --seed-file FILENAME            Read seeds/targets from a file, one entry per line
+  --sweep-concurrency NUMBER      Parallel SSH probes while sweeping (default: 32)
   --max-hops NUMBER               Maximum hop count for discovery (default: 4)
   --creds-file FILENAME           JSON file containing credentials (default: creds.json)
+  --resume [CHECKPOINT]           Resume an interrupted discovery from its checkpoint
+                                  (default: network_topology.checkpoint.json)
+  --jump-file FILENAME            JSON file with jumpHosts and/or jumpHostRules for
+                                  devices only reachable through a bastion
+  --telnet [SUBNET[,SUBNET...]]   Fall back to Telnet (port 23) for devices that refuse
+                                  SSH, optionally only inside these subnets
+  --host-key-file FILENAME        SSH host keys pinned on first use
+                                  (default: ~/.network-mapper/host_keys.json)
+  --known-hosts FILENAME          OpenSSH known_hosts file to check host keys against
+  --strict-host-keys              Refuse hosts that are not in known_hosts or already
+                                  pinned, instead of pinning them
+  --max-auth-failures N           Stop trying an account after N failed logins
+                                  (default: no limit)
+  --record DIRECTORY              Save every command and its raw output per device,
+                                  plus probes and DNS lookups, to a capture bundle
+  --replay DIRECTORY              Run discovery from a capture bundle with no network;
+                                  the credentials file is optional
   --help, -h                      Display this help message
     
 Example: 
   node discovery.js --seed switch1,10.0.0.1;router1,10.0.0.2 --exclude core,backup --max-hops 3 --creds-file my-creds.json
   node discovery.js --seed 10.0.0.1 --exclude backup --max-hops 2
+  node discovery.js --resume --creds-file my-creds.json
+  node discovery.js --seed 10.20.0.1 --jump-file jump.json
+  node discovery.js --seed 10.0.0.1 --telnet 10.30.0.0/16
+  node discovery.js --seed 10.0.0.1 --known-hosts ~/.ssh/known_hosts --strict-host-keys
+  node discovery.js --seed 10.10.0.0/24;10.10.1.5-40 --max-hops 2
+  node discovery.js --seed 10.0.0.1 --record capture-site1
+  node discovery.js --seed 10.0.0.1 --replay capture-site1
     `);
     return;
   }
@@ -2293,31 +3374,29 @@ Example:
       i++;
     } else if (args[i] === '--seed' && i + 1 < args.length) {
       // Support for both seed formats - single IP or hostname,ip pairs
-      const seedsArray = args[i + 1].split(';');
-      
-      for (const seedInput of seedsArray) {
-        // Check if input contains a comma (hostname,ip format)
-        if (seedInput.includes(',')) {
-          const seedParts = seedInput.split(',');
-          if (seedParts.length === 2) {
-            seedDevices.push({
-              hostname: seedParts[0].trim(),
-              ip_address: seedParts[1].trim()
-            });
-          } else {
-            console.error(`Error: Invalid seed format: ${seedInput}. Must be hostname,ip_address or just ip_address`);
+      for (const seedInput of args[i + 1].split(';')) {
+        if (!addSeedEntry(seedInput)) {
+          return; // Exit if invalid format
+        }
+      }
+      i++;
+    } else if (args[i] === '--seed-file' && i + 1 < args.length) {
+      try {
+        for (const seedInput of parseTargetList(fs.readFileSync(args[i + 1], 'utf8'))) {
+          if (!addSeedEntry(seedInput)) {
             return; // Exit if invalid format
           }
-        } else {
-          // If no comma, treat as single IP address and leave hostname blank
-          // The system will attempt to get hostname during discovery
-          const ipAddress = seedInput.trim();
-          seedDevices.push({
-            hostname: '',  // Empty hostname
-            ip_address: ipAddress
-          });
-          console.log(`Added seed device with IP: ${ipAddress} (hostname will be determined during discovery)`);
         }
+      } catch (error) {
+        console.error(`Error reading seed file ${args[i + 1]}: ${error.message}`);
+        return;
+      }
+      i++;
+    } else if (args[i] === '--sweep-concurrency' && i + 1 < args.length) {
+      sweepConcurrency = parseInt(args[i + 1]);
+      if (isNaN(sweepConcurrency) || sweepConcurrency < 1) {
+        console.error(`Error: Invalid sweep-concurrency value: ${args[i + 1]}. Must be a positive number.`);
+        return; // Exit if invalid
       }
       i++;
     } else if (args[i] === '--max-hops' && i + 1 < args.length) {
@@ -2326,15 +3405,77 @@ Example:
         console.error(`Error: Invalid max-hops value: ${args[i + 1]}. Must be a number.`);
         return; // Exit if invalid
       }
+      maxHopsGiven = true;
       i++;
     } else if ((args[i] === '--creds-file' || args[i] === '--creds') && i + 1 < args.length) {
       credsFile = args[i + 1];
       i++;
+    } else if (args[i] === '--resume') {
+      // Checkpoint path is optional
+      if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        resumeFile = args[i + 1];
+        i++;
+      } else {
+        resumeFile = NetworkDiscovery.checkpointPathFor('network_topology.json');
+      }
+    } else if (args[i] === '--jump-file' && i + 1 < args.length) {
+      jumpFile = args[i + 1];
+      i++;
+    } else if (args[i] === '--telnet') {
+      telnetFallback = true;
+      // Subnets are optional
+      if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        telnetSubnets = args[i + 1].split(',').map(subnet => subnet.trim()).filter(Boolean);
+        try {
+          telnetSubnets.forEach(subnet => parseCidr(subnet));
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          return;
+        }
+        i++;
+      }
+    } else if (args[i] === '--host-key-file' && i + 1 < args.length) {
+      hostKeyFile = args[i + 1];
+      i++;
+    } else if (args[i] === '--known-hosts' && i + 1 < args.length) {
+      knownHostsFile = args[i + 1];
+      i++;
+    } else if (args[i] === '--strict-host-keys') {
+      strictHostKeyChecking = true;
+    } else if (args[i] === '--max-auth-failures' && i + 1 < args.length) {
+      maxAuthFailures = parseInt(args[i + 1], 10);
+      if (isNaN(maxAuthFailures) || maxAuthFailures < 0) {
+        console.error('Error: --max-auth-failures must be 0 or more');
+        return;
+      }
+      i++;
+    } else if (args[i] === '--record' && i + 1 < args.length) {
+      captureDir = args[i + 1];
+      i++;
+    } else if (args[i] === '--replay' && i + 1 < args.length) {
+      replayDir = args[i + 1];
+      i++;
+    }
+  }
+  
+  if (captureDir && replayDir) {
+    console.error('Error: --record and --replay cannot be used together.');
+    return;
+  }
+  
+  let replayBundle = null;
+  if (replayDir) {
+    try {
+      replayBundle = CaptureBundle.load(replayDir);
+      console.log(`Replaying capture bundle ${replayDir} (recorded ${replayBundle.createdAt})`);
+    } catch (error) {
+      console.error(`Error loading capture bundle: ${error.message}`);
+      return;
     }
   }
   
   // Validate that we have seed devices
-  if (seedDevices.length === 0) {
+  if (seedDevices.length === 0 && sweepSpecs.length === 0 && !resumeFile) {
     console.error('Error: No seed devices specified. Use --seed option to specify at least one seed device.');
     console.log('Run with --help for usage information.');
     return; // Exit if no seeds
@@ -2354,6 +3495,10 @@ Example:
         console.error(`Error: Credentials file must contain an array of credential objects`);
         return; // Exit on invalid creds file
       }
+    } else if (replayBundle) {
+      // Replayed logins only check the username that logged in while recording
+      credentials = replayBundle.usernames().map(username => new Credential({ username }));
+      console.log(`Using the ${credentials.length} recorded login(s) from the capture bundle`);
     } else {
       console.error(`Error: Credentials file ${credsFile} not found.`);
       return; // Exit if creds file not found
@@ -2368,13 +3513,36 @@ Example:
     return; // Exit if no valid credentials
   }
   
+  // Load jump host configuration
+  let jumpConfig = {};
+  if (jumpFile) {
+    try {
+      jumpConfig = JSON.parse(fs.readFileSync(jumpFile, 'utf8'));
+      console.log(`Loaded jump host configuration from ${jumpFile}`);
+    } catch (error) {
+      console.error(`Error loading jump host configuration from ${jumpFile}: ${error.message}`);
+      return; // Exit on jump file error
+    }
+  }
+  
   // Log the settings
-  console.log(`Starting discovery with ${seedDevices.length} seed device(s):`);
-  seedDevices.forEach(device => {
-    console.log(`  - ${device.hostname || '[Hostname pending]'} (${device.ip_address})`);
-  });
-  console.log(`Using ${credentials.length} credential(s)`);
-  console.log(`Maximum hop count: ${maxHops}`);
+  if (resumeFile) {
+    console.log(`Resuming discovery from checkpoint: ${resumeFile}`);
+  } else {
+    console.log(`Starting discovery with ${seedDevices.length} seed device(s):`);
+    seedDevices.forEach(device => {
+      console.log(`  - ${device.hostname || '[Hostname pending]'} (${device.ip_address})`);
+    });
+    if (sweepSpecs.length > 0) {
+      console.log(`Sweep targets: ${sweepSpecs.join(', ')}`);
+    }
+    console.log(`Maximum hop count: ${maxHops}`);
+  }
+  console.log(`Using ${credentials.length} credential(s)${maxAuthFailures > 0 ? `, at most ${maxAuthFailures} failed login(s) per account` : ''}`);
+  if (telnetFallback) {
+    console.log(`Telnet fallback: ${telnetSubnets.length > 0 ? telnetSubnets.join(', ') : 'all devices'}`);
+  }
+  console.log(`Host keys: ${hostKeyFile}${knownHostsFile ? `, checked against ${knownHostsFile}` : ''}${strictHostKeyChecking ? ' (strict)' : ''}`);
   if (exclusions) {
     console.log(`Exclusion patterns: ${exclusions}`);
   }
@@ -2383,7 +3551,17 @@ Example:
   const discovery = new NetworkDiscovery(credentials, {
     maxThreads: 1,
     outputFile: 'network_topology.json',
-    exclusions: exclusions
+    exclusions: exclusions,
+    jumpHosts: jumpConfig.jumpHosts || [],
+    jumpHostRules: jumpConfig.jumpHostRules || [],
+    telnetFallback,
+    telnetSubnets,
+    hostKeyFile,
+    knownHostsFile,
+    strictHostKeyChecking,
+    maxAuthFailures,
+    captureDir,
+    replayBundle
   });
 
   // Add custom regex templates if needed
@@ -2394,8 +3572,42 @@ Example:
     'hostname_regex'
   );
 
-  // Run discovery with the seed devices
-  const discovered = await discovery.discoverSingleThreaded(seedDevices, maxHops);
+  // Ctrl+C stops the crawl cleanly and leaves a resumable checkpoint
+  const abortController = new AbortController();
+  process.once('SIGINT', () => {
+    console.log('\nStopping discovery (press Ctrl+C again to exit immediately)...');
+    abortController.abort();
+  });
+  const signal = abortController.signal;
+
+  // Run discovery with the seed devices, or pick up an interrupted run
+  let discovered;
+  if (resumeFile) {
+    try {
+      discovered = await discovery.resumeFrom(resumeFile, maxHopsGiven ? { maxHops, signal } : { signal });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      return;
+    }
+  } else {
+    if (sweepSpecs.length > 0) {
+      const knownIps = new Set(seedDevices.map(device => device.ip_address));
+      const swept = await discovery.sweepTargets(sweepSpecs, { concurrency: sweepConcurrency, signal });
+      swept.filter(device => !knownIps.has(device.ip_address)).forEach(device => seedDevices.push(device));
+      console.log(`Sweep found ${swept.length} responsive host(s); starting with ${seedDevices.length} seed device(s)`);
+      if (seedDevices.length === 0) {
+        console.error('Error: No responsive hosts found in the sweep targets.');
+        return;
+      }
+    }
+    discovered = await discovery.discoverSingleThreaded(seedDevices, maxHops, { signal });
+  }
+
+  if (discovery.status === 'cancelled') {
+    console.log(`\nDiscovery cancelled. Partial results saved to: ${discovery.outputFile}`);
+    console.log(`Resume with: --resume ${discovery.checkpointFile}`);
+    process.exit(130);
+  }
 
   // Print summary
   console.log(`\nDiscovered ${Object.keys(discovered).length} devices`);
@@ -2413,7 +3625,7 @@ Example:
 
   process.exit(0);
 }
-module.exports = { NetworkDiscovery, DiscoveredDevice, Credential, ExtensibleParser, ParseMethod };
+module.exports = { NetworkDiscovery, DiscoveredDevice, Credential, ExtensibleParser, ParseMethod, DiscoveryEvent, FailureReason };
 
 if (require.main === module) {
   main().catch(console.error);
@@ -0,0 +1,257 @@
+/**
+ * Credential selection
+ * --------------------
+ * Decides which credentials are tried against a device, and in what order,
+ * so a crawl does not walk every account against every device and lock
+ * accounts out.
+ *
+ * - Scope: a credential with a `scope` is only tried on devices inside one
+ *   of its CIDR blocks (`10.20.0.0/16`) or whose hostname matches one of its
+ *   globs (`*-fw-*`, case-insensitive). Matching scoped credentials go
+ *   first, then the unscoped ones; scoped credentials that do not match are
+ *   never tried.
+ * - Cache: the credential that last logged in to a device is remembered for
+ *   its subnet (/24, or /64 for IPv6) and platform, and tried first on the
+ *   next device there. A device whose platform is not known yet uses the
+ *   subnet's last success on any platform.
+ * - Ceiling: failed logins are counted per account (username). Once an
+ *   account reaches maxAuthFailures it is not tried again this run; a
+ *   successful login resets its count. Only authentication failures count,
+ *   not timeouts or refused connections. Logins still in progress count
+ *   too, so workers crawling in parallel cannot overshoot the ceiling: a
+ *   worker waits while the account's remaining attempts are all in use.
+ *
+ * The cache holds each credential's position in the list, since several
+ * credentials may share a username with different passwords; the counts are
+ * per username. Neither holds secrets, and both are saved in discovery
+ * checkpoints.
+ */
+
+const net = require('net');
+const { isDeepStrictEqual } = require('util');
+const { parseCidr, cidrContains, intToIpv4, bigIntToIpv6 } = require('./ip-utils.js');
+
+const CACHE_PREFIX_V4 = 24;
+const CACHE_PREFIX_V6 = 64;
+const ANY_PLATFORM = '*';
+
+// ssh2 marks failed authentication with level 'client-authentication'; the
+// Telnet client and replayed sessions only have the message
+const AUTH_FAILURE = /authentication failed|authentication methods failed|login incorrect|access denied/i;
+
+function isAuthFailure(error) {
+  return Boolean(error) && (error.level === 'client-authentication' || AUTH_FAILURE.test(error.message || ''));
+}
+
+// `*` and `?` hostname glob, case-insensitive
+function globPattern(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse a credential's scope entries
+ * @param {string|string[]} scope - CIDR blocks, addresses and hostname globs;
+ *   a string may list several separated by commas
+ * @returns {Array<{ text: string, cidr: Object|null, hostname: RegExp|null }>}
+ */
+function parseScope(scope) {
+  const entries = Array.isArray(scope) ? scope : String(scope || '').split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean).map(text => (
+    net.isIP(text.split('/')[0])
+      ? { text, cidr: parseCidr(text), hostname: null }
+      : { text, cidr: null, hostname: globPattern(text) }
+  ));
+}
+
+/**
+ * The subnet a host's cache entry is filed under
+ * @param {string} host - IP address (anything else is its own subnet)
+ * @returns {string}
+ */
+function cacheSubnet(host) {
+  const version = net.isIP(String(host).split('%')[0]);
+  if (version === 4) {
+    return `${intToIpv4(parseCidr(`${host}/${CACHE_PREFIX_V4}`).network)}/${CACHE_PREFIX_V4}`;
+  }
+  if (version === 6) {
+    return `${bigIntToIpv6(parseCidr(`${host.split('%')[0]}/${CACHE_PREFIX_V6}`).network)}/${CACHE_PREFIX_V6}`;
+  }
+  return String(host);
+}
+
+// The credential list as saved with the cache, without secrets: a restored
+// cache is only used with the list its positions refer to
+function listSignature(credentials) {
+  return credentials.map(cred => ({
+    username: cred.username,
+    port: cred.port || null,
+    keyFile: cred.keyFile || null,
+    useAgent: Boolean(cred.useAgent),
+    scope: parseScope(cred.scope).map(entry => entry.text)
+  }));
+}
+
+class CredentialSelector {
+  /**
+   * @param {Credential[]} credentials - In priority order
+   * @param {Object} options
+   * @param {number} options.maxAuthFailures - Failed logins per account before
+   *   it is no longer tried; 0 for no ceiling
+   * @param {Function} options.log
+   */
+  constructor(credentials, { maxAuthFailures = 0, log = () => {} } = {}) {
+    this.credentials = credentials;
+    this.maxAuthFailures = maxAuthFailures;
+    this._log = log;
+    // Parsed once; an invalid scope fails here rather than mid-crawl
+    this._scopes = new Map(credentials.map(cred => [cred, parseScope(cred.scope)]));
+    // '<subnet>|<platform>' -> index in credentials
+    this.cache = {};
+    // username -> failed logins since its last success
+    this.failures = {};
+    // username -> logins in progress
+    this.inFlight = {};
+    // username -> callbacks waiting for one of those to finish
+    this._waiters = {};
+  }
+
+  _inScope(cred, host, hostname) {
+    const scope = this._scopes.get(cred) || [];
+    return scope.some(entry => (entry.cidr
+      ? net.isIP(String(host)) !== 0 && cidrContains(entry.cidr, host)
+      : Boolean(hostname) && entry.hostname.test(hostname)));
+  }
+
+  _platforms(device) {
+    return [...new Set([device && device.deviceType, device && device.platform].filter(Boolean))];
+  }
+
+  // The username, and the credential's position when the username is shared
+  _label(cred) {
+    const index = this.credentials.indexOf(cred);
+    const shared = this.credentials.some(other => other !== cred && other.username === cred.username);
+    return shared ? `${cred.username} (credential ${index + 1})` : cred.username;
+  }
+
+  locked(username) {
+    return this.maxAuthFailures > 0 && (this.failures[username] || 0) >= this.maxAuthFailures;
+  }
+
+  /**
+   * Reserve a login attempt for the credential's account. Call release()
+   * once the attempt is over, after recordFailure() if it failed.
+   * @returns {Promise<boolean>} - false if the account is locked
+   */
+  async reserve(cred) {
+    const { username } = cred;
+    while (this.maxAuthFailures > 0 &&
+           (this.failures[username] || 0) + (this.inFlight[username] || 0) >= this.maxAuthFailures) {
+      if (this.locked(username)) {
+        return false;
+      }
+      await new Promise(resolve => {
+        this._waiters[username] = [...(this._waiters[username] || []), resolve];
+      });
+    }
+    this.inFlight[username] = (this.inFlight[username] || 0) + 1;
+    return true;
+  }
+
+  release(cred) {
+    const { username } = cred;
+    this.inFlight[username] = Math.max((this.inFlight[username] || 0) - 1, 0);
+    const waiters = this._waiters[username] || [];
+    delete this._waiters[username];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Credentials to try on a device, best first
+   * @param {string} host - Address being connected to
+   * @param {DiscoveredDevice|null} device - For its hostname and platform
+   * @returns {Credential[]}
+   */
+  candidates(host, device = null) {
+    const hostname = device && device.hostname;
+    const scoped = [];
+    const unscoped = [];
+    for (const cred of this.credentials) {
+      if (this.locked(cred.username)) {
+        continue;
+      }
+      if ((this._scopes.get(cred) || []).length === 0) {
+        unscoped.push(cred);
+      } else if (this._inScope(cred, host, hostname)) {
+        scoped.push(cred);
+      }
+    }
+    const ordered = [...scoped, ...unscoped];
+
+    const subnet = cacheSubnet(host);
+    for (const platform of [...this._platforms(device), ANY_PLATFORM]) {
+      const cached = this.credentials[this.cache[`${subnet}|${platform}`]];
+      if (cached && ordered.includes(cached)) {
+        this._log(`Trying ${this._label(cached)} first on ${host}: last success in ${subnet}${platform === ANY_PLATFORM ? '' : ' on the same platform'}`);
+        return [cached, ...ordered.filter(cred => cred !== cached)];
+      }
+    }
+    return ordered;
+  }
+
+  /**
+   * Remember a successful login. Call again once the device's platform is
+   * known, so the cache also holds it under that platform.
+   */
+  recordSuccess(host, device, cred) {
+    const subnet = cacheSubnet(host);
+    const index = this.credentials.indexOf(cred);
+    for (const platform of [...this._platforms(device), ANY_PLATFORM]) {
+      this.cache[`${subnet}|${platform}`] = index;
+    }
+    delete this.failures[cred.username];
+  }
+
+  /**
+   * Count a failed login against its account
+   * @returns {boolean} - Whether the account has just reached the ceiling
+   */
+  recordFailure(cred, error) {
+    if (!isAuthFailure(error)) {
+      return false;
+    }
+    this.failures[cred.username] = (this.failures[cred.username] || 0) + 1;
+    if (this.maxAuthFailures > 0 && this.failures[cred.username] === this.maxAuthFailures) {
+      this._log(`Account ${cred.username} reached ${this.maxAuthFailures} failed login(s); not trying it again this run`);
+      return true;
+    }
+    return false;
+  }
+
+  toJSON() {
+    return { credentials: listSignature(this.credentials), cache: this.cache, failures: this.failures };
+  }
+
+  /**
+   * Restore a checkpoint's state. The cache is dropped if the credential list
+   * was reordered or edited since, as its positions would point at the wrong
+   * credentials; credentials that differ only in their secrets cannot be told
+   * apart.
+   */
+  restore(state = {}) {
+    const sameList = isDeepStrictEqual(state.credentials, listSignature(this.credentials));
+    if (!sameList && Object.keys(state.cache || {}).length > 0) {
+      this._log('The credential list changed since the checkpoint; starting without the last-success cache');
+    }
+    this.cache = sameList ? { ...(state.cache || {}) } : {};
+    this.failures = { ...(state.failures || {}) };
+    this.inFlight = {};
+  }
+}
+
+module.exports = {
+  CredentialSelector,
+  parseScope,
+  cacheSubnet,
+  isAuthFailure
+};
@@ -0,0 +1,326 @@
+/**
+ * Device drivers
+ * --------------
+ * Everything NetworkDiscovery does differently per network OS lives in a
+ * DeviceDriver: how the OS is recognised, which characters end its prompt,
+ * how paging is turned off, whether and how to get privileged, which
+ * commands list neighbors and which collect facts. Drivers are registered
+ * per platform, using the ntc-templates platform name that is also
+ * DiscoveredDevice.deviceType and the template index's Platform column.
+ *
+ * A device's driver is chosen before any neighbor command runs: first from
+ * the login banner and prompt, then from the output of each registered
+ * version command in turn ('show version', 'show system info', 'uname -a').
+ * Devices nothing matches get GENERIC_DRIVER, which tries the Cisco-style
+ * commands the crawler always used.
+ *
+ * Shipped drivers: cisco_nxos, cisco_ios, arista_eos, juniper_junos,
+ * paloalto_panos and linux (lldpd). Register more with registerDriver().
+ */
+
+class DeviceDriver {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.platform - Registry key and deviceType
+   * @param {RegExp} [options.bannerPattern] - Matched against the login
+   *   banner and prompt; only for text no other OS prints at login
+   * @param {string} [options.versionCommand] - Command that identifies the OS
+   * @param {RegExp} [options.versionPattern] - Matched against its output
+   * @param {string} [options.promptTerminators] - Characters ending a prompt
+   * @param {string[]} [options.paginationCommands] - Tried in order
+   * @param {string|null} [options.enableCommand] - Raises a `>` prompt to `#`
+   * @param {string[]} [options.neighborCommands] - CDP/LLDP neighbor commands
+   * @param {Object} [options.factCommands] - command -> { template, fields }
+   *   as for the TextFSM fact templates, or null for parseFacts() only
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || null;
+    this.bannerPattern = options.bannerPattern || null;
+    this.versionCommand = options.versionCommand || 'show version';
+    this.versionPattern = options.versionPattern || null;
+    this.promptTerminators = options.promptTerminators || '>#';
+    this.paginationCommands = options.paginationCommands || [];
+    this.enableCommand = options.enableCommand || null;
+    this.neighborCommands = options.neighborCommands || [];
+    this.factCommands = options.factCommands || {};
+  }
+
+  matchesBanner(banner) {
+    return Boolean(this.bannerPattern && banner && this.bannerPattern.test(banner));
+  }
+
+  matchesVersion(command, output) {
+    return command === this.versionCommand && Boolean(this.versionPattern && output && this.versionPattern.test(output));
+  }
+
+  /**
+   * Neighbor entries for NeighborRecord.from() when the driver parses the
+   * output itself
+   * @param {string} command
+   * @param {string} output
+   * @returns {Object[]|null} - null to parse with the template library
+   */
+  parseNeighbors(command, output) {
+    return null;
+  }
+
+  /**
+   * Facts the fact templates do not provide, from the fact command outputs
+   * @param {Object} outputs - command -> output
+   * @returns {Object} - Any of { hostname, model, serialNumber, softwareVersion, macAddress }
+   */
+  parseFacts(outputs) {
+    return {};
+  }
+
+  // Platform noise to drop from a command's output before it is parsed
+  cleanOutput(command, output) {
+    return output;
+  }
+}
+
+// First capture group of a multi-line pattern, trimmed
+function capture(pattern, text) {
+  const match = pattern.exec(text || '');
+  return match ? match[1].trim() : null;
+}
+
+class JunosDriver extends DeviceDriver {
+  parseFacts(outputs) {
+    const version = outputs['show version'] || '';
+    const hardware = outputs['show chassis hardware'] || '';
+    return {
+      hostname: capture(/^Hostname:\s*(\S+)/m, version),
+      model: capture(/^Model:\s*(\S+)/m, version) || capture(/^Chassis\s+\S+\s+(.+)$/m, hardware),
+      softwareVersion: capture(/^Junos:\s*(\S+)/m, version) || capture(/^JUNOS .*\[(\S+)\]/m, version),
+      serialNumber: capture(/^Chassis\s+(\S+)/m, hardware)
+    };
+  }
+
+  // `{master:0}` and similar routing-engine lines precede every prompt
+  cleanOutput(command, output) {
+    return output.split('\n')
+      .filter(line => !/^\{(?:master|backup|primary|secondary|linecard)[^}]*\}\s*$/.test(line))
+      .join('\n');
+  }
+}
+
+class PanosDriver extends DeviceDriver {
+  parseFacts(outputs) {
+    const info = outputs['show system info'] || '';
+    return {
+      hostname: capture(/^\s*hostname:\s*(\S+)/m, info),
+      model: capture(/^\s*model:\s*(\S+)/m, info),
+      serialNumber: capture(/^\s*serial:\s*(\S+)/m, info),
+      softwareVersion: capture(/^\s*sw-version:\s*(\S+)/m, info),
+      macAddress: capture(/^\s*mac-address:\s*(\S+)/m, info)
+    };
+  }
+}
+
+class LinuxLldpdDriver extends DeviceDriver {
+  parseFacts(outputs) {
+    // Linux <hostname> <kernel release> ...
+    const uname = /^Linux\s+(\S+)\s+(\S+)/m.exec(outputs['uname -a'] || '');
+    return uname ? { hostname: uname[1], softwareVersion: uname[2] } : {};
+  }
+
+  /**
+   * `lldpcli show neighbors -f json`. lldpcli writes a single interface or
+   * chassis as an object and several as an array of one-key objects; a
+   * chassis without a system name has its fields directly under `chassis`.
+   */
+  parseNeighbors(command, output) {
+    if (!command.startsWith('lldpcli')) {
+      return null;
+    }
+    let data;
+    try {
+      data = JSON.parse(output.slice(output.indexOf('{')));
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const [localInterface, info] of namedEntries(data.lldp && data.lldp.interface)) {
+      const port = info.port || {};
+      for (const [systemName, chassis] of chassisEntries(info.chassis)) {
+        const capabilities = [].concat(chassis.capability || [])
+          .filter(capability => capability.enabled)
+          .map(capability => capability.type);
+        entries.push({
+          neighbor_name: systemName,
+          chassis_id: chassis.id && chassis.id.value,
+          mgmt_address: [].concat(chassis['mgmt-ip'] || []),
+          local_interface: localInterface,
+          remote_interface: (port.id && port.id.value) || port.descr,
+          system_description: chassis.descr,
+          capabilities
+        });
+      }
+    }
+    return entries;
+  }
+}
+
+// { a: {...} } or [{ a: {...} }, { b: {...} }] as [[name, value], ...]
+function namedEntries(value) {
+  if (!value) {
+    return [];
+  }
+  return [].concat(value).flatMap(item => Object.entries(item));
+}
+
+function chassisEntries(chassis) {
+  if (!chassis) {
+    return [];
+  }
+  if (chassis.id) {
+    return [[chassis.name && chassis.name.value ? chassis.name.value : null, chassis]];
+  }
+  return namedEntries(chassis);
+}
+
+const CISCO_PAGINATION = ['terminal length 0'];
+
+const drivers = new Map();
+
+/**
+ * Add a driver, replacing any registered for the same platform. Detection
+ * tries drivers in registration order.
+ * @param {DeviceDriver} driver
+ * @returns {DeviceDriver}
+ */
+function registerDriver(driver) {
+  if (!driver.platform) {
+    throw new Error('A registered driver needs a platform');
+  }
+  drivers.set(driver.platform, driver);
+  return driver;
+}
+
+const GENERIC_DRIVER = new DeviceDriver({
+  platform: null,
+  paginationCommands: ['terminal length 0', 'terminal pager 0', 'set cli screen-length 0'],
+  enableCommand: 'enable',
+  neighborCommands: ['show cdp neighbors detail', 'show lldp neighbors detail', 'show lldp neighbor detail'],
+  factCommands: { 'show version': null, 'show inventory': null }
+});
+
+// NX-OS before IOS: NX-OS output also says "Cisco"
+registerDriver(new DeviceDriver({
+  platform: 'cisco_nxos',
+  bannerPattern: /Cisco Nexus Operating System/i,
+  versionPattern: /Cisco Nexus Operating System|NX-OS/i,
+  paginationCommands: CISCO_PAGINATION,
+  neighborCommands: ['show cdp neighbors detail', 'show lldp neighbors detail'],
+  factCommands: {
+    'show version': {
+      template: 'cisco_nxos_show_version.textfsm',
+      fields: { softwareVersion: 'OS', model: 'PLATFORM', serialNumber: 'SERIAL', hostname: 'HOSTNAME' }
+    },
+    'show inventory': {
+      template: 'cisco_nxos_show_inventory.textfsm',
+      fields: { model: 'PID', serialNumber: 'SN' }
+    }
+  }
+}));
+
+registerDriver(new DeviceDriver({
+  platform: 'arista_eos',
+  versionPattern: /^\s*Arista\s+\S+/im,
+  paginationCommands: CISCO_PAGINATION,
+  enableCommand: 'enable',
+  neighborCommands: ['show lldp neighbors detail'],
+  factCommands: {
+    'show version': {
+      template: 'arista_eos_show_version.textfsm',
+      fields: { softwareVersion: 'IMAGE', model: 'MODEL', serialNumber: 'SERIAL_NUMBER', macAddress: 'SYS_MAC' }
+    },
+    'show inventory': {
+      template: 'arista_eos_show_inventory.textfsm',
+      fields: { model: 'PID', serialNumber: 'SN' }
+    }
+  }
+}));
+
+registerDriver(new DeviceDriver({
+  platform: 'cisco_ios',
+  versionPattern: /Cisco IOS|IOS-XE|IOS XE|Cisco Internetwork Operating System/i,
+  paginationCommands: CISCO_PAGINATION,
+  enableCommand: 'enable',
+  neighborCommands: ['show cdp neighbors detail', 'show lldp neighbors detail'],
+  factCommands: {
+    'show version': {
+      template: 'cisco_ios_show_version.textfsm',
+      fields: { softwareVersion: 'VERSION', model: 'HARDWARE', serialNumber: 'SERIAL', hostname: 'HOSTNAME', macAddress: 'MAC_ADDRESS' }
+    },
+    'show inventory': {
+      template: 'cisco_ios_show_inventory.textfsm',
+      fields: { model: 'PID', serialNumber: 'SN' }
+    }
+  }
+}));
+
+registerDriver(new JunosDriver({
+  platform: 'juniper_junos',
+  bannerPattern: /^--- JUNOS \S+/m,
+  versionPattern: /^(?:Junos:|JUNOS )/m,
+  paginationCommands: ['set cli screen-length 0'],
+  neighborCommands: ['show lldp neighbors detail'],
+  factCommands: { 'show version': null, 'show chassis hardware': null }
+}));
+
+registerDriver(new PanosDriver({
+  platform: 'paloalto_panos',
+  versionCommand: 'show system info',
+  versionPattern: /^\s*sw-version:\s/m,
+  paginationCommands: ['set cli pager off'],
+  neighborCommands: ['show lldp neighbors all'],
+  factCommands: { 'show system info': null }
+}));
+
+registerDriver(new LinuxLldpdDriver({
+  platform: 'linux',
+  // A `$` prompt is a Unix shell; so is a banner naming a distribution
+  bannerPattern: /GNU\/Linux|Welcome to (?:Ubuntu|Debian)|\$\s*$/,
+  versionCommand: 'uname -a',
+  versionPattern: /^Linux\s+\S+/m,
+  promptTerminators: '$#',
+  neighborCommands: ['lldpcli show neighbors -f json'],
+  factCommands: { 'uname -a': null }
+}));
+
+function getDriver(platform) {
+  return drivers.get(platform) || GENERIC_DRIVER;
+}
+
+function listDrivers() {
+  return [...drivers.values()];
+}
+
+// The driver whose banner pattern matches, or null
+function detectFromBanner(banner) {
+  return listDrivers().find(driver => driver.matchesBanner(banner)) || null;
+}
+
+// Each distinct version command, in registration order
+function versionCommands() {
+  return [...new Set(listDrivers().map(driver => driver.versionCommand))];
+}
+
+// The driver that recognises this version command output, or null
+function detectFromVersion(command, output) {
+  return listDrivers().find(driver => driver.matchesVersion(command, output)) || null;
+}
+
+module.exports = {
+  DeviceDriver,
+  GENERIC_DRIVER,
+  registerDriver,
+  getDriver,
+  listDrivers,
+  detectFromBanner,
+  detectFromVersion,
+  versionCommands
+};
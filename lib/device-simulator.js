@@ -0,0 +1,688 @@
+#!/usr/bin/env node
+
+/**
+ * SSH device simulator
+ * --------------------
+ * Stands up fake Cisco IOS, NX-OS and Arista EOS devices on the loopback
+ * interface from a topology description, so NetworkDiscovery can be run end
+ * to end without real switches. Each device is an ssh2 Server with password
+ * (and keyboard-interactive) login, a `>`/`#` prompt with `enable`, paged
+ * output until `terminal length 0`, and CDP/LLDP neighbor detail generated
+ * from the topology's links (lib/simulator-platforms.js).
+ *
+ * Topology description (JSON):
+ *   {
+ *     "port": 2222, "username": "admin", "password": "admin", "enableSecret": "enable",
+ *     "seed": "core1",
+ *     "devices": [{ "name": "core1", "platform": "cisco_ios", "address": "127.0.1.1" }, ...],
+ *     "links": [{ "from": "core1", "fromPort": "GigabitEthernet1/0/1",
+ *                 "to": "dist1", "toPort": "Ethernet1/1" }, ...]
+ *   }
+ *
+ * Devices share one port and differ by address, because the crawler reaches
+ * each neighbor at the management address it advertises. Addresses default
+ * to 127.0.1.<n>; Linux answers on all of 127.0.0.0/8, other systems need
+ * loopback aliases for them. Per-device model, serial, softwareVersion,
+ * protocols ('cdp'/'lldp'), credentials and enableSecret override the
+ * topology and platform defaults.
+ *
+ * A device with `"transport": "telnet"` runs no SSH server; it answers
+ * Telnet on the topology's telnetPort (default 2323) with a
+ * "Username:"/"Password:" login and the same CLI, and --crawl turns on the
+ * crawler's Telnet fallback.
+ *
+ * Run `node lib/device-simulator.js topology.json` to serve the devices, or
+ * add `--crawl` to crawl them with NetworkDiscovery and check the result
+ * against the topology (exit code 1 on any mismatch).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Server, utils } = require('ssh2');
+const { PLATFORMS, shortInterfaceName } = require('./simulator-platforms.js');
+
+const DEFAULT_PORT = 2222;
+const DEFAULT_TELNET_PORT = 2323;
+// Telnet negotiation bytes (RFC 854) and the options a VTY offers
+const IAC = 255;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const OPT_ECHO = 1;
+const OPT_SUPPRESS_GO_AHEAD = 3;
+const PAGE_LENGTH = 24;
+const MORE_PROMPT = ' --More-- ';
+
+// Commands every platform handles itself rather than through its command table
+const SESSION_COMMANDS = ['enable', 'disable', 'exit', 'logout', 'quit'];
+
+class SimulatedDevice {
+  constructor(spec, topology, index) {
+    const platform = PLATFORMS[spec.platform];
+    if (!spec.name) {
+      throw new Error(`Simulated device ${index + 1} has no name`);
+    }
+    if (!platform) {
+      throw new Error(`Unknown platform "${spec.platform}" for ${spec.name} (use ${Object.keys(PLATFORMS).join(', ')})`);
+    }
+    const number = index + 1;
+    const suffix = number.toString(16).padStart(4, '0');
+
+    this.name = spec.name;
+    this.platform = spec.platform;
+    this.address = spec.address || `127.0.1.${number}`;
+    // 'ssh' or 'telnet'; a Telnet device listens on the topology's telnetPort
+    this.transport = spec.transport || 'ssh';
+    if (!['ssh', 'telnet'].includes(this.transport)) {
+      throw new Error(`Unknown transport "${spec.transport}" for ${spec.name} (use ssh or telnet)`);
+    }
+    this.port = this.transport === 'telnet'
+      ? (topology.telnetPort || DEFAULT_TELNET_PORT)
+      : (spec.port || topology.port || DEFAULT_PORT);
+    this.username = spec.username || topology.username || 'admin';
+    this.password = spec.password || topology.password || 'admin';
+    // null = the device logs in at the privileged prompt
+    this.enableSecret = platform.enable ? (spec.enableSecret || topology.enableSecret || null) : null;
+    this.model = spec.model || platform.defaults.model;
+    this.softwareVersion = spec.softwareVersion || platform.defaults.softwareVersion;
+    this.serial = spec.serial || `${platform.defaults.serialPrefix}${String(number).padStart(8, '0')}`;
+    this.mac = spec.mac || `${platform.defaults.macPrefix}.${suffix}`;
+    this.protocols = spec.protocols || platform.protocols;
+    this.neighbors = [];
+  }
+
+  // aabb.ccdd.eeff as aa:bb:cc:dd:ee:ff
+  get macColons() {
+    return this.mac.replace(/\./g, '').match(/../g).join(':');
+  }
+
+  /**
+   * Neighbor entries this device reports for a protocol: both ends of the
+   * link must run it
+   * @param {string} protocol - 'cdp' or 'lldp'
+   */
+  neighborsVia(protocol) {
+    return this.neighbors.filter(entry =>
+      this.protocols.includes(protocol) && entry.neighbor.protocols.includes(protocol));
+  }
+}
+
+/**
+ * One interactive shell on a simulated device: line editing and echo,
+ * enable, paging and command dispatch
+ */
+class CliSession {
+  constructor(device, stream, onClose = () => {}) {
+    this.device = device;
+    this.platform = PLATFORMS[device.platform];
+    this.stream = stream;
+    this.privileged = !device.enableSecret;
+    this.pageLength = PAGE_LENGTH;
+    this._line = '';
+    this._lastChar = '';
+    this._awaitingSecret = false;
+    this._pendingLines = null;
+    this._closed = false;
+
+    stream.on('data', data => this._input(data.toString()));
+    stream.on('close', () => {
+      this._closed = true;
+      onClose();
+    });
+    this._write(`\r\n${this.prompt}`);
+  }
+
+  get prompt() {
+    return `${this.device.name}${this.privileged ? '#' : '>'}`;
+  }
+
+  _write(text) {
+    if (!this._closed) {
+      this.stream.write(text);
+    }
+  }
+
+  _input(text) {
+    for (const char of text) {
+      const lastChar = this._lastChar;
+      this._lastChar = char;
+
+      if (this._pendingLines) {
+        this._more(char);
+      } else if (char === '\n' && lastChar === '\r') {
+        continue;
+      } else if (char === '\r' || char === '\n') {
+        const line = this._line;
+        this._line = '';
+        this._write('\r\n');
+        this._execute(line);
+      } else if (char === '\x7f' || char === '\b') {
+        if (this._line) {
+          this._line = this._line.slice(0, -1);
+          if (!this._awaitingSecret) {
+            this._write('\b \b');
+          }
+        }
+      } else if (char === '\x03') {
+        this._line = '';
+        this._awaitingSecret = false;
+        this._write(`\r\n${this.prompt}`);
+      } else if (char >= ' ') {
+        this._line += char;
+        if (!this._awaitingSecret) {
+          this._write(char);
+        }
+      }
+    }
+  }
+
+  _execute(line) {
+    if (this._awaitingSecret) {
+      this._awaitingSecret = false;
+      if (line === this.device.enableSecret) {
+        this.privileged = true;
+      } else {
+        this._write('% Access denied\r\n\r\n');
+      }
+      this._write(this.prompt);
+      return;
+    }
+
+    const words = line.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      this._write(this.prompt);
+      return;
+    }
+
+    const keyword = SESSION_COMMANDS.find(command => command.startsWith(words[0].toLowerCase()) && words.length === 1);
+    if (keyword === 'enable') {
+      if (this.privileged) {
+        this._write(this.prompt);
+      } else {
+        this._awaitingSecret = true;
+        this._write('Password: ');
+      }
+      return;
+    }
+    if (keyword === 'disable') {
+      this.privileged = !this.device.enableSecret;
+      this._write(this.prompt);
+      return;
+    }
+    if (keyword) {
+      this._closed = true;
+      this.stream.end();
+      return;
+    }
+
+    // terminal length N (0 = no paging); NX-OS and EOS take the same command
+    if (words.length === 3 && matchesCommand(words.slice(0, 2), ['terminal', 'length']) && /^\d+$/.test(words[2])) {
+      this.pageLength = parseInt(words[2], 10);
+      this._write(this.prompt);
+      return;
+    }
+
+    this._print(this._run(words));
+  }
+
+  // Output of a show command, or the platform's error for it
+  _run(words) {
+    const name = Object.keys(this.platform.commands).find(command => matchesCommand(words, command.split(' ')));
+    if (!name) {
+      return this.platform.invalidInput;
+    }
+    const protocol = ['cdp', 'lldp'].find(candidate => name.includes(` ${candidate} `));
+    if (protocol) {
+      if (!this.device.protocols.includes(protocol)) {
+        return this.platform.protocolDisabled[protocol];
+      }
+      return this.platform.commands[name](this.device, this.device.neighborsVia(protocol));
+    }
+    return this.platform.commands[name](this.device, []);
+  }
+
+  // Write output a page at a time while paging is on
+  _print(text) {
+    const lines = text.split('\n');
+    if (this.pageLength === 0 || lines.length < this.pageLength) {
+      this._write(`${lines.join('\r\n')}\r\n${this.prompt}`);
+      return;
+    }
+    this._pendingLines = lines;
+    this._nextPage(this.pageLength - 1);
+  }
+
+  _nextPage(count) {
+    const page = this._pendingLines.splice(0, count);
+    this._write(page.join('\r\n') + '\r\n');
+    if (this._pendingLines.length === 0) {
+      this._pendingLines = null;
+      this._write(this.prompt);
+    } else {
+      this._write(MORE_PROMPT);
+    }
+  }
+
+  // Space shows the next page, Enter the next line, anything else stops
+  _more(char) {
+    this._write('\r' + ' '.repeat(MORE_PROMPT.length) + '\r');
+    if (char === ' ') {
+      this._nextPage(this.pageLength - 1);
+    } else if (char === '\r' || char === '\n') {
+      this._nextPage(1);
+    } else {
+      this._pendingLines = null;
+      this._write(this.prompt);
+    }
+  }
+}
+
+/**
+ * The byte stream of a Telnet connection with option negotiation removed,
+ * shaped like an ssh2 shell channel for CliSession
+ */
+class TelnetStream extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this._pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const text = this._strip(chunk);
+      if (text) {
+        this.emit('data', text);
+      }
+    });
+    socket.on('close', () => this.emit('close'));
+    // The server echoes and never sends go-ahead, as a router's VTY does
+    socket.write(Buffer.from([IAC, WILL, OPT_ECHO, IAC, WILL, OPT_SUPPRESS_GO_AHEAD]));
+  }
+
+  // Drop IAC sequences; one split across reads waits for the rest
+  _strip(chunk) {
+    const bytes = Buffer.concat([this._pending, chunk]);
+    const text = [];
+    let i = 0;
+    while (i < bytes.length) {
+      if (bytes[i] !== IAC) {
+        text.push(bytes[i++]);
+      } else if (i + 1 >= bytes.length) {
+        break;
+      } else if (bytes[i + 1] === IAC) {
+        text.push(IAC);
+        i += 2;
+      } else if (bytes[i + 1] === SB) {
+        const end = bytes.indexOf(Buffer.from([IAC, SE]), i + 2);
+        if (end === -1) {
+          break;
+        }
+        i = end + 2;
+      } else if (bytes[i + 1] >= WILL) {
+        if (i + 2 >= bytes.length) {
+          break;
+        }
+        i += 3;
+      } else {
+        i += 2;
+      }
+    }
+    this._pending = bytes.subarray(i);
+    return Buffer.from(text).toString();
+  }
+
+  write(text) {
+    if (!this.socket.destroyed) {
+      this.socket.write(text);
+    }
+  }
+
+  end() {
+    this.socket.end();
+  }
+}
+
+/**
+ * Cisco-style VTY login: username, then password without echo, three tries
+ * @param {SimulatedDevice} device
+ * @param {TelnetStream} stream
+ * @param {Function} onLogin - Called once the credentials are accepted
+ */
+function telnetLogin(device, stream, onLogin) {
+  let line = '';
+  let username = null;
+  let tries = 0;
+  const ask = () => stream.write(username === null ? 'Username: ' : 'Password: ');
+
+  const onData = text => {
+    for (const char of text) {
+      if (char === '\n' || char === '\0') {
+        continue;
+      }
+      if (char !== '\r') {
+        line += char;
+        if (username === null) {
+          stream.write(char);
+        }
+        continue;
+      }
+      stream.write('\r\n');
+      if (username === null) {
+        username = line;
+      } else if (username === device.username && line === device.password) {
+        stream.removeListener('data', onData);
+        onLogin();
+        return;
+      } else {
+        username = null;
+        stream.write('% Login invalid\r\n\r\n');
+        if (++tries >= 3) {
+          stream.end();
+          return;
+        }
+      }
+      line = '';
+      ask();
+    }
+  };
+
+  stream.on('data', onData);
+  stream.write('\r\nUser Access Verification\r\n\r\n');
+  ask();
+}
+
+// IOS-style abbreviations: every typed word is a prefix of the command's word
+function matchesCommand(words, commandWords) {
+  return words.length === commandWords.length &&
+    commandWords.every((word, i) => word.startsWith(words[i].toLowerCase()));
+}
+
+class DeviceSimulator {
+  /**
+   * @param {Object} topology - See the module comment
+   * @param {Object} options - { log }
+   */
+  constructor(topology, options = {}) {
+    this.topology = topology;
+    this._log = options.log || (() => {});
+    this.devices = (topology.devices || []).map((spec, index) => new SimulatedDevice(spec, topology, index));
+    this._servers = [];
+    this._sessions = new Set();
+
+    const byName = new Map(this.devices.map(device => [device.name, device]));
+    for (const link of topology.links || []) {
+      const from = byName.get(link.from);
+      const to = byName.get(link.to);
+      if (!from || !to) {
+        throw new Error(`Link ${link.from} - ${link.to} names an unknown device`);
+      }
+      from.neighbors.push({ localPort: link.fromPort, remotePort: link.toPort, neighbor: to });
+      to.neighbors.push({ localPort: link.toPort, remotePort: link.fromPort, neighbor: from });
+    }
+  }
+
+  static fromFile(file, options = {}) {
+    return new DeviceSimulator(JSON.parse(fs.readFileSync(file, 'utf8')), options);
+  }
+
+  device(name) {
+    return this.devices.find(device => device.name === name) || null;
+  }
+
+  /**
+   * Listen on every device's address and port
+   * @returns {Promise<void>}
+   */
+  async start() {
+    // One host key for the whole lab, unless the topology names a key file
+    const hostKey = this.topology.hostKeyFile
+      ? fs.readFileSync(this.topology.hostKeyFile)
+      : utils.generateKeyPairSync('ed25519').private;
+
+    for (const device of this.devices) {
+      const server = device.transport === 'telnet'
+        ? net.createServer(socket => this._acceptTelnet(device, socket))
+        : new Server({ hostKeys: [hostKey] }, client => this._accept(device, client));
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(device.port, device.address, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+      this._servers.push(server);
+      this._log(`${device.name} (${device.platform}) listening on ${device.address}:${device.port} (${device.transport})`);
+    }
+  }
+
+  _accept(device, client) {
+    const passwordOk = (username, password) => username === device.username && password === device.password;
+
+    client.on('authentication', ctx => {
+      if (ctx.method === 'password') {
+        return passwordOk(ctx.username, ctx.password) ? ctx.accept() : ctx.reject();
+      }
+      if (ctx.method === 'keyboard-interactive') {
+        return ctx.prompt([{ prompt: 'Password: ', echo: false }], answers =>
+          (passwordOk(ctx.username, answers[0]) ? ctx.accept() : ctx.reject()));
+      }
+      return ctx.reject(['password', 'keyboard-interactive']);
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => {
+        const session = accept();
+        session.on('pty', accept => accept && accept());
+        session.on('shell', accept => {
+          const cli = new CliSession(device, accept(), () => this._sessions.delete(cli));
+          this._sessions.add(cli);
+        });
+      });
+    });
+
+    // Dropped clients (e.g. a crawler timing out) are not simulator errors
+    client.on('error', error => this._log(`${device.name}: client error: ${error.message}`));
+  }
+
+  _acceptTelnet(device, socket) {
+    const stream = new TelnetStream(socket);
+    telnetLogin(device, stream, () => {
+      const cli = new CliSession(device, stream, () => this._sessions.delete(cli));
+      this._sessions.add(cli);
+    });
+    socket.on('error', error => this._log(`${device.name}: client error: ${error.message}`));
+  }
+
+  async stop() {
+    for (const session of this._sessions) {
+      session.stream.end();
+    }
+    await Promise.all(this._servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+    this._servers = [];
+  }
+
+  /**
+   * Devices within maxHops of the seed over the topology's links, with
+   * their hop count; these are the ones a crawl should log in to
+   * @param {string} seedName
+   * @param {number} maxHops
+   * @returns {Map<SimulatedDevice, number>}
+   */
+  reachableFrom(seedName, maxHops = Infinity) {
+    const seed = this.device(seedName);
+    const hops = new Map(seed ? [[seed, 0]] : []);
+    let frontier = seed ? [seed] : [];
+    for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+      const next = [];
+      for (const device of frontier) {
+        for (const { neighbor } of device.neighbors) {
+          const seen = device.neighborsVia('cdp').concat(device.neighborsVia('lldp'))
+            .some(entry => entry.neighbor === neighbor);
+          if (seen && !hops.has(neighbor)) {
+            hops.set(neighbor, hop);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return hops;
+  }
+}
+
+/**
+ * Compare a crawl's devices with the topology: every device within maxHops
+ * of the seed was logged in to, identified and typed correctly, and every
+ * link between two of them was recorded by at least one end
+ * @param {DeviceSimulator} simulator
+ * @param {Object} discoveredDevices - NetworkDiscovery.discoveredDevices
+ * @param {Object} options - { seed, maxHops }
+ * @returns {string[]} - Problems found; empty when the crawl matches
+ */
+function verifyDiscovery(simulator, discoveredDevices, { seed, maxHops = Infinity } = {}) {
+  const problems = [];
+  const expected = simulator.reachableFrom(seed, maxHops);
+  const sameInterface = (a, b) => Boolean(a && b) && shortInterfaceName(a).toLowerCase() === shortInterfaceName(b).toLowerCase();
+
+  for (const device of expected.keys()) {
+    const found = discoveredDevices[device.address];
+    if (!found) {
+      problems.push(`${device.name} (${device.address}) was not discovered`);
+      continue;
+    }
+    if (!found.visited || found.failed) {
+      problems.push(`${device.name} was not crawled: ${found.errorMsg || 'not visited'}`);
+      continue;
+    }
+    if (found.hostname !== device.name) {
+      problems.push(`${device.name} has hostname "${found.hostname}"`);
+    }
+    if (found.deviceType !== device.platform) {
+      problems.push(`${device.name} was typed as ${found.deviceType}, expected ${device.platform}`);
+    }
+    if (found.serialNumber !== device.serial) {
+      problems.push(`${device.name} has serial ${found.serialNumber}, expected ${device.serial}`);
+    }
+    if (found.transport !== device.transport) {
+      problems.push(`${device.name} was reached over ${found.transport}, expected ${device.transport}`);
+    }
+  }
+
+  const recorded = (device, localPort, peer, remotePort) => {
+    const found = discoveredDevices[device.address];
+    return Boolean(found) && Object.entries(found.localInterfaces || {}).some(([name, link]) =>
+      sameInterface(name, localPort) && link.connectedTo === peer.address && sameInterface(link.remoteInterface, remotePort));
+  };
+  for (const link of simulator.topology.links || []) {
+    const from = simulator.device(link.from);
+    const to = simulator.device(link.to);
+    if (!expected.has(from) || !expected.has(to)) {
+      continue;
+    }
+    const visible = from.neighborsVia('cdp').concat(from.neighborsVia('lldp')).some(entry => entry.neighbor === to);
+    if (visible && !recorded(from, link.fromPort, to, link.toPort) && !recorded(to, link.toPort, from, link.fromPort)) {
+      problems.push(`Link ${link.from} ${link.fromPort} - ${link.to} ${link.toPort} was not recorded`);
+    }
+  }
+
+  const addresses = new Set(simulator.devices.map(device => device.address));
+  for (const ip of Object.keys(discoveredDevices)) {
+    if (!addresses.has(ip)) {
+      problems.push(`Discovered ${ip}, which is not in the topology`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Crawl the simulator with NetworkDiscovery from the topology's seed
+ * @param {DeviceSimulator} simulator - Already started
+ * @param {Object} options - { maxHops, outputDir }
+ * @returns {Promise<{ discovery: NetworkDiscovery, problems: string[] }>}
+ */
+async function crawlSimulation(simulator, options = {}) {
+  process.env.NET_TEXTFSM = process.env.NET_TEXTFSM || path.join(__dirname, '..', 'templates', 'textfsm');
+  const { NetworkDiscovery, Credential } = require('./crawl4.js');
+
+  const topology = simulator.topology;
+  const seed = simulator.device(topology.seed) || simulator.devices[0];
+  const maxHops = options.maxHops !== undefined ? options.maxHops : (topology.maxHops || simulator.devices.length);
+  const outputDir = options.outputDir || fs.mkdtempSync(path.join(os.tmpdir(), 'network-mapper-sim-'));
+
+  const credentials = [new Credential({
+    username: topology.username || 'admin',
+    password: topology.password || 'admin',
+    enablePassword: topology.enableSecret || null,
+    port: seed.port
+  })];
+  const discovery = new NetworkDiscovery(credentials, {
+    sshPort: seed.port,
+    telnetFallback: simulator.devices.some(device => device.transport === 'telnet'),
+    telnetPort: topology.telnetPort || DEFAULT_TELNET_PORT,
+    templateDir: path.join(__dirname, '..', 'templates'),
+    outputFile: path.join(outputDir, 'simulated_topology.json')
+  });
+
+  await discovery.discoverSingleThreaded([{ hostname: '', ip_address: seed.address }], maxHops);
+  const problems = verifyDiscovery(simulator, discovery.discoveredDevices, { seed: seed.name, maxHops });
+  return { discovery, problems };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+SSH Device Simulator - Command Line Options:
+  node lib/device-simulator.js TOPOLOGY.json [--crawl] [--max-hops N]
+
+  TOPOLOGY.json     Devices and links to simulate (see the comment at the top of this file)
+  --crawl           Crawl the simulated devices with NetworkDiscovery, check the result
+                    against the topology and exit (status 1 on mismatch)
+  --max-hops N      Hop limit for --crawl (default: the topology's maxHops or device count)
+    `);
+    return;
+  }
+
+  const topologyFile = args.find(arg => !arg.startsWith('--') && !/^\d+$/.test(arg));
+  const maxHopsIndex = args.indexOf('--max-hops');
+  const maxHops = maxHopsIndex !== -1 ? parseInt(args[maxHopsIndex + 1], 10) : undefined;
+
+  const simulator = DeviceSimulator.fromFile(topologyFile, { log: message => console.log(message) });
+  await simulator.start();
+
+  if (!args.includes('--crawl')) {
+    console.log(`Simulating ${simulator.devices.length} device(s); press Ctrl+C to stop`);
+    process.once('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+    return;
+  }
+
+  // crawl4.js reads LOG_LEVEL when first required; keep the report readable
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  const { discovery, problems } = await crawlSimulation(simulator, { maxHops });
+  await simulator.stop();
+
+  const crawled = Object.values(discovery.discoveredDevices).filter(device => device.visited && !device.failed).length;
+  console.log(`\nCrawled ${crawled} of ${simulator.devices.length} simulated device(s); results in ${discovery.outputFile}`);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.log(`FAIL: ${problem}`));
+    process.exit(1);
+  }
+  console.log('PASS: discovered topology matches');
+  process.exit(0);
+}
+
+module.exports = {
+  DeviceSimulator,
+  SimulatedDevice,
+  CliSession,
+  verifyDiscovery,
+  crawlSimulation
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
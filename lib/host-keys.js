@@ -0,0 +1,334 @@
+/**
+ * SSH host key verification
+ * -------------------------
+ * Every SSH connection the crawler makes, to a device or a jump host, has
+ * its host key checked before any credential is sent. Keys are looked up
+ * first in an optional OpenSSH known_hosts file, then in the pin store: a
+ * JSON file of keys pinned the first time each host was seen
+ * (trust on first use). A key that differs from the known or pinned one is
+ * refused. With strict checking nothing is pinned automatically, so a host
+ * must be in known_hosts or have been accepted into the store beforehand.
+ *
+ * Refused keys are kept in the store as pending, so they can be reviewed and
+ * accepted (replacing the pin) or discarded; revoking a pin makes the next
+ * connection pin the host again.
+ *
+ * Hosts are keyed as in known_hosts: `host` for port 22, `[host]:port`
+ * otherwise. Fingerprints are OpenSSH's `SHA256:<base64>`.
+ *
+ * Pin store:
+ *   { "version": 1,
+ *     "hosts":   { "[10.0.0.1]:2222": { keyType, key, fingerprint, addedAt } },
+ *     "pending": { "10.0.0.2": { keyType, key, fingerprint, status, expected, seenAt } } }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_VERSION = 1;
+
+/**
+ * A host key was refused. status is 'changed' (differs from the known or
+ * pinned key), 'revoked' (marked @revoked in known_hosts) or 'unknown'
+ * (strict checking and the host has no known or pinned key).
+ */
+class HostKeyError extends Error {
+  constructor(message, { hostId, status, fingerprint, expected = null }) {
+    super(message);
+    this.name = 'HostKeyError';
+    this.hostId = hostId;
+    this.status = status;
+    this.fingerprint = fingerprint;
+    this.expected = expected;
+  }
+}
+
+function hostKeyId(host, port = 22) {
+  return Number(port) === 22 ? String(host) : `[${host}]:${port}`;
+}
+
+function fingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+// The key type named inside an SSH public key blob, e.g. 'ssh-ed25519'
+function keyType(key) {
+  if (key.length < 4) {
+    return 'unknown';
+  }
+  const length = key.readUInt32BE(0);
+  return key.length >= 4 + length ? key.toString('ascii', 4, 4 + length) : 'unknown';
+}
+
+// OpenSSH host pattern: `*` and `?` wildcards, case-insensitive
+function patternMatches(pattern, hostId) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i').test(hostId);
+}
+
+/**
+ * An OpenSSH known_hosts file, read once. Supports hashed hosts
+ * (`|1|salt|hash`), comma-separated patterns with `!` negation and the
+ * `@revoked` marker; `@cert-authority` lines are ignored.
+ */
+class KnownHostsFile {
+  constructor(file) {
+    this.file = file.replace(/^~(?=$|[\\/])/, os.homedir());
+    this.entries = [];
+    for (const line of fs.readFileSync(this.file, 'utf8').split(/\r?\n/)) {
+      const fields = line.trim().split(/\s+/);
+      if (!fields[0] || fields[0].startsWith('#')) {
+        continue;
+      }
+      const marker = fields[0].startsWith('@') ? fields.shift() : null;
+      if (marker === '@cert-authority' || fields.length < 3) {
+        continue;
+      }
+      this.entries.push({
+        revoked: marker === '@revoked',
+        hosts: fields[0],
+        keyType: fields[1],
+        key: Buffer.from(fields[2], 'base64')
+      });
+    }
+  }
+
+  _matches(entry, hostId) {
+    if (entry.hosts.startsWith('|1|')) {
+      const [salt, hash] = entry.hosts.slice(3).split('|');
+      const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(hostId).digest('base64');
+      return digest === hash;
+    }
+    let matched = false;
+    for (const pattern of entry.hosts.split(',')) {
+      if (pattern.startsWith('!')) {
+        if (patternMatches(pattern.slice(1), hostId)) {
+          return false;
+        }
+      } else if (patternMatches(pattern, hostId)) {
+        matched = true;
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * @param {string} hostId - See hostKeyId()
+   * @returns {Object[]} - Entries for the host: { revoked, keyType, key }
+   */
+  lookup(hostId) {
+    return this.entries.filter(entry => this._matches(entry, hostId));
+  }
+}
+
+/**
+ * Pinned and pending host keys, saved after every change. Without a file
+ * the pins last for the run only. The file is re-read before each lookup
+ * and change, since a crawl and the review command may share it.
+ */
+class HostKeyStore {
+  constructor(file = null) {
+    this.file = file;
+    this.hosts = {};
+    this.pending = {};
+    this.load();
+  }
+
+  load() {
+    if (this.file && fs.existsSync(this.file)) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      } catch (error) {
+        // Starting over would silently re-pin every host, so make the user choose
+        throw new Error(`Cannot read the host key pin store ${this.file}: ${error.message}. ` +
+          'Repair it, or move it aside to start pinning again (--host-key-file on the command line)');
+      }
+      this.hosts = data.hosts || {};
+      this.pending = data.pending || {};
+    }
+    return this;
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const data = { version: STORE_VERSION, hosts: this.hosts, pending: this.pending };
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  pin(hostId, key) {
+    this.load();
+    this.hosts[hostId] = {
+      keyType: keyType(key),
+      key: key.toString('base64'),
+      fingerprint: fingerprint(key),
+      addedAt: new Date().toISOString()
+    };
+    delete this.pending[hostId];
+    this.save();
+  }
+
+  addPending(hostId, key, status, expected) {
+    this.load();
+    this.pending[hostId] = {
+      keyType: keyType(key),
+      key: key.toString('base64'),
+      fingerprint: fingerprint(key),
+      status,
+      expected,
+      seenAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  // Pin the pending key in place of the current one
+  accept(hostId) {
+    this.load();
+    const entry = this.pending[hostId];
+    if (!entry) {
+      throw new Error(`No pending host key for ${hostId}`);
+    }
+    this.pin(hostId, Buffer.from(entry.key, 'base64'));
+  }
+
+  discard(hostId) {
+    this.load();
+    delete this.pending[hostId];
+    this.save();
+  }
+
+  revoke(hostId) {
+    this.load();
+    delete this.hosts[hostId];
+    delete this.pending[hostId];
+    this.save();
+  }
+}
+
+class HostKeyVerifier {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.storeFile - Pin store; null keeps pins in memory
+   * @param {string|null} options.knownHostsFile - OpenSSH known_hosts to check first
+   * @param {boolean} options.strict - Never pin on first use
+   * @param {Function} options.log
+   * @param {Function} options.warn - Defaults to log
+   */
+  constructor({ storeFile = null, knownHostsFile = null, strict = false, log = () => {}, warn = log } = {}) {
+    this.store = new HostKeyStore(storeFile);
+    this.knownHosts = null;
+    this.strict = strict;
+    this._log = log;
+
+    if (knownHostsFile) {
+      try {
+        this.knownHosts = new KnownHostsFile(knownHostsFile);
+      } catch (error) {
+        const message = `Cannot read the known_hosts file ${knownHostsFile} ` +
+          `(networkMapper.knownHostsFile, --known-hosts): ${error.message}`;
+        // With strict checking the file is the only source of trust
+        if (error.code !== 'ENOENT' || strict) {
+          throw new Error(message);
+        }
+        warn(`${message}; checking pinned keys only`);
+      }
+    }
+  }
+
+  /**
+   * Check the key a host presented, pinning it if the host is new
+   * @param {string} host
+   * @param {number} port
+   * @param {Buffer} key - Public key blob, as ssh2 passes to hostVerifier
+   * @returns {{ status: string, fingerprint: string }} - status 'known',
+   *   'pinned' or 'new'
+   * @throws {HostKeyError} - When the key is refused
+   */
+  verify(host, port, key) {
+    const hostId = hostKeyId(host, port);
+    const type = keyType(key);
+    const offered = fingerprint(key);
+    const refuse = (status, expected, message) => {
+      this.store.addPending(hostId, key, status, expected);
+      this._log(message);
+      throw new HostKeyError(message, { hostId, status, fingerprint: offered, expected });
+    };
+
+    const listed = this.knownHosts ? this.knownHosts.lookup(hostId) : [];
+    if (listed.some(entry => entry.revoked && entry.key.equals(key))) {
+      refuse('revoked', null, `Host key ${offered} for ${hostId} is revoked in ${this.knownHosts.file}`);
+    }
+    const trusted = listed.filter(entry => !entry.revoked);
+    if (trusted.length > 0) {
+      if (trusted.some(entry => entry.keyType === type && entry.key.equals(key))) {
+        return { status: 'known', fingerprint: offered };
+      }
+      // A host known by another key type is still known: offering a type
+      // known_hosts has no entry for is refused, never pinned
+      const sameType = trusted.find(entry => entry.keyType === type);
+      if (sameType) {
+        const expected = fingerprint(sameType.key);
+        refuse('changed', expected,
+          `Host key for ${hostId} has changed: ${this.knownHosts.file} has ${expected}, host offered ${offered}`);
+      }
+      const knownTypes = [...new Set(trusted.map(entry => entry.keyType))].join(', ');
+      refuse('changed', fingerprint(trusted[0].key),
+        `Host ${hostId} offered an ${type} key ${offered}, but ${this.knownHosts.file} only has ${knownTypes} keys for it`);
+    }
+
+    const pinned = this.store.load().hosts[hostId];
+    if (pinned) {
+      if (pinned.key === key.toString('base64')) {
+        return { status: 'pinned', fingerprint: offered };
+      }
+      refuse('changed', pinned.fingerprint,
+        `Host key for ${hostId} has changed: pinned ${pinned.fingerprint}, host offered ${offered}`);
+    }
+
+    if (this.strict) {
+      refuse('unknown', null, `Host key ${offered} for ${hostId} is not known and strict host key checking is on`);
+    }
+    this.store.pin(hostId, key);
+    this._log(`Pinned ${type} host key ${offered} for ${hostId}`);
+    return { status: 'new', fingerprint: offered };
+  }
+
+  /**
+   * An ssh2 hostVerifier for one connection. A refused key is handed to
+   * onRefused so the connection can fail with the HostKeyError rather than
+   * ssh2's generic handshake error. Any other error (the pin store could not
+   * be read or saved) refuses the key too: thrown here it would escape ssh2's
+   * handshake as an uncaught exception instead of failing this connection.
+   * @param {string} host
+   * @param {number} port
+   * @param {Function} onRefused - Called with the HostKeyError, or the error
+   *   that stopped the key being checked
+   */
+  hostVerifier(host, port, onRefused) {
+    return (key) => {
+      try {
+        this.verify(host, port, key);
+        return true;
+      } catch (error) {
+        onRefused(error instanceof HostKeyError
+          ? error
+          : new Error(`Could not check the host key for ${hostKeyId(host, port)}: ${error.message}`));
+        return false;
+      }
+    };
+  }
+}
+
+module.exports = {
+  HostKeyError,
+  HostKeyStore,
+  HostKeyVerifier,
+  KnownHostsFile,
+  hostKeyId,
+  fingerprint
+};
@@ -0,0 +1,273 @@
+/**
+ * IP address helpers
+ * ------------------
+ * Small IPv4/IPv6 utilities shared by discovery for address validation,
+ * subnet matching (jump host rules) and seed sweeps, without pulling in an
+ * IP library. IPv6 values are handled as BigInt.
+ */
+
+const net = require('net');
+
+/**
+ * Convert a dotted-quad IPv4 address to an unsigned 32-bit integer
+ * @param {string} ip - IPv4 address
+ * @returns {number}
+ */
+function ipv4ToInt(ip) {
+  if (!net.isIPv4(ip)) {
+    throw new Error(`Invalid IPv4 address: ${ip}`);
+  }
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) | parseInt(octet, 10)) >>> 0, 0);
+}
+
+/**
+ * Convert an unsigned 32-bit integer back to dotted-quad form
+ * @param {number} value
+ * @returns {string}
+ */
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+}
+
+/**
+ * Convert an IPv6 address (compressed, zoned or with an embedded IPv4 tail)
+ * to a 128-bit BigInt
+ * @param {string} ip - IPv6 address
+ * @returns {bigint}
+ */
+function ipv6ToBigInt(ip) {
+  let text = String(ip).split('%')[0];
+  if (!net.isIPv6(text)) {
+    throw new Error(`Invalid IPv6 address: ${ip}`);
+  }
+
+  const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const value = ipv4ToInt(embedded[1]);
+    text = text.slice(0, -embedded[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Format a 128-bit BigInt as an RFC 5952 IPv6 address (lower case, longest
+ * zero run compressed)
+ * @param {bigint} value
+ * @returns {string}
+ */
+function bigIntToIpv6(value) {
+  const groups = [];
+  for (let shift = 112; shift >= 0; shift -= 16) {
+    groups.push(Number((value >> BigInt(shift)) & 0xffffn));
+  }
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let end = i;
+    while (end < groups.length && groups[end] === 0) {
+      end++;
+    }
+    if (end - i > bestLength) {
+      bestStart = i;
+      bestLength = end - i;
+    }
+    i = end;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Canonical form of an address as found in device output: the first token,
+ * without brackets; IPv6 is lower-cased and compressed so the same device is
+ * always keyed the same way
+ * @param {string} ip - e.g. "10.0.0.1" or "2001:DB8:0::1  (global unicast)"
+ * @returns {string|null} - null when the text is not an IP address
+ */
+function normalizeIpAddress(ip) {
+  if (!ip) {
+    return null;
+  }
+  const text = String(ip).trim().split(/\s+/)[0].replace(/^\[(.*)\]$/, '$1').replace(/,$/, '');
+  if (net.isIPv4(text)) {
+    return text;
+  }
+  if (net.isIPv6(text)) {
+    return bigIntToIpv6(ipv6ToBigInt(text));
+  }
+  return null;
+}
+
+/**
+ * IPv6 link-local (fe80::/10) addresses need an interface zone and are never
+ * usable as a management address from another host
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isLinkLocal(ip) {
+  const text = String(ip).split('%')[0];
+  return net.isIPv6(text) && (ipv6ToBigInt(text) >> 118n) === 0x3fan;
+}
+
+/**
+ * Parse "a.b.c.d/len" or "v6::/len" (a bare address is a host route)
+ * @param {string} cidr
+ * @returns {{version: number, network: number|bigint, prefix: number, mask: number|bigint}}
+ */
+function parseCidr(cidr) {
+  const text = String(cidr).trim();
+  const version = text.includes(':') ? 6 : 4;
+  const bits = version === 6 ? 128 : 32;
+  const [address, prefixText = String(bits)] = text.split('/');
+  const prefix = parseInt(prefixText, 10);
+  if (!/^\d+$/.test(prefixText) || prefix > bits) {
+    throw new Error(`Invalid prefix length in ${cidr}`);
+  }
+
+  if (version === 6) {
+    const all = (1n << 128n) - 1n;
+    const mask = (all << BigInt(128 - prefix)) & all;
+    return { version, network: ipv6ToBigInt(address) & mask, prefix, mask };
+  }
+
+  const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+  return { version, network: (ipv4ToInt(address) & mask) >>> 0, prefix, mask };
+}
+
+/**
+ * Check whether an address falls inside a CIDR block of the same family
+ * @param {string|Object} cidr - CIDR text or the result of parseCidr
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function cidrContains(cidr, ip) {
+  const { version, network, mask } = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+  if (version === 6) {
+    return net.isIPv6(String(ip).split('%')[0]) && (ipv6ToBigInt(ip) & mask) === network;
+  }
+  if (!net.isIPv4(ip)) {
+    return false;
+  }
+  return ((ipv4ToInt(ip) & mask) >>> 0) === network;
+}
+
+// Upper bound on addresses a single sweep spec may expand to (a /16)
+const MAX_SWEEP_TARGETS = 65536;
+
+const RANGE_PATTERN = /^(\d{1,3}(?:\.\d{1,3}){3})\s*-\s*(\d{1,3}(?:\.\d{1,3}){3}|\d{1,3})$/;
+
+/**
+ * True for entries that describe a block of addresses to sweep rather than
+ * a single seed: "10.0.0.0/24", "10.0.0.10-10.0.0.50" or "10.0.0.10-50"
+ * @param {string} spec
+ * @returns {boolean}
+ */
+function isSweepSpec(spec) {
+  const text = String(spec).trim();
+  return text.includes('/') || RANGE_PATTERN.test(text);
+}
+
+/**
+ * Expand a CIDR block, address range or single address into addresses.
+ * Network and broadcast addresses of IPv4 blocks larger than /31 are
+ * skipped. IPv6 is accepted for blocks small enough to fit the limit.
+ * @param {string} spec
+ * @param {number} limit - Refuse specs larger than this
+ * @returns {string[]}
+ */
+function expandSweepSpec(spec, limit = MAX_SWEEP_TARGETS) {
+  const text = String(spec).trim();
+  let first;
+  let last;
+
+  if (text.includes(':')) {
+    const { network, prefix } = parseCidr(text);
+    const size = 1n << BigInt(128 - prefix);
+    if (size > BigInt(limit)) {
+      throw new Error(`${spec} expands to ${size} addresses (limit ${limit})`);
+    }
+    const addresses = [];
+    for (let offset = 0n; offset < size; offset++) {
+      addresses.push(bigIntToIpv6(network + offset));
+    }
+    return addresses;
+  }
+
+  if (text.includes('/')) {
+    const { network, prefix, mask } = parseCidr(text);
+    first = network;
+    last = (network | (~mask >>> 0)) >>> 0;
+    if (prefix < 31) {
+      first += 1;
+      last -= 1;
+    }
+  } else {
+    const range = text.match(RANGE_PATTERN);
+    if (range) {
+      first = ipv4ToInt(range[1]);
+      last = range[2].includes('.')
+        ? ipv4ToInt(range[2])
+        : ipv4ToInt(range[1].replace(/\d+$/, range[2]));
+    } else {
+      first = last = ipv4ToInt(text);
+    }
+  }
+
+  if (last < first) {
+    throw new Error(`Invalid address range: ${spec}`);
+  }
+  if (last - first + 1 > limit) {
+    throw new Error(`${spec} expands to ${last - first + 1} addresses (limit ${limit})`);
+  }
+
+  const addresses = [];
+  for (let value = first; value <= last; value++) {
+    addresses.push(intToIpv4(value));
+  }
+  return addresses;
+}
+
+/**
+ * Split a targets file or text box into entries: one per line or
+ * semicolon, with blank lines and # comments ignored
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseTargetList(text) {
+  return String(text)
+    .split(/[;\r\n]+/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line !== '');
+}
+
+module.exports = {
+  MAX_SWEEP_TARGETS,
+  ipv4ToInt,
+  intToIpv4,
+  parseCidr,
+  cidrContains,
+  ipv6ToBigInt,
+  bigIntToIpv6,
+  normalizeIpAddress,
+  isLinkLocal,
+  isSweepSpec,
+  expandSweepSpec,
+  parseTargetList
+};
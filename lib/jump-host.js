@@ -0,0 +1,287 @@
+/**
+ * Jump host (bastion) chains
+ * --------------------------
+ * ProxyJump-style SSH hops used to reach devices that are not routable
+ * from the machine running discovery. Each hop authenticates with its own
+ * credential; the first hop is dialled directly and every later hop is
+ * reached through a direct-tcpip channel on the previous one. The chain is
+ * connected lazily, shared by every device behind it for the whole run and
+ * re-established if a hop drops. Each hop's host key is checked like a
+ * device's when a HostKeyVerifier is given.
+ */
+
+const { Client } = require('ssh2');
+const { SUPPORTED_ALGORITHMS, buildAuthOptions } = require('./ssh-client2.js');
+const { parseCidr, cidrContains } = require('./ip-utils.js');
+const { HostKeyError } = require('./host-keys.js');
+
+/**
+ * One hop of a jump host chain
+ */
+class JumpHost {
+  constructor({ host, port = 22, username, password = '', keyFile = '', keyPassphrase = '', useAgent = false } = {}) {
+    if (!host || !username) {
+      throw new Error('Jump host requires host and username');
+    }
+    this.host = host;
+    this.port = parseInt(port, 10) || 22;
+    this.username = username;
+    this.password = password;
+    this.keyFile = keyFile;
+    this.keyPassphrase = keyPassphrase;
+    this.useAgent = useAgent;
+  }
+
+  toString() {
+    return `${this.username}@${this.host}:${this.port}`;
+  }
+}
+
+class JumpHostChain {
+  /**
+   * @param {Array<Object|JumpHost>} hops - Ordered hops, nearest first
+   * @param {Object} options - { timeout (ms), agent, hostKeys, log }
+   */
+  constructor(hops, options = {}) {
+    if (!Array.isArray(hops) || hops.length === 0) {
+      throw new Error('Jump host chain needs at least one hop');
+    }
+    this.hops = hops.map(hop => (hop instanceof JumpHost ? hop : new JumpHost(hop)));
+    this.timeout = options.timeout || 15000;
+    this.agent = options.agent || null;
+    this.hostKeys = options.hostKeys || null;
+    this._log = options.log || (() => {});
+    this._clients = [];
+    this._connecting = null;
+  }
+
+  get description() {
+    return this.hops.map(hop => hop.toString()).join(' -> ');
+  }
+
+  get connected() {
+    return this._clients.length === this.hops.length;
+  }
+
+  /**
+   * Connect every hop in order (no-op when already connected)
+   * @returns {Promise<Client>} - The client of the last hop
+   */
+  async connect() {
+    if (this.connected) {
+      return this._clients[this._clients.length - 1];
+    }
+    if (!this._connecting) {
+      this._connecting = this._connectHops().finally(() => {
+        this._connecting = null;
+      });
+    }
+    return this._connecting;
+  }
+
+  async _connectHops() {
+    const clients = [];
+    try {
+      for (const hop of this.hops) {
+        const previous = clients[clients.length - 1];
+        const sock = previous ? await this._forward(previous, hop.host, hop.port) : null;
+        clients.push(await this._connectHop(hop, sock));
+        this._log(`Jump host ${hop} connected`);
+      }
+    } catch (error) {
+      clients.reverse().forEach(client => client.end());
+      if (error instanceof HostKeyError) {
+        throw error;
+      }
+      throw new Error(`Jump host chain ${this.description} failed: ${error.message}`);
+    }
+
+    this._clients = clients;
+    // Losing any hop invalidates everything behind it
+    clients.forEach(client => client.once('close', () => this._reset(clients)));
+    return clients[clients.length - 1];
+  }
+
+  _connectHop(hop, sock) {
+    return new Promise((resolve, reject) => {
+      let auth;
+      try {
+        auth = buildAuthOptions({
+          username: hop.username,
+          password: hop.password,
+          keyFile: hop.keyFile,
+          passphrase: hop.keyPassphrase,
+          agent: hop.useAgent ? this.agent : null
+        }, this._log);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const client = new Client();
+      let hostKeyError = null;
+      let settled = false;
+      const settle = (fn, value) => {
+        if (!settled) {
+          settled = true;
+          fn(value);
+        }
+      };
+
+      client.on('ready', () => settle(resolve, client));
+      client.on('error', (error) => settle(reject, hostKeyError || new Error(`${hop}: ${error.message}`)));
+      client.on('close', () => settle(reject, new Error(`${hop}: connection closed before ready`)));
+      client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => hop.password));
+      });
+
+      client.connect({
+        host: hop.host,
+        port: hop.port,
+        username: hop.username,
+        ...auth,
+        ...(sock ? { sock } : {}),
+        ...(this.hostKeys ? {
+          hostVerifier: this.hostKeys.hostVerifier(hop.host, hop.port, (error) => {
+            hostKeyError = error;
+          })
+        } : {}),
+        readyTimeout: this.timeout,
+        keepaliveInterval: 10000,
+        algorithms: SUPPORTED_ALGORITHMS
+      });
+    });
+  }
+
+  _forward(client, host, port, timeout = this.timeout) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        settled = true;
+        reject(new Error(`Timed out opening channel to ${host}:${port}`));
+      }, timeout);
+
+      client.forwardOut('127.0.0.1', 0, host, port, (error, stream) => {
+        clearTimeout(timer);
+        if (settled) {
+          // Opened after the caller gave up; close it or it stays open on the bastion
+          if (stream) {
+            stream.destroy();
+          }
+          return;
+        }
+        settled = true;
+        if (error) {
+          reject(new Error(`Channel to ${host}:${port} refused: ${error.message}`));
+          return;
+        }
+        resolve(stream);
+      });
+    });
+  }
+
+  _reset(clients) {
+    if (this._clients === clients) {
+      this._log(`Jump host chain ${this.description} closed`);
+      this._clients = [];
+    }
+    clients.forEach(client => client.end());
+  }
+
+  /**
+   * Open a TCP stream to host:port from the last hop, suitable as the
+   * `sock` option of an ssh2 connection
+   */
+  async openTunnel(host, port, timeout = this.timeout) {
+    const exit = await this.connect();
+    return this._forward(exit, host, port, timeout);
+  }
+
+  /**
+   * TCP reachability probe performed from the last hop
+   * @returns {Promise<boolean>}
+   */
+  async isPortReachable(host, port, timeout = this.timeout) {
+    try {
+      const stream = await this.openTunnel(host, port, timeout);
+      stream.destroy();
+      return true;
+    } catch (error) {
+      this._log(`Probe of ${host}:${port} via ${this.description} failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  close() {
+    const clients = this._clients;
+    this._clients = [];
+    clients.reverse().forEach(client => client.end());
+  }
+}
+
+/**
+ * Picks the jump host chain for a target address: the most specific
+ * matching subnet rule wins, otherwise the global chain (if any) applies.
+ * A rule with an empty hop list forces a direct connection.
+ */
+class JumpHostResolver {
+  /**
+   * @param {Object} config - { jumpHosts: [hop...], jumpHostRules: [{subnet, jumpHosts}] }
+   * @param {Object} options - Passed through to each JumpHostChain
+   */
+  constructor({ jumpHosts = [], jumpHostRules = [] } = {}, options = {}) {
+    this._options = options;
+    this._defaultChain = jumpHosts.length > 0 ? new JumpHostChain(jumpHosts, options) : null;
+    this._rules = [];
+    jumpHostRules.forEach((rule, i) => {
+      // Say which rule is wrong; parseCidr only knows the text it was given
+      try {
+        this.addRule(rule.subnet, rule.jumpHosts);
+      } catch (error) {
+        throw new Error(`Invalid jumpHostRules[${i}].subnet "${rule.subnet}": ${error.message}`);
+      }
+    });
+  }
+
+  get enabled() {
+    return this._defaultChain !== null || this._rules.length > 0;
+  }
+
+  /**
+   * @param {string} subnet - CIDR block or single address
+   * @param {Array<Object>} jumpHosts - Hops for targets inside the subnet
+   */
+  addRule(subnet, jumpHosts = []) {
+    const rule = {
+      subnet,
+      cidr: parseCidr(subnet),
+      chain: jumpHosts.length > 0 ? new JumpHostChain(jumpHosts, this._options) : null
+    };
+    this._rules = this._rules.filter(existing => existing.subnet !== subnet);
+    this._rules.push(rule);
+    // Longest prefix first
+    this._rules.sort((a, b) => b.cidr.prefix - a.cidr.prefix);
+  }
+
+  /**
+   * @param {string} host - Target IP address
+   * @returns {JumpHostChain|null} - null means connect directly
+   */
+  chainFor(host) {
+    const rule = this._rules.find(candidate => cidrContains(candidate.cidr, host));
+    return rule ? rule.chain : this._defaultChain;
+  }
+
+  closeAll() {
+    if (this._defaultChain) {
+      this._defaultChain.close();
+    }
+    this._rules.forEach(rule => rule.chain && rule.chain.close());
+  }
+}
+
+module.exports = {
+  JumpHost,
+  JumpHostChain,
+  JumpHostResolver
+};
@@ -0,0 +1,187 @@
+/**
+ * Neighbor records
+ * ----------------
+ * CDP and LLDP templates (TextFSM, TTP and regex, across vendors) name their
+ * columns differently: NEIGHBOR_NAME, device_id, system_name... This module
+ * is the one place that knows those names. Every parsed neighbor entry is
+ * turned into a NeighborRecord, and discovery, post-processing and the
+ * topology builders read only NeighborRecord fields.
+ *
+ * NeighborRecord fields:
+ * - systemName: the neighbor's hostname (CDP Device ID / LLDP System Name)
+ * - chassisId: LLDP chassis ID, null for CDP
+ * - mgmtAddresses: normalized management addresses, IPv4 first, then IPv6
+ * - localPort: the interface on the device that reported the neighbor
+ * - remotePort: the neighbor's interface
+ * - platform: CDP platform or LLDP system description model string
+ * - capabilities: capability names, e.g. ['Router', 'Switch']
+ * - systemDescription: software description, when the template captures it
+ * - protocol: 'cdp', 'lldp' or null when unknown
+ * - discoveredVia: the command whose output held the entry
+ * - parsedBy: the name of the template that parsed it
+ */
+
+const { normalizeIpAddress, isLinkLocal } = require('./ip-utils.js');
+
+// Column names (compared case-insensitively) for each NeighborRecord field, in
+// order of preference
+const NEIGHBOR_FIELD_ALIASES = {
+  systemName: ['neighbor_name', 'device_id', 'hostname', 'neighbor', 'system_name', 'sysname'],
+  chassisId: ['chassis_id'],
+  mgmtAddresses: ['mgmt_address', 'management_ip', 'mgmt_ip', 'ip_address', 'neighbor_ip', 'mgmt_address_v6'],
+  localPort: ['local_interface', 'local_intf', 'interface', 'port', 'local_port'],
+  remotePort: ['remote_interface', 'remote_intf', 'neighbor_interface', 'port_id', 'remote_port'],
+  platform: ['platform'],
+  capabilities: ['capabilities', 'capability', 'enabled_capabilities', 'system_capabilities'],
+  systemDescription: ['neighbor_description', 'system_description']
+};
+
+// Raw column names a template must fill for discovery to use its records, as
+// alias lists in the form ExtensibleParser.parseBest() scores against
+const NEIGHBOR_REQUIRED_FIELDS = ['systemName', 'mgmtAddresses', 'localPort', 'remotePort']
+  .map(field => NEIGHBOR_FIELD_ALIASES[field].flatMap(alias => [alias, alias.toUpperCase()]));
+
+class NeighborRecord {
+  constructor(options = {}) {
+    this.systemName = options.systemName || null;
+    this.chassisId = options.chassisId || null;
+    this.mgmtAddresses = options.mgmtAddresses || [];
+    this.localPort = options.localPort || null;
+    this.remotePort = options.remotePort || null;
+    this.platform = options.platform || null;
+    this.capabilities = options.capabilities || [];
+    this.systemDescription = options.systemDescription || null;
+    this.protocol = options.protocol || null;
+    this.discoveredVia = options.discoveredVia || null;
+    this.parsedBy = options.parsedBy || null;
+  }
+
+  /**
+   * Address to reach and key the neighbor by: the first management address
+   * that is not link-local (a link-local address needs an interface zone)
+   * @returns {string|null}
+   */
+  primaryAddress() {
+    return this.mgmtAddresses.find(address => !isLinkLocal(address)) || null;
+  }
+
+  /**
+   * Build a record from one parser result
+   * @param {Object} raw - A parsed neighbor entry, or a NeighborRecord-shaped
+   *   object (e.g. read back from a saved topology), which is copied as is
+   * @param {Object} context - { command, parsedBy } for entries from a parser
+   * @returns {NeighborRecord}
+   */
+  static from(raw, { command = null, parsedBy = null } = {}) {
+    if (raw instanceof NeighborRecord || Array.isArray(raw && raw.mgmtAddresses)) {
+      return new NeighborRecord(raw);
+    }
+
+    const columns = flattenColumns(raw || {});
+    const pick = field => firstValue(columns, NEIGHBOR_FIELD_ALIASES[field]);
+
+    const discoveredVia = command || columns.discovered_via || null;
+    const recordParsedBy = parsedBy || columns.parsed_by || null;
+
+    return new NeighborRecord({
+      systemName: pick('systemName'),
+      chassisId: pick('chassisId'),
+      mgmtAddresses: managementAddresses(columns),
+      localPort: pick('localPort'),
+      remotePort: pick('remotePort'),
+      platform: pick('platform'),
+      capabilities: splitCapabilities(columns[findAlias(columns, NEIGHBOR_FIELD_ALIASES.capabilities)]),
+      systemDescription: pick('systemDescription'),
+      protocol: detectProtocol(discoveredVia, recordParsedBy),
+      discoveredVia,
+      parsedBy: recordParsedBy
+    });
+  }
+}
+
+/**
+ * Lower-case the column names of a parsed entry and lift the columns of a
+ * nested `neighbors` group (TTP templates) to the top level; top-level
+ * columns win
+ * @param {Object} raw
+ * @returns {Object}
+ */
+function flattenColumns(raw) {
+  const columns = {};
+  const add = source => {
+    for (const [key, value] of Object.entries(source)) {
+      const name = key.toLowerCase();
+      if (!(name in columns) || isEmpty(columns[name])) {
+        columns[name] = value;
+      }
+    }
+  };
+  add(raw);
+  if (raw.neighbors && typeof raw.neighbors === 'object' && !Array.isArray(raw.neighbors)) {
+    add(raw.neighbors);
+  }
+  return columns;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.every(isEmpty);
+  return String(value).trim() === '';
+}
+
+function findAlias(columns, aliases) {
+  return aliases.find(alias => !isEmpty(columns[alias]));
+}
+
+// First non-empty alias value, trimmed; List values yield their first item
+function firstValue(columns, aliases) {
+  const alias = findAlias(columns, aliases);
+  if (!alias) {
+    return null;
+  }
+  const value = columns[alias];
+  const first = Array.isArray(value) ? value.find(item => !isEmpty(item)) : value;
+  return String(first).trim();
+}
+
+// Every distinct valid address in the address columns, IPv4 before IPv6
+function managementAddresses(columns) {
+  const addresses = [];
+  for (const alias of NEIGHBOR_FIELD_ALIASES.mgmtAddresses) {
+    const values = Array.isArray(columns[alias]) ? columns[alias] : [columns[alias]];
+    for (const value of values) {
+      const address = normalizeIpAddress(value);
+      if (address && !addresses.includes(address)) {
+        addresses.push(address);
+      }
+    }
+  }
+  return [
+    ...addresses.filter(address => !address.includes(':')),
+    ...addresses.filter(address => address.includes(':'))
+  ];
+}
+
+// "Router Switch IGMP" (CDP) or "B, R" (LLDP) to a list of names
+function splitCapabilities(value) {
+  if (isEmpty(value)) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function detectProtocol(...hints) {
+  for (const hint of hints) {
+    const text = String(hint || '').toLowerCase();
+    if (text.includes('cdp')) return 'cdp';
+    if (text.includes('lldp')) return 'lldp';
+  }
+  return null;
+}
+
+module.exports = {
+  NeighborRecord,
+  NEIGHBOR_FIELD_ALIASES,
+  NEIGHBOR_REQUIRED_FIELDS
+};
@@ -0,0 +1,245 @@
+/**
+ * Prompt engine
+ * -------------
+ * Runs one CLI command over an interactive shell and returns exactly its
+ * output. The engine learns an anchored prompt regex for the device from the
+ * detected prompt, so a `#` or `>` inside the output (interface descriptions,
+ * banners) is not mistaken for the end of the command. Pager prompts
+ * (`--More--`, `<--- More --->`, `Press any key to continue`) are answered
+ * with a space while the command runs; the pager text, the command echo,
+ * backspace/carriage-return overwrites and the trailing prompt are stripped
+ * from the result.
+ *
+ * The engine drives any client that emits 'data' and implements
+ * sendCommand(command) and answerPager(), i.e. SynchronousSSHClient,
+ * TelnetClient and ReplaySSHClient.
+ */
+
+// Pager prompts, matched against the last (unfinished) line of output
+const PAGER_PATTERNS = [
+  /-+\s*more\s*-+,\s*next page.*?control-c/i,  // ProCurve
+  /<-+\s*more\s*-+>/i,                         // ASA and Huawei "<--- More --->"
+  /-+\(more(?:\s+\d+%)?\)-+/i,                  // Junos "---(more 50%)---"
+  /-{2,}\s*more\s*-{2,}(?:\s*\(\d+%\))?/i,      // IOS/NX-OS/EOS " --More-- "
+  /press any key to continue(?:\s*\(q to quit\))?/i
+];
+
+// Any prompt-looking line, used until a device's prompt has been learned
+const GENERIC_PROMPT = /^[\w.\-@:/~\[\]()]+[>#$%]\s*$/;
+
+// Refusals of a command, across the platforms we page on
+const COMMAND_ERROR = /%\s*(invalid|incomplete|ambiguous|unknown|unrecognized)|invalid input|invalid command|unknown command|syntax error|unrecognized command/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Render one line the way a terminal would show it: `\r` returns to the
+ * start of the line, `\b` and ESC[nD step back, ESC[K clears to the end of
+ * the line, and later characters overwrite earlier ones. Pagers erase
+ * themselves this way before the next page.
+ * @param {string} line - Raw text without '\n'
+ * @returns {string}
+ */
+function renderLine(line) {
+  const cells = [];
+  let cursor = 0;
+  // Only a line something was written back over loses trailing blanks
+  let overwritten = false;
+  const tokens = line.replace(/\r$/, '').split(/(\x1b\[[0-9;?]*[A-Za-z])/);
+  for (const token of tokens) {
+    const escape = /^\x1b\[([0-9;?]*)([A-Za-z])$/.exec(token);
+    if (escape) {
+      if (escape[2] === 'D') {
+        cursor = Math.max(0, cursor - (parseInt(escape[1], 10) || 1));
+        overwritten = true;
+      } else if (escape[2] === 'K') {
+        cells.length = Math.min(cells.length, cursor);
+      }
+      continue;
+    }
+    for (const char of token) {
+      if (char === '\r') {
+        cursor = 0;
+        overwritten = true;
+      } else if (char === '\b') {
+        cursor = Math.max(0, cursor - 1);
+        overwritten = true;
+      } else {
+        cells[cursor++] = char;
+      }
+    }
+  }
+  const text = Array.from(cells, cell => cell || ' ').join('');
+  return overwritten ? text.trimEnd() : text;
+}
+
+function renderLines(text) {
+  return text.split('\n').map(renderLine);
+}
+
+class PromptEngine {
+  constructor(options = {}) {
+    this._log = options.log || (() => {});
+    this.prompt = null;
+    this.terminators = null;
+    this.promptPattern = null;
+  }
+
+  /**
+   * Learn the device's prompt. The hostname part is matched literally; a
+   * mode suffix like `(config-if)` and any of the terminators may follow,
+   * so the pattern survives `enable` and configuration mode.
+   * @param {string} prompt - A detected prompt, e.g. "core1>" or "\r\nswitch#"
+   * @param {string} terminators - Characters that end a prompt on this
+   *   platform (DeviceDriver.promptTerminators)
+   * @returns {RegExp|null} - The learned pattern
+   */
+  learn(prompt, terminators = '>#$%') {
+    const trimmed = (renderLines(String(prompt || '')).filter(line => line.trim()).pop() || '').trim();
+    const base = trimmed.replace(/\s*[>#$%]$/, '').replace(/\([^)]*\)$/, '');
+    if (!base || (trimmed === this.prompt && terminators === this.terminators)) {
+      return this.promptPattern;
+    }
+    this.prompt = trimmed;
+    this.terminators = terminators;
+    const ends = `[${terminators.replace(/[\]\\^-]/g, '\\$&')}]`;
+    this.promptPattern = new RegExp(`^${escapeRegExp(base)}(?:\\([^)]*\\))?\\s*${ends}\\s*$`);
+    this._log(`Learned prompt pattern ${this.promptPattern}`);
+    return this.promptPattern;
+  }
+
+  isPrompt(line) {
+    return (this.promptPattern || GENERIC_PROMPT).test(line.trim());
+  }
+
+  isPager(line) {
+    return PAGER_PATTERNS.some(pattern => pattern.test(line));
+  }
+
+  /**
+   * The command's output without echo, pager prompts or trailing prompt
+   * @param {string} raw - Everything the device sent after the command
+   * @param {string} command
+   * @returns {string}
+   */
+  clean(raw, command) {
+    // Pager text a device did not erase; a line that held only a pager goes
+    let lines = [];
+    for (const line of renderLines(raw)) {
+      const text = PAGER_PATTERNS.reduce(
+        (current, pattern) => current.replace(new RegExp(`\\s*${pattern.source}`, `${pattern.flags}g`), ''), line);
+      if (text.trim() || !line.trim()) {
+        lines.push(text);
+      }
+    }
+
+    const echo = lines.findIndex(line => line.trim().endsWith(command.trim()));
+    if (echo !== -1) {
+      lines = lines.slice(echo + 1);
+    } else {
+      while (lines.length > 0 && (!lines[0].trim() || this.isPrompt(lines[0]))) {
+        lines.shift();
+      }
+    }
+    if (lines.length > 0 && this.isPrompt(lines[lines.length - 1])) {
+      lines.pop();
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Send a command and collect its output, answering pagers on the way. The
+   * command is done when the last line is the prompt and a line other than
+   * a bare prompt came before it (the echo at least), so a prompt still in
+   * flight from an earlier command does not end this one.
+   * @param {Object} client - See the module comment
+   * @param {string} command
+   * @param {number} timeout - Milliseconds to wait for the prompt
+   * @returns {Promise<string>} - The cleaned output
+   */
+  run(client, command, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      // Complete lines before `scanned` have been checked for output
+      let scanned = 0;
+      let sawOutput = false;
+      // Output before `answered` holds pagers already answered
+      let answered = 0;
+      let pagesAnswered = 0;
+
+      const finish = (error, output) => {
+        client.removeListener('data', dataHandler);
+        clearTimeout(timeoutHandle);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+
+      const dataHandler = (data) => {
+        raw += data;
+        const lineStart = raw.lastIndexOf('\n') + 1;
+        if (!sawOutput && lineStart > scanned) {
+          sawOutput = renderLines(raw.slice(scanned, lineStart - 1)).some(line => line.trim() && !this.isPrompt(line));
+          scanned = lineStart;
+        }
+        if (sawOutput && this.isPrompt(renderLine(raw.slice(lineStart)))) {
+          finish(null, this.clean(raw, command));
+        } else if (this.isPager(renderLine(raw.slice(Math.max(answered, lineStart))))) {
+          answered = raw.length;
+          pagesAnswered++;
+          this._log(`Answering pager ${pagesAnswered} for "${command}"`);
+          client.answerPager();
+        }
+      };
+
+      // A prompt we never learned (the device renamed itself, say) still
+      // ends the command, with a warning, rather than failing it
+      const timeoutHandle = setTimeout(() => {
+        const lines = renderLines(raw);
+        const lastLine = lines[lines.length - 1].trim();
+        if (lastLine && GENERIC_PROMPT.test(lastLine)) {
+          this._log(`Prompt "${lastLine}" does not match ${this.promptPattern}; learning it`);
+          this.learn(lastLine);
+          finish(null, this.clean(raw, command));
+        } else {
+          finish(new Error(`Timeout waiting for prompt after command: ${command}`));
+        }
+      }, timeout);
+
+      client.on('data', dataHandler);
+      client.sendCommand(command);
+    });
+  }
+
+  /**
+   * Turn off paging with the first of `commands` the device accepts
+   * @param {Object} client
+   * @param {string[]} commands - Candidates, e.g. 'terminal length 0'
+   * @param {number} timeout - Per command, in milliseconds
+   * @returns {Promise<string|null>} - The accepted command, or null
+   */
+  async disablePaging(client, commands, timeout = 10000) {
+    for (const command of commands) {
+      try {
+        const output = await this.run(client, command, timeout);
+        if (!COMMAND_ERROR.test(output)) {
+          return command;
+        }
+        this._log(`Pagination command "${command}" was refused: ${output.trim().split('\n')[0]}`);
+      } catch (error) {
+        this._log(`Pagination command "${command}" failed: ${error.message}`);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  PromptEngine,
+  PAGER_PATTERNS,
+  renderLine
+};
@@ -0,0 +1,116 @@
+/**
+ * Regex template translation
+ * --------------------------
+ * The files in templates/regex are written for Python's `re` module and laid
+ * out over several lines for readability. This converts them to a pattern
+ * JavaScript's RegExp accepts:
+ *
+ * - `(?P<name>...)` and `(?P=name)` become `(?<name>...)` and `\k<name>`
+ * - `\A` and `\Z` become lookarounds
+ * - a leading `(?x)` turns on verbose mode: unescaped whitespace and `#`
+ *   comments are removed, as with re.VERBOSE
+ * - otherwise a line break between pieces of the pattern is layout only and
+ *   is dropped, while a line break inside a group is a literal newline, so
+ *   `(?:.*` / `)*?` split over two lines still skips whole lines
+ *
+ * Other leading inline flags (`(?i)`, `(?m)`, `(?s)`) are returned as RegExp
+ * flags.
+ */
+
+/**
+ * Remove whitespace and comments the way re.VERBOSE does
+ * @param {string} pattern
+ * @returns {string}
+ */
+function stripVerbose(pattern) {
+  let result = '';
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      result += ch + (pattern[i + 1] || '');
+      i++;
+    } else if (inClass) {
+      if (ch === ']') inClass = false;
+      result += ch;
+    } else if (ch === '[') {
+      inClass = true;
+      result += ch;
+    } else if (ch === '#') {
+      while (i < pattern.length && pattern[i] !== '\n') i++;
+    } else if (!/\s/.test(ch)) {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply the multi-line layout rule: drop line breaks at the top level, keep
+ * them (as `\n`) inside groups
+ * @param {string} pattern
+ * @returns {string}
+ */
+function joinLines(pattern) {
+  let result = '';
+  let depth = 0;
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      result += ch + (pattern[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (ch === '\r') {
+      continue;
+    }
+    if (ch === '\n') {
+      if (depth > 0) result += '\\n';
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    }
+    result += ch;
+  }
+  return result;
+}
+
+/**
+ * Translate a Python regex template body to a JavaScript pattern
+ * @param {string} pattern - Template body without the header line
+ * @returns {{source: string, flags: string}}
+ */
+function translatePythonRegex(pattern) {
+  let text = String(pattern);
+  let flags = '';
+
+  const inline = text.match(/^\s*\(\?([aiLmsux]+)\)/);
+  if (inline) {
+    text = text.slice(inline[0].length);
+    flags = inline[1].replace(/[aLux]/g, '');
+  }
+
+  text = inline && inline[1].includes('x') ? stripVerbose(text) : joinLines(text.trim());
+
+  const source = text
+    .replace(/\(\?P<([A-Za-z_]\w*)>/g, '(?<$1>')
+    .replace(/\(\?P=([A-Za-z_]\w*)\)/g, '\\k<$1>')
+    .replace(/(?<!\\)((?:\\\\)*)\\A/g, '$1(?<![\\s\\S])')
+    .replace(/(?<!\\)((?:\\\\)*)\\Z/g, '$1(?![\\s\\S])');
+
+  // Surface syntax errors here rather than on first use
+  new RegExp(source, flags);
+  return { source, flags };
+}
+
+module.exports = {
+  translatePythonRegex
+};
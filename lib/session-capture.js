@@ -0,0 +1,378 @@
+/**
+ * Session capture and replay
+ * --------------------------
+ * Recording a discovery run writes a capture bundle: every SSH session's
+ * shell transcript (each command sent and the raw output that followed it),
+ * the outcome of each login attempt, the TCP port probes and the DNS lookups
+ * the crawl made. Replaying the bundle answers those same calls from the
+ * files, so a full discovery runs with no network and produces the same
+ * devices. Parsing bugs and template changes can then be tested against a
+ * customer's real output without access to their network.
+ *
+ * Bundle layout:
+ *   manifest.json        - probes, lookups and the session file of each host
+ *   sessions/<host>.json - { host, username, transport, attempts, prompt, preamble, exchanges }
+ *
+ * Secrets sent to a device (enable passwords) are never written; their
+ * exchange only records that a secret was sent and the output after it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PromptEngine } = require('./prompt-engine.js');
+const { HostKeyError } = require('./host-keys.js');
+
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const SESSIONS_DIR = 'sessions';
+
+// Same message as SynchronousSSHClient.findPrompt, so replayed runs log alike
+const PROMPT_NOT_FOUND = 'Failed to auto-detect command prompt pattern';
+
+function sessionFileName(host) {
+  return `${String(host).replace(/[^\w.-]/g, '_')}.json`;
+}
+
+class SessionRecorder {
+  /**
+   * @param {string} dir - Bundle directory, created on first write
+   * @param {Object} options - { log }
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this._log = options.log || (() => {});
+    this.createdAt = new Date().toISOString();
+    this.probes = {};
+    this.lookups = {};
+    this.sessions = {};
+    this._clients = new Map();
+  }
+
+  _session(host) {
+    if (!this.sessions[host]) {
+      this.sessions[host] = {
+        host,
+        username: null,
+        transport: null,
+        attempts: [],
+        prompt: null,
+        preamble: '',
+        exchanges: []
+      };
+    }
+    return this.sessions[host];
+  }
+
+  recordProbe(host, port, reachable) {
+    this.probes[`${host}:${port}`] = reachable;
+  }
+
+  // address is null when the lookup failed
+  recordLookup(name, address) {
+    this.lookups[name] = address;
+  }
+
+  /**
+   * Record one login attempt; the successful one names the session's user
+   * and transport
+   * @param {string} host
+   * @param {string} username
+   * @param {Error|null} error - null when the login succeeded
+   * @param {string} transport - 'ssh' or 'telnet'
+   */
+  recordAttempt(host, username, error = null, transport = 'ssh') {
+    const session = this._session(host);
+    const attempt = { username, transport, error: error ? error.message : null };
+    // Replay fails a refused host key the same way, not as a bad login
+    if (error instanceof HostKeyError) {
+      attempt.hostKey = { hostId: error.hostId, status: error.status, fingerprint: error.fingerprint, expected: error.expected };
+    }
+    session.attempts.push(attempt);
+    if (!error) {
+      session.username = username;
+      session.transport = transport;
+    }
+  }
+
+  /**
+   * Start recording the shell transcript of a connected client. Output is
+   * filed under the last command sent; output before the first command is
+   * the preamble (banner, MOTD, the prompt), including what a Telnet login
+   * received before the shell was attached.
+   * @param {SynchronousSSHClient|TelnetClient} client
+   * @param {string} host
+   */
+  attach(client, host) {
+    const session = this._session(host);
+    session.preamble = client._outputBuffer || '';
+    session.exchanges = [];
+
+    const listeners = {
+      command: command => session.exchanges.push({ command, output: '' }),
+      secret: () => session.exchanges.push({ secret: true, output: '' }),
+      data: data => {
+        const last = session.exchanges[session.exchanges.length - 1];
+        if (last) {
+          last.output += data;
+        } else {
+          session.preamble += data;
+        }
+      }
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      client.on(event, listener);
+    }
+    this._clients.set(client, { session, listeners });
+  }
+
+  // The prompt discovery detected, or null when detection failed
+  recordPrompt(client, prompt) {
+    const entry = this._clients.get(client);
+    if (entry) {
+      entry.session.prompt = prompt || null;
+    }
+  }
+
+  /**
+   * Stop recording a client and write its session file
+   * @param {SynchronousSSHClient} client
+   */
+  finish(client) {
+    const entry = this._clients.get(client);
+    if (!entry) {
+      return;
+    }
+    for (const [event, listener] of Object.entries(entry.listeners)) {
+      client.removeListener(event, listener);
+    }
+    this._clients.delete(client);
+    this._writeSession(entry.session);
+  }
+
+  _writeSession(session) {
+    const sessionsDir = path.join(this.dir, SESSIONS_DIR);
+    fs.mkdirSync(sessionsDir, { recursive: true });
+    fs.writeFileSync(path.join(sessionsDir, sessionFileName(session.host)), JSON.stringify(session, null, 2));
+  }
+
+  /**
+   * Write the manifest and every session recorded so far
+   * @returns {string} - The bundle directory
+   */
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const sessions = {};
+    for (const session of Object.values(this.sessions)) {
+      this._writeSession(session);
+      sessions[session.host] = path.join(SESSIONS_DIR, sessionFileName(session.host));
+    }
+    const manifest = {
+      version: BUNDLE_VERSION,
+      createdAt: this.createdAt,
+      savedAt: new Date().toISOString(),
+      probes: this.probes,
+      lookups: this.lookups,
+      sessions
+    };
+    fs.writeFileSync(path.join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    this._log(`Capture bundle saved to ${this.dir} (${Object.keys(sessions).length} sessions)`);
+    return this.dir;
+  }
+}
+
+class CaptureBundle {
+  constructor(manifest, sessions, dir = null) {
+    this.dir = dir;
+    this.createdAt = manifest.createdAt || null;
+    this.probes = manifest.probes || {};
+    this.lookups = manifest.lookups || {};
+    this.sessions = sessions;
+  }
+
+  /**
+   * Read a bundle written by SessionRecorder.save()
+   * @param {string} dir
+   * @returns {CaptureBundle}
+   */
+  static load(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Not a capture bundle (no ${MANIFEST_FILE}): ${dir}`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.version !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported capture bundle version ${manifest.version} in ${manifestPath}`);
+    }
+    const sessions = {};
+    for (const [host, file] of Object.entries(manifest.sessions || {})) {
+      sessions[host] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+    return new CaptureBundle(manifest, sessions, dir);
+  }
+
+  // Hosts and ports that were not probed while recording are unreachable
+  isPortReachable(host, port) {
+    return this.probes[`${host}:${port}`] === true;
+  }
+
+  /**
+   * Resolve a name the way it resolved while recording
+   * @param {string} name
+   * @returns {{ address: string, family: number }} - Like dns.lookup()
+   */
+  lookup(name) {
+    const address = this.lookups[name];
+    if (!address) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${name} (not in capture bundle)`);
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+    return { address, family: address.includes(':') ? 6 : 4 };
+  }
+
+  // Users that logged in somewhere, for runs without a credentials file
+  usernames() {
+    const names = Object.values(this.sessions).map(session => session.username).filter(Boolean);
+    return [...new Set(names)];
+  }
+
+  /**
+   * A client that plays back the host's recorded session
+   * @param {SSHClientOptions} options - host and username are used
+   * @param {string} transport - 'ssh' or 'telnet'; only the transport that
+   *   logged in while recording succeeds
+   * @returns {ReplaySSHClient}
+   */
+  createClient(options, transport = 'ssh') {
+    return new ReplaySSHClient(options, this.sessions[options.host] || null, transport);
+  }
+}
+
+/**
+ * Stand-in for SynchronousSSHClient that answers each command with the
+ * output recorded for it. Commands are matched in the order they were
+ * recorded; a command that was never recorded gets its echo and the prompt
+ * back. Recorded output already holds every page, so pagers need no answer.
+ */
+class ReplaySSHClient extends EventEmitter {
+  constructor(options, session, transport = 'ssh') {
+    super();
+    this._options = options;
+    this._session = session;
+    this._transport = transport;
+    this._outputBuffer = '';
+    this._connected = false;
+    this._shellReady = false;
+    this._cursor = 0;
+    this._lastOutput = session ? session.preamble : '';
+    this.prompts = new PromptEngine();
+  }
+
+  connect() {
+    const { host, username } = this._options;
+    const session = this._session;
+    if (!session) {
+      return Promise.reject(new Error(`No recorded session for ${host}`));
+    }
+    // Bundles from before Telnet support only hold SSH sessions
+    const sameTransport = candidate => (candidate.transport || 'ssh') === this._transport;
+    if (session.username === username && sameTransport(session)) {
+      this._connected = true;
+      return Promise.resolve();
+    }
+    const attempt = session.attempts.find(candidate =>
+      candidate.username === username && candidate.error && sameTransport(candidate));
+    if (attempt && attempt.hostKey) {
+      return Promise.reject(new HostKeyError(attempt.error, attempt.hostKey));
+    }
+    return Promise.reject(new Error(attempt ? attempt.error : `No recorded ${this._transport} login for ${username} on ${host}`));
+  }
+
+  createShell() {
+    if (!this._connected) {
+      throw new Error('Not connected to SSH server');
+    }
+    this._shellReady = true;
+    this._outputBuffer = this._session.preamble;
+    return Promise.resolve();
+  }
+
+  async findPrompt() {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+    if (!this._session.prompt) {
+      throw new Error(PROMPT_NOT_FOUND);
+    }
+    this.prompts.learn(this._session.prompt);
+    return this._session.prompt;
+  }
+
+  sendCommand(command) {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+    this._play(exchange => exchange.command === command, command);
+  }
+
+  sendSecret() {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+    this._play(exchange => exchange.secret === true, '');
+  }
+
+  answerPager() {}
+
+  setPrompt(prompt, terminators) {
+    this.prompts.learn(prompt, terminators);
+  }
+
+  runCommand(command, timeout = 30000) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+    return this.prompts.run(this, command, timeout);
+  }
+
+  disablePaging(commands, timeout = 10000) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+    return this.prompts.disablePaging(this, commands, timeout);
+  }
+
+  // Emit the next matching exchange's output asynchronously, like a device
+  _play(matches, echo) {
+    const exchanges = this._session.exchanges;
+    let output;
+    const index = exchanges.findIndex((exchange, i) => i >= this._cursor && matches(exchange));
+    if (index === -1) {
+      const lines = this._lastOutput.split('\n');
+      output = `${echo}\n${lines[lines.length - 1]}`;
+    } else {
+      this._cursor = index + 1;
+      output = exchanges[index].output;
+      this._lastOutput = output;
+    }
+    setImmediate(() => {
+      if (!this._shellReady) {
+        return;
+      }
+      this._outputBuffer += output;
+      this.emit('data', output);
+    });
+  }
+
+  disconnect() {
+    this._shellReady = false;
+    this._connected = false;
+  }
+}
+
+module.exports = {
+  SessionRecorder,
+  CaptureBundle,
+  ReplaySSHClient
+};
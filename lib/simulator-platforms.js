@@ -0,0 +1,230 @@
+/**
+ * Simulated device platforms
+ * --------------------------
+ * CLI behaviour and canned command output for the devices stood up by
+ * lib/device-simulator.js. Each platform renders `show version`,
+ * `show inventory` and its CDP/LLDP neighbor detail from the simulated
+ * device and its links, in the layout the shipped templates parse.
+ *
+ * Render functions receive the device ({ name, address, model, serial,
+ * softwareVersion, mac, platform }) and, for neighbor commands, a list of
+ * { localPort, remotePort, neighbor } entries.
+ */
+
+// Full interface name to the abbreviation IOS and NX-OS print in LLDP output
+const SHORT_INTERFACE_NAMES = [
+  [/^GigabitEthernet/i, 'Gi'],
+  [/^TenGigabitEthernet/i, 'Te'],
+  [/^TwentyFiveGigE/i, 'Twe'],
+  [/^FortyGigabitEthernet/i, 'Fo'],
+  [/^HundredGigE/i, 'Hu'],
+  [/^FastEthernet/i, 'Fa'],
+  [/^Ethernet/i, 'Eth'],
+  [/^Port-channel/i, 'Po']
+];
+
+function shortInterfaceName(name) {
+  for (const [pattern, abbreviation] of SHORT_INTERFACE_NAMES) {
+    if (pattern.test(name)) {
+      return name.replace(pattern, abbreviation);
+    }
+  }
+  return name;
+}
+
+// How a neighbor describes itself in CDP and LLDP, whatever our own platform
+function cdpPlatform(device) {
+  return PLATFORMS[device.platform].cdpPlatform(device);
+}
+
+function systemDescription(device) {
+  return PLATFORMS[device.platform].systemDescription(device);
+}
+
+function lldpCapabilities(device) {
+  return device.platform === 'arista_eos' ? 'Bridge, Router' : 'B,R';
+}
+
+function ciscoCdpDetail(device, neighbors) {
+  const entries = neighbors.map(({ localPort, remotePort, neighbor }) => [
+    '-------------------------',
+    `Device ID: ${neighbor.name}`,
+    'Entry address(es): ',
+    `  IP address: ${neighbor.address}`,
+    `Platform: ${cdpPlatform(neighbor)},  Capabilities: ${PLATFORMS[neighbor.platform].cdpCapabilities} `,
+    `Interface: ${localPort},  Port ID (outgoing port): ${remotePort}`,
+    'Holdtime : 142 sec',
+    '',
+    'Version :',
+    systemDescription(neighbor),
+    '',
+    'advertisement version: 2',
+    'Management address(es): ',
+    `  IP address: ${neighbor.address}`,
+    ''
+  ].join('\n'));
+  return `${entries.join('\n')}\n\nTotal cdp entries displayed : ${neighbors.length}`;
+}
+
+function ciscoLldpDetail(device, neighbors) {
+  const entries = neighbors.map(({ localPort, remotePort, neighbor }) => [
+    '------------------------------------------------',
+    `Local Intf: ${shortInterfaceName(localPort)}`,
+    `Chassis id: ${neighbor.mac}`,
+    `Port id: ${neighbor.platform === 'arista_eos' ? remotePort : shortInterfaceName(remotePort)}`,
+    `Port Description: ${localPort}`,
+    `System Name: ${neighbor.name}`,
+    '',
+    'System Description: ',
+    systemDescription(neighbor),
+    '',
+    'Time remaining: 98 seconds',
+    `System Capabilities: ${lldpCapabilities(neighbor)}`,
+    `Enabled Capabilities: ${lldpCapabilities(neighbor)}`,
+    'Management Addresses:',
+    `    IP: ${neighbor.address}`,
+    'Auto Negotiation - supported, enabled',
+    ''
+  ].join('\n'));
+  return `${entries.join('\n')}\n\nTotal entries displayed: ${neighbors.length}`;
+}
+
+const PLATFORMS = {
+  cisco_ios: {
+    defaults: { model: 'WS-C3750X-48P', softwareVersion: '15.2(4)E10', serialPrefix: 'FOC', macPrefix: '00a1.b200' },
+    protocols: ['cdp', 'lldp'],
+    enable: true,
+    cdpCapabilities: 'Router Switch IGMP',
+    invalidInput: '% Invalid input detected at \'^\' marker.',
+    protocolDisabled: { cdp: '% CDP is not enabled', lldp: '% LLDP is not enabled' },
+    cdpPlatform: device => `cisco ${device.model}`,
+    systemDescription: device =>
+      `Cisco IOS Software, C3750E Software (C3750E-UNIVERSALK9-M), Version ${device.softwareVersion}, RELEASE SOFTWARE (fc2)`,
+    commands: {
+      'show version': device => [
+        `Cisco IOS Software, C3750E Software (C3750E-UNIVERSALK9-M), Version ${device.softwareVersion}, RELEASE SOFTWARE (fc2)`,
+        'Technical Support: http://www.cisco.com/techsupport',
+        'Copyright (c) 1986-2020 by Cisco Systems, Inc.',
+        '',
+        'ROM: Bootstrap program is C3750E boot loader',
+        '',
+        `${device.name} uptime is 3 weeks, 1 day, 4 hours, 12 minutes`,
+        'System returned to ROM by power-on',
+        'System image file is "flash:/c3750e-universalk9-mz.152-4.E10.bin"',
+        '',
+        `cisco ${device.model} (PowerPC405) processor (revision W0) with 262144K bytes of memory.`,
+        `Processor board ID ${device.serial}`,
+        'Last reset from power-on',
+        `Base ethernet MAC Address       : ${device.macColons}`,
+        '',
+        'Configuration register is 0xF'
+      ].join('\n'),
+      'show inventory': device => [
+        `NAME: "1", DESCR: "${device.model}"`,
+        `PID: ${device.model}     , VID: V05  , SN: ${device.serial}`
+      ].join('\n'),
+      'show cdp neighbors detail': ciscoCdpDetail,
+      'show lldp neighbors detail': ciscoLldpDetail
+    }
+  },
+
+  cisco_nxos: {
+    defaults: { model: 'N9K-C93180YC-EX', softwareVersion: '9.3(5)', serialPrefix: 'SAL', macPrefix: '00b2.c300' },
+    // LLDP needs `feature lldp` on NX-OS
+    protocols: ['cdp'],
+    enable: false,
+    cdpCapabilities: 'Router Switch IGMP Filtering Supports-STP-Dispute',
+    invalidInput: '% Invalid command at \'^\' marker.',
+    protocolDisabled: { cdp: '% CDP is not enabled', lldp: '% Invalid command at \'^\' marker.' },
+    cdpPlatform: device => device.model,
+    systemDescription: device =>
+      `Cisco Nexus Operating System (NX-OS) Software, Version ${device.softwareVersion}`,
+    commands: {
+      'show version': device => [
+        'Cisco Nexus Operating System (NX-OS) Software',
+        'TAC support: http://www.cisco.com/tac',
+        'Copyright (C) 2002-2020, Cisco and/or its affiliates.',
+        '',
+        'Software',
+        '  BIOS: version 07.68',
+        `  NXOS: version ${device.softwareVersion}`,
+        '  NXOS image file is: bootflash:///nxos.bin',
+        '',
+        'Hardware',
+        `  cisco Nexus9000 ${device.model.replace(/^N9K-/, '')} chassis`,
+        `  Processor Board ID ${device.serial}`,
+        '',
+        `  Device name: ${device.name}`,
+        '  bootflash: 51496280 kB',
+        'Kernel uptime is 12 day(s), 3 hour(s), 4 minute(s), 5 second(s)'
+      ].join('\n'),
+      'show inventory': device => [
+        `NAME: "Chassis",  DESCR: "Nexus9000 ${device.model.replace(/^N9K-/, '')} chassis"`,
+        `PID: ${device.model}      ,  VID: V02  ,  SN: ${device.serial}`
+      ].join('\n'),
+      'show cdp neighbors detail': ciscoCdpDetail,
+      'show lldp neighbors detail': ciscoLldpDetail
+    }
+  },
+
+  arista_eos: {
+    defaults: { model: 'DCS-7050SX3-48YC8', softwareVersion: '4.28.3M', serialPrefix: 'JPE', macPrefix: '001c.7300' },
+    protocols: ['lldp'],
+    enable: true,
+    invalidInput: '% Invalid input',
+    protocolDisabled: { cdp: '% Invalid input', lldp: '% LLDP is not enabled' },
+    cdpPlatform: device => device.model,
+    systemDescription: device =>
+      `Arista Networks EOS version ${device.softwareVersion} running on an Arista Networks ${device.model}`,
+    commands: {
+      'show version': device => [
+        `Arista ${device.model}`,
+        'Hardware version:    11.00',
+        `Serial number:       ${device.serial}`,
+        `System MAC address:  ${device.mac}`,
+        '',
+        `Software image version: ${device.softwareVersion}`,
+        'Architecture:           i686',
+        '',
+        'Uptime:                 2 weeks, 6 days, 3 hours and 40 minutes',
+        'Total memory:           8099732 kB',
+        'Free memory:            5934320 kB'
+      ].join('\n'),
+      'show inventory': device => [
+        'System information',
+        '  Model                    Description',
+        '  ------------------------ ----------------------------------------------------',
+        `  ${device.model.padEnd(24)} 48x25G SFP & 8x100G QSFP switch`,
+        '',
+        '  HW Version  Serial Number  Mfg Date',
+        '  ----------- -------------- ----------',
+        `  11.00       ${device.serial.padEnd(14)} 2021-03-02`
+      ].join('\n'),
+      'show lldp neighbors detail': (device, neighbors) => neighbors.map(({ localPort, remotePort, neighbor }) => [
+        `Interface ${localPort} detected 1 LLDP neighbors:`,
+        '',
+        `  Neighbor ${neighbor.mac}/"${remotePort}", age 12 seconds`,
+        '  Discovered 2 days, 4:12:55 ago; Last changed 2 days, 4:12:55 ago',
+        '  - Chassis ID type: MAC address (4)',
+        `    Chassis ID     : ${neighbor.mac}`,
+        '  - Port ID type: Interface name (5)',
+        `    Port ID     : "${remotePort}"`,
+        '  - Time To Live: 120 seconds',
+        `  - System Name: "${neighbor.name}"`,
+        `  - System Description: "${systemDescription(neighbor)}"`,
+        `  - System Capabilities : ${lldpCapabilities(neighbor)}`,
+        `    Enabled Capabilities: ${lldpCapabilities(neighbor)}`,
+        '  - Management Address Subtype: IPv4 (1)',
+        `    Management Address        : ${neighbor.address}`,
+        '    Interface Number Subtype  : ifIndex (2)',
+        '    Interface Number          : 999001',
+        ''
+      ].join('\n')).join('\n')
+    }
+  }
+};
+
+module.exports = {
+  PLATFORMS,
+  shortInterfaceName
+};
@@ -3,8 +3,105 @@
 const { Client } = require('ssh2');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const { format } = require('date-fns');
 const { EventEmitter } = require('events');
+const { PromptEngine } = require('./prompt-engine.js');
+
+// Comprehensive algorithm set covering all device types
+const SUPPORTED_ALGORITHMS = {
+  kex: [
+    // Modern/Arista
+    'curve25519-sha256',
+    'curve25519-sha256@libssh.org', 
+    'ecdh-sha2-nistp256',
+    'ecdh-sha2-nistp384',
+    'ecdh-sha2-nistp521',
+    'diffie-hellman-group-exchange-sha256',
+    'diffie-hellman-group14-sha256',
+    'diffie-hellman-group16-sha512',
+    // Legacy
+    'diffie-hellman-group14-sha1',
+    'diffie-hellman-group1-sha1',
+    'diffie-hellman-group-exchange-sha1'
+  ],
+  cipher: [
+    // Modern
+    'aes128-gcm@openssh.com',
+    'aes256-gcm@openssh.com',
+    'aes128-ctr',
+    'aes192-ctr',
+    'aes256-ctr',
+    // Legacy
+    'aes128-cbc',
+    'aes192-cbc',
+    'aes256-cbc',
+    '3des-cbc'
+  ],
+  serverHostKey: [
+    'rsa-sha2-512',
+    'rsa-sha2-256',
+    'ssh-rsa',
+    'ecdsa-sha2-nistp256',
+    'ssh-ed25519'
+  ],
+  hmac: [
+    // Modern ETM
+    'hmac-sha2-256-etm@openssh.com',
+    'hmac-sha2-512-etm@openssh.com',
+    // Standard
+    'hmac-sha2-256',
+    'hmac-sha2-512',
+    // Legacy
+    'hmac-sha1',
+    'hmac-md5'
+  ],
+  compress: ['none', 'zlib@openssh.com', 'zlib']
+};
+
+// Build the ssh2 auth options from SSHClientOptions-style fields. Methods are
+// tried key, agent, password, keyboard-interactive, so a key credential can
+// fall back to its password. Shared with the jump host chain.
+function buildAuthOptions(options, log = () => {}) {
+  const auth = {};
+  const methods = [];
+  
+  let privateKey = options.privateKey;
+  if (!privateKey && options.keyFile) {
+    const keyPath = options.keyFile.replace(/^~(?=$|[\\/])/, os.homedir());
+    try {
+      privateKey = fs.readFileSync(keyPath);
+    } catch (error) {
+      // Still try the agent/password on this credential, if any
+      log(`Cannot read private key ${keyPath}: ${error.message}`);
+    }
+  }
+  if (privateKey) {
+    auth.privateKey = privateKey;
+    if (options.passphrase) {
+      auth.passphrase = options.passphrase;
+    }
+    methods.push('publickey');
+  }
+  
+  if (options.agent) {
+    auth.agent = options.agent;
+    methods.push('agent');
+  }
+  
+  if (options.password) {
+    auth.password = options.password;
+    auth.tryKeyboard = true;  // Enable keyboard-interactive auth
+    methods.push('password', 'keyboard-interactive');
+  }
+  
+  if (methods.length === 0) {
+    throw new Error(`No usable authentication method for ${options.username}`);
+  }
+
+  auth.authHandler = methods;
+  return auth;
+}
 
 class SSHClientOptions {
   constructor(options = {}) {
@@ -12,6 +109,16 @@ class SSHClientOptions {
     this.port = options.port || 22;
     this.username = options.username || '';
     this.password = options.password || '';
+    // Key-based auth: privateKey (contents) wins over keyFile (path)
+    this.privateKey = options.privateKey || null;
+    this.keyFile = options.keyFile || null;
+    this.passphrase = options.passphrase || null;
+    // ssh-agent socket path ('pageant' on Windows)
+    this.agent = options.agent || null;
+    // Pre-connected stream to dial through (e.g. a jump host tunnel)
+    this.sock = options.sock || null;
+    // HostKeyVerifier (lib/host-keys.js); null accepts any host key
+    this.hostKeys = options.hostKeys || null;
     this.invokeShell = options.invokeShell || false;
     this.expectPrompt = options.expectPrompt || null;
     this.prompt = options.prompt || null;
@@ -40,11 +147,16 @@ class SynchronousSSHClient extends EventEmitter {
     this._shellReady = false;
     this._lineBuffer = ''; // Buffer for accumulating output until newline
     this._negotiatedAlgorithms = null; // Store the negotiated algorithms
+    this._hostKeyError = null; // Set when the host key was refused or could not be checked
+    // Learns this device's prompt and runs commands through pagers
+    this.prompts = new PromptEngine({ log: (message) => this._log(message) });
 
     // Validate required options
     if (!options.host) throw new Error('Host is required');
     if (!options.username) throw new Error('Username is required');
-    if (!options.password) throw new Error('Password is required');
+    if (!options.password && !options.privateKey && !options.keyFile && !options.agent) {
+      throw new Error('A password, private key or SSH agent is required');
+    }
   }
 
   _log(message, alwaysPrint = false) {
@@ -69,74 +181,40 @@ class SynchronousSSHClient extends EventEmitter {
     this._log(`Connecting to ${this._options.host}:${this._options.port}...`, true);
     
     return new Promise((resolve, reject) => {
+      let authOptions;
+      try {
+        authOptions = buildAuthOptions(this._options, (message) => this._log(message, true));
+      } catch (error) {
+        this._log(error.message, true);
+        reject(error);
+        return;
+      }
+      
       this._sshClient = new Client();
       
       // Set up all event handlers
       this._setupSSHEventHandlers(resolve, reject);
       
-      // Comprehensive algorithm set covering all device types
       const comprehensiveOptions = {
         host: this._options.host,
         port: this._options.port,
         username: this._options.username,
-        password: this._options.password,
-        tryKeyboard: true,  // Enable keyboard-interactive auth
+        ...authOptions,
+        ...(this._options.sock ? { sock: this._options.sock } : {}),
+        ...(this._options.hostKeys ? {
+          hostVerifier: this._options.hostKeys.hostVerifier(this._options.host, this._options.port, (error) => {
+            this._hostKeyError = error;
+          })
+        } : {}),
         readyTimeout: this._options.timeout * 1000,
         debug: this._options.debug,
         // Include all supported algorithms across devices
-        algorithms: {
-          kex: [
-            // Modern/Arista
-            'curve25519-sha256',
-            'curve25519-sha256@libssh.org', 
-            'ecdh-sha2-nistp256',
-            'ecdh-sha2-nistp384',
-            'ecdh-sha2-nistp521',
-            'diffie-hellman-group-exchange-sha256',
-            'diffie-hellman-group14-sha256',
-            'diffie-hellman-group16-sha512',
-            // Legacy
-            'diffie-hellman-group14-sha1',
-            'diffie-hellman-group1-sha1',
-            'diffie-hellman-group-exchange-sha1'
-          ],
-          cipher: [
-            // Modern
-            'aes128-gcm@openssh.com',
-            'aes256-gcm@openssh.com',
-            'aes128-ctr',
-            'aes192-ctr',
-            'aes256-ctr',
-            // Legacy
-            'aes128-cbc',
-            'aes192-cbc',
-            'aes256-cbc',
-            '3des-cbc'
-          ],
-          serverHostKey: [
-            'rsa-sha2-512',
-            'rsa-sha2-256',
-            'ssh-rsa',
-            'ecdsa-sha2-nistp256',
-            'ssh-ed25519'
-          ],
-          hmac: [
-            // Modern ETM
-            'hmac-sha2-256-etm@openssh.com',
-            'hmac-sha2-512-etm@openssh.com',
-            // Standard
-            'hmac-sha2-256',
-            'hmac-sha2-512',
-            // Legacy
-            'hmac-sha1',
-            'hmac-md5'
-          ],
-          compress: ['none', 'zlib@openssh.com', 'zlib']
-        }
+        algorithms: SUPPORTED_ALGORITHMS
       };
       
       if (this._options.debug) {
-        this._log(`Connection options: ${JSON.stringify(comprehensiveOptions, null, 2)}`);
+        const { password, passphrase, privateKey, sock, hostVerifier, ...loggable } = comprehensiveOptions;
+        this._log(`Connection options: ${JSON.stringify(loggable, null, 2)}`);
       }
       
       // Connect with the comprehensive options
@@ -167,6 +245,7 @@ class SynchronousSSHClient extends EventEmitter {
         if (match) {
           const detectedPrompt = match[0];
           this._log(`Prompt detected from initial output: "${detectedPrompt}"`, true);
+          this.prompts.learn(detectedPrompt);
           return detectedPrompt;
         }
       }
@@ -208,6 +287,7 @@ class SynchronousSSHClient extends EventEmitter {
         if (output && output.match) {
           const detectedPrompt = output.match[0];
           this._log(`Prompt detected: "${detectedPrompt}"`, true);
+          this.prompts.learn(detectedPrompt);
           return detectedPrompt;
         }
       } catch (error) {
@@ -235,8 +315,10 @@ class SynchronousSSHClient extends EventEmitter {
     });
     
     this._sshClient.on('error', (error) => {
-      this._log(`Connection error: ${error.message}`, true);
-      reject(error);
+      // ssh2 only reports "Host denied"; the HostKeyError says why
+      const reported = this._hostKeyError || error;
+      this._log(`Connection error: ${reported.message}`, true);
+      reject(reported);
     });
     
     // Handle keyboard-interactive authentication
@@ -275,6 +357,10 @@ class SynchronousSSHClient extends EventEmitter {
     // Add close event
     this._sshClient.on('close', () => {
       this._log('Connection closed', true);
+      // Closed before 'ready' (e.g. disconnect() during connect); don't leave connect() pending
+      if (!this._connected) {
+        reject(new Error('Connection closed before ready'));
+      }
     });
     
     // Add end event
@@ -334,6 +420,53 @@ class SynchronousSSHClient extends EventEmitter {
 
     this._log(`Sending command: '${command}'`);
     this._shell.write(command + '\n');
+    this.emit('command', command);
+  }
+
+  // Like sendCommand, but the text is never written to the log (enable secrets etc.)
+  sendSecret(secret) {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+
+    this._log('Sending secret: <hidden>');
+    this._shell.write(secret + '\n');
+    // Listeners (e.g. session capture) learn that a secret was sent, not what
+    this.emit('secret');
+  }
+
+  // Continue past a pager prompt (--More-- and the like) with a space
+  answerPager() {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+
+    this._shell.write(' ');
+  }
+
+  // Use this prompt from now on, e.g. after it changed outside findPrompt.
+  // `terminators` are the characters that may end it on this platform.
+  setPrompt(prompt, terminators) {
+    this.prompts.learn(prompt, terminators);
+  }
+
+  // Run a command and resolve with exactly its output: no echo, pager
+  // prompts or trailing prompt (see lib/prompt-engine.js)
+  runCommand(command, timeout = this._options.expectPromptTimeout) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+
+    return this.prompts.run(this, command, timeout);
+  }
+
+  // Try pagination commands in order; resolves with the accepted one, or null
+  disablePaging(commands, timeout = 10000) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+
+    return this.prompts.disablePaging(this, commands, timeout);
   }
 
   // Wait for specific text pattern in output
@@ -608,5 +741,7 @@ module.exports = {
   SPN, 
   SynchronousSSHClient, 
   SSHClientOptions,
-  ExpectStyleSSHSession 
+  ExpectStyleSSHSession,
+  SUPPORTED_ALGORITHMS,
+  buildAuthOptions
 };
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Telnet transport
+ * ----------------
+ * A Telnet session with the same shell interface as SynchronousSSHClient
+ * (connect, createShell, findPrompt, sendCommand, sendSecret, runCommand,
+ * disablePaging, disconnect and the 'data' event), for devices that do not
+ * run SSH. connect() opens the TCP connection and answers the device's
+ * login dialogue: a username prompt if there is one, then the password
+ * prompt, until the CLI prompt appears. Privilege escalation is the
+ * crawler's `enable` dialogue, exactly as over SSH.
+ *
+ * Option negotiation is kept to what a CLI needs: the device may echo and
+ * suppress go-ahead, the client reports an 80x24 window and refuses every
+ * other option. Negotiation bytes never reach the output.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const { format } = require('date-fns');
+const { EventEmitter } = require('events');
+const { PromptEngine } = require('./prompt-engine.js');
+
+// Telnet commands (RFC 854)
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+
+// Options (RFC 857, 858, 1073)
+const OPT_ECHO = 1;
+const OPT_SUPPRESS_GO_AHEAD = 3;
+const OPT_NAWS = 31;
+
+// Login dialogue, matched against the output since the last answer
+const USERNAME_PROMPT = /(?:user\s*name|login|user)\s*:\s*$/i;
+const PASSWORD_PROMPT = /pass(?:word|code)\s*:\s*$/i;
+const LOGIN_FAILED = /login incorrect|login invalid|authentication failed|access denied|bad passwords?|% login failed/i;
+// The CLI prompt as the unfinished last line
+const SHELL_PROMPT = /(?:^|\n)\s*([\w.\-@:/~\[\]()]+[>#$%])\s*$/;
+
+// Same message as SynchronousSSHClient.findPrompt, so both transports log alike
+const PROMPT_NOT_FOUND = 'Failed to auto-detect command prompt pattern';
+
+class TelnetClient extends EventEmitter {
+  /**
+   * @param {SSHClientOptions} options - host, port (23), username, password,
+   *   sock (a pre-connected stream, e.g. a jump host tunnel), timeout in
+   *   seconds for the login dialogue, expectPromptTimeout, debug, logFile
+   */
+  constructor(options) {
+    super();
+    this._options = options;
+    this._socket = null;
+    this._outputBuffer = '';
+    this._connected = false;
+    this._shellReady = false;
+    this._loginPrompt = null;
+    // Answers the login prompts while connect() is pending
+    this._dialogue = null;
+    // Bytes of a negotiation sequence split across two reads
+    this._pending = Buffer.alloc(0);
+    this.prompts = new PromptEngine({ log: (message) => this._log(message) });
+
+    if (!options.host) throw new Error('Host is required');
+    if (!options.password) throw new Error('A password is required for Telnet login');
+  }
+
+  _log(message, alwaysPrint = false) {
+    const timestamp = format(new Date(), 'yyyy-MM-dd HH:mm:ss.SSS');
+    const timestampedMessage = `[${timestamp}] ${message}`;
+
+    if (this._options.debug || alwaysPrint) {
+      console.log(timestampedMessage);
+    }
+
+    if (this._options.logFile) {
+      try {
+        fs.appendFileSync(this._options.logFile, timestampedMessage + '\n');
+      } catch (error) {
+        // Logging must never break the session
+      }
+    }
+  }
+
+  /**
+   * Connect and log in. Rejects when the device refuses the credential or
+   * the CLI prompt does not appear within the timeout.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    const { host, port = 23, username, password } = this._options;
+    this._log(`Connecting to ${host}:${port} over Telnet...`, true);
+
+    return new Promise((resolve, reject) => {
+      const socket = this._options.sock || new net.Socket();
+      this._socket = socket;
+      // Output before `answered` has been dealt with
+      let answered = 0;
+      let usernameSent = false;
+      let passwordSent = false;
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        this._dialogue = null;
+        if (error) {
+          this._log(`Telnet login to ${host} failed: ${error.message}`, true);
+          socket.destroy();
+          reject(error);
+        } else {
+          this._connected = true;
+          this._log(`Logged in to ${host}:${port} over Telnet`, true);
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => finish(new Error('Timeout during Telnet login')), (this._options.timeout || 15) * 1000);
+
+      this._dialogue = () => {
+        const recent = this._outputBuffer.slice(answered);
+        if (LOGIN_FAILED.test(recent)) {
+          finish(new Error(`Telnet authentication failed for ${username || 'password login'}`));
+        } else if (PASSWORD_PROMPT.test(recent)) {
+          if (passwordSent) {
+            finish(new Error(`Telnet authentication failed for ${username || 'password login'}`));
+            return;
+          }
+          passwordSent = true;
+          answered = this._outputBuffer.length;
+          this._write(`${password}\r\n`);
+        } else if (USERNAME_PROMPT.test(recent)) {
+          // Asked again: the device rejected the last attempt
+          if (usernameSent) {
+            finish(new Error(`Telnet authentication failed for ${username}`));
+            return;
+          }
+          usernameSent = true;
+          answered = this._outputBuffer.length;
+          this._write(`${username}\r\n`);
+        } else {
+          const prompt = SHELL_PROMPT.exec(recent);
+          if (prompt) {
+            this._loginPrompt = prompt[1];
+            finish(null);
+          }
+        }
+      };
+
+      socket.on('data', (chunk) => this._receive(chunk));
+      socket.on('error', (error) => finish(error));
+      socket.on('close', () => {
+        this._log('Connection closed', true);
+        this._connected = false;
+        this._shellReady = false;
+        finish(new Error('Connection closed before login completed'));
+      });
+
+      if (!this._options.sock) {
+        socket.connect(port, host);
+      }
+    });
+  }
+
+  // Strip negotiation from the stream, answer it, and pass the text on
+  _receive(chunk) {
+    const bytes = Buffer.concat([this._pending, chunk]);
+    const text = [];
+    let i = 0;
+    while (i < bytes.length) {
+      if (bytes[i] !== IAC) {
+        text.push(bytes[i++]);
+        continue;
+      }
+      if (i + 1 >= bytes.length) {
+        break;
+      }
+      const command = bytes[i + 1];
+      if (command === IAC) {
+        text.push(IAC);
+        i += 2;
+      } else if (command >= WILL && command <= DONT) {
+        if (i + 2 >= bytes.length) {
+          break;
+        }
+        this._negotiate(command, bytes[i + 2]);
+        i += 3;
+      } else if (command === SB) {
+        const end = bytes.indexOf(Buffer.from([IAC, SE]), i + 2);
+        if (end === -1) {
+          break;
+        }
+        i = end + 2;
+      } else {
+        i += 2;
+      }
+    }
+    this._pending = bytes.subarray(i);
+
+    const data = Buffer.from(text).toString().replace(/\0/g, '');
+    if (!data) {
+      return;
+    }
+    this._outputBuffer += data;
+    if (this._dialogue) {
+      this._dialogue();
+    }
+    if (this._shellReady) {
+      this.emit('data', data);
+    }
+  }
+
+  _negotiate(command, option) {
+    if (command === WILL) {
+      const accept = option === OPT_ECHO || option === OPT_SUPPRESS_GO_AHEAD;
+      this._send([IAC, accept ? DO : DONT, option]);
+    } else if (command === DO) {
+      if (option === OPT_NAWS) {
+        this._send([IAC, WILL, OPT_NAWS, IAC, SB, OPT_NAWS, 0, 80, 0, 24, IAC, SE]);
+      } else {
+        this._send([IAC, WONT, option]);
+      }
+    }
+  }
+
+  _send(bytes) {
+    if (this._socket && !this._socket.destroyed) {
+      this._socket.write(Buffer.from(bytes));
+    }
+  }
+
+  _write(text) {
+    if (this._socket && !this._socket.destroyed) {
+      // A literal 0xff byte would start a negotiation sequence
+      const bytes = [...Buffer.from(text)].flatMap(byte => (byte === IAC ? [IAC, IAC] : [byte]));
+      this._socket.write(Buffer.from(bytes));
+    }
+  }
+
+  createShell() {
+    if (!this._connected) {
+      throw new Error('Not connected to Telnet server');
+    }
+    // The login left the session at the CLI; output from here on is the shell's
+    this._shellReady = true;
+    return Promise.resolve();
+  }
+
+  // The login dialogue ended at the prompt, so it is already known
+  async findPrompt() {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+    if (!this._loginPrompt) {
+      throw new Error(PROMPT_NOT_FOUND);
+    }
+    this._log(`Prompt detected: "${this._loginPrompt}"`, true);
+    this.prompts.learn(this._loginPrompt);
+    return this._loginPrompt;
+  }
+
+  sendCommand(command) {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+
+    this._log(`Sending command: '${command}'`);
+    this._write(`${command}\r\n`);
+    this.emit('command', command);
+  }
+
+  // Like sendCommand, but the text is never written to the log
+  sendSecret(secret) {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+
+    this._log('Sending secret: <hidden>');
+    this._write(`${secret}\r\n`);
+    this.emit('secret');
+  }
+
+  answerPager() {
+    if (!this._shellReady) {
+      throw new Error('Shell not initialized');
+    }
+
+    this._write(' ');
+  }
+
+  setPrompt(prompt, terminators) {
+    this.prompts.learn(prompt, terminators);
+  }
+
+  runCommand(command, timeout = this._options.expectPromptTimeout) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+
+    return this.prompts.run(this, command, timeout);
+  }
+
+  disablePaging(commands, timeout = 10000) {
+    if (!this._shellReady) {
+      return Promise.reject(new Error('Shell not initialized'));
+    }
+
+    return this.prompts.disablePaging(this, commands, timeout);
+  }
+
+  disconnect() {
+    this._log('Disconnecting from device');
+    this._shellReady = false;
+    this._connected = false;
+    if (this._socket) {
+      this._socket.end();
+      this._socket.destroy();
+      this._socket = null;
+    }
+  }
+
+  getConnectionInfo() {
+    return {
+      host: this._options.host,
+      port: this._options.port,
+      connected: this._connected,
+      transport: 'telnet'
+    };
+  }
+}
+
+module.exports = {
+  TelnetClient
+};
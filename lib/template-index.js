@@ -0,0 +1,211 @@
+/**
+ * ntc-templates style index
+ * -------------------------
+ * Reads the `index` file that sits next to TextFSM templates and resolves
+ * (platform, command, hostname) to template files, following the TextFSM
+ * clitable conventions:
+ *
+ *   Template, Hostname, Platform, Command
+ *   cisco_ios_show_cdp_neighbors_detail.textfsm, .*, cisco_ios, sh[[ow]] cdp ne[[ighbors]] det[[ail]]
+ *
+ * - Lines starting with # and blank lines are ignored; the first remaining
+ *   line is the column header
+ * - Hostname, Platform and Command are regular expressions matched from the
+ *   start of the value (like Python's re.match)
+ * - `abc[[xyz]]` in a command expands to `abc(x(y(z)?)?)?`, so any
+ *   abbreviation of the keyword matches
+ * - The Template column may name several files separated by ':'
+ * - Rows are tried in order; the first matching row for a platform wins, so
+ *   longer commands must be listed before their prefixes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = 'index';
+const REQUIRED_COLUMNS = ['Template', 'Hostname', 'Platform', 'Command'];
+
+/**
+ * Expand `[[...]]` command completions into nested optional groups
+ * @param {string} command - e.g. "sh[[ow]] ver[[sion]]"
+ * @returns {string} - Regular expression source
+ */
+function expandCommandCompletion(command) {
+  return command.replace(/\[\[(.+?)\]\]/g, (match, word) =>
+    `(${word.split('').join('(')}${')?'.repeat(word.length)}`);
+}
+
+class TemplateIndexEntry {
+  constructor({ templates, hostname, platform, command, directory, line }) {
+    this.templates = templates;
+    this.hostname = hostname;
+    this.platform = platform;
+    this.command = command;
+    this.directory = directory;
+    this.line = line;
+    this.hostnameRegex = new RegExp(`^(?:${hostname})`);
+    this.platformRegex = new RegExp(`^(?:${platform})`);
+    this.commandRegex = new RegExp(`^(?:${expandCommandCompletion(command)})`);
+  }
+
+  /** Absolute paths of the template files for this row */
+  get templatePaths() {
+    return this.templates.map(file => path.join(this.directory, file));
+  }
+
+  /**
+   * Check the row against whichever attributes are known; a missing
+   * attribute does not rule the row out
+   * @param {Object} attributes - { command, platform, hostname }
+   * @returns {boolean}
+   */
+  matches({ command, platform, hostname } = {}) {
+    if (command && !this.commandRegex.test(command.trim().replace(/\s+/g, ' '))) return false;
+    if (platform && !this.platformRegex.test(platform)) return false;
+    if (hostname && !this.hostnameRegex.test(hostname)) return false;
+    return true;
+  }
+}
+
+class TemplateIndex {
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  /**
+   * Parse index text
+   * @param {string} text - Contents of an index file
+   * @param {string} directory - Directory the template names are relative to
+   * @returns {TemplateIndex}
+   */
+  static parse(text, directory) {
+    const entries = [];
+    let columns = null;
+
+    String(text).split(/\r?\n/).forEach((rawLine, lineIndex) => {
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith('#')) {
+        return;
+      }
+
+      // Only the Command column may contain further commas
+      const cells = line.split(',').map(cell => cell.trim());
+      if (!columns) {
+        columns = cells;
+        const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+          throw new Error(`Template index header is missing: ${missing.join(', ')}`);
+        }
+        return;
+      }
+
+      const row = {};
+      columns.forEach((column, i) => {
+        row[column] = i === columns.length - 1 ? cells.slice(i).join(', ') : cells[i];
+      });
+
+      try {
+        entries.push(new TemplateIndexEntry({
+          templates: row.Template.split(':').map(file => file.trim()).filter(Boolean),
+          hostname: row.Hostname || '.*',
+          platform: row.Platform || '.*',
+          command: row.Command || '',
+          directory,
+          line: lineIndex + 1
+        }));
+      } catch (e) {
+        throw new Error(`Invalid template index row at line ${lineIndex + 1}: ${e.message}`);
+      }
+    });
+
+    return new TemplateIndex(entries);
+  }
+
+  /**
+   * Load the index file from a template directory
+   * @param {string} directory
+   * @returns {TemplateIndex|null} - null when the directory has no index
+   */
+  static load(directory) {
+    const indexPath = path.join(directory, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) {
+      return null;
+    }
+    return TemplateIndex.parse(fs.readFileSync(indexPath, 'utf8'), directory);
+  }
+
+  /**
+   * Combine indexes; rows of earlier indexes take precedence
+   * @param {TemplateIndex[]} indexes
+   * @returns {TemplateIndex}
+   */
+  static merge(indexes) {
+    return new TemplateIndex(indexes.filter(Boolean).flatMap(index => index.entries));
+  }
+
+  /**
+   * Add or replace the row for a template in a directory's index file,
+   * creating the file if needed. A new row goes before the first row of the
+   * same platform that would otherwise capture its command, so a longer
+   * command is not shadowed by an existing prefix.
+   * @param {string} directory - Directory holding the index and the template
+   * @param {Object} row - { template, platform, command, hostname }
+   * @returns {TemplateIndexEntry} - The registered row
+   */
+  static register(directory, { template, platform, command, hostname = '.*' }) {
+    const indexPath = path.join(directory, INDEX_FILE);
+    const text = fs.existsSync(indexPath)
+      ? fs.readFileSync(indexPath, 'utf8')
+      : `${REQUIRED_COLUMNS.join(', ')}\n\n`;
+    const index = TemplateIndex.parse(text, directory);
+    const lines = text.replace(/\n$/, '').split(/\r?\n/);
+    const rowText = `${template}, ${hostname}, ${platform}, ${command}`;
+
+    const existing = index.entries.find(other => other.templates.includes(template));
+    const shadowing = index.entries.find(other =>
+      other.platformRegex.test(platform) && other.matches({ command }));
+
+    if (existing) {
+      lines[existing.line - 1] = rowText;
+    } else if (shadowing) {
+      lines.splice(shadowing.line - 1, 0, rowText);
+    } else {
+      lines.push(rowText);
+    }
+
+    // Parsing first rejects a row with an invalid pattern before anything is written
+    const updated = `${lines.join('\n')}\n`;
+    const entry = TemplateIndex.parse(updated, directory).entries.find(other => other.templates.includes(template));
+    fs.writeFileSync(indexPath, updated);
+    return entry;
+  }
+
+  /**
+   * Find the rows for a command. With a platform this is at most one row; when
+   * the platform is unknown the first matching row of every platform is
+   * returned.
+   * @param {Object} attributes - { command, platform, hostname }
+   * @returns {TemplateIndexEntry[]}
+   */
+  find(attributes = {}) {
+    const seenPlatforms = new Set();
+    const results = [];
+    for (const entry of this.entries) {
+      if (!entry.matches(attributes) || seenPlatforms.has(entry.platform)) {
+        continue;
+      }
+      seenPlatforms.add(entry.platform);
+      results.push(entry);
+      if (attributes.platform) {
+        break;
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  TemplateIndex,
+  TemplateIndexEntry,
+  expandCommandCompletion
+};
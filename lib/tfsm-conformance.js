@@ -0,0 +1,138 @@
+/**
+ * TextFSM conformance runner
+ * --------------------------
+ * Runs lib/tfsm.js against the golden corpus in templates/textfsm/tests/
+ * (see templates/README.md):
+ *
+ * - upstream_cases.json: each case's template is compiled and its text
+ *   parsed; the parseText result must equal `expected`, or compiling or
+ *   parsing must raise an error containing `error`. `attributes` maps an
+ *   option name to the Values getValuesByAttrib must return.
+ * - <platform>/<command>/*.raw: parsed with the shipped
+ *   <platform>_<command>.textfsm; the parseTextToDicts result must equal the
+ *   `parsed_sample` in the .json next to the .raw file.
+ *
+ * Prints one line per failing case and exits with status 1 if any fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { TextFSM } = require('./tfsm.js');
+
+const TEXTFSM_DIR = path.join(__dirname, '..', 'templates', 'textfsm');
+const TESTS_DIR = path.join(TEXTFSM_DIR, 'tests');
+
+/**
+ * Check one upstream case
+ * @param {Object} testCase - name, template, text, and expected or error
+ * @returns {string|null} - What went wrong, or null if the case passes
+ */
+function runUpstreamCase(testCase) {
+  let fsm;
+  let result;
+  try {
+    fsm = new TextFSM(testCase.template.join('\n'));
+    result = fsm.parseText(testCase.text, testCase.eof !== false);
+  } catch (error) {
+    if (testCase.error !== undefined && String(error.message).includes(testCase.error)) {
+      return null;
+    }
+    return testCase.error !== undefined
+      ? `expected an error containing "${testCase.error}", got "${error.message}"`
+      : `unexpected error: ${error.message}`;
+  }
+
+  if (testCase.error !== undefined) {
+    return `expected an error containing "${testCase.error}", got ${JSON.stringify(result)}`;
+  }
+  if (!isDeepStrictEqual(result, testCase.expected)) {
+    return `expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(result)}`;
+  }
+  for (const [attribute, names] of Object.entries(testCase.attributes || {})) {
+    const actual = fsm.getValuesByAttrib(attribute);
+    if (!isDeepStrictEqual(actual, names)) {
+      return `${attribute} values: expected ${JSON.stringify(names)}, got ${JSON.stringify(actual)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check one captured output against its parsed_sample
+ * @param {string} rawFile - <platform>/<command>/<name>.raw under TESTS_DIR
+ * @returns {string|null} - What went wrong, or null if the sample matches
+ */
+function runGoldenSample(rawFile) {
+  const commandDir = path.dirname(rawFile);
+  const templateName = `${path.basename(path.dirname(commandDir))}_${path.basename(commandDir)}.textfsm`;
+  const templateFile = path.join(TEXTFSM_DIR, templateName);
+  const jsonFile = rawFile.replace(/\.raw$/, '.json');
+  if (!fs.existsSync(templateFile)) {
+    return `no template ${templateName}`;
+  }
+  if (!fs.existsSync(jsonFile)) {
+    return `no ${path.basename(jsonFile)} next to the capture`;
+  }
+
+  try {
+    const fsm = new TextFSM(fs.readFileSync(templateFile, 'utf8'));
+    const result = fsm.parseTextToDicts(fs.readFileSync(rawFile, 'utf8'));
+    const expected = JSON.parse(fs.readFileSync(jsonFile, 'utf8')).parsed_sample;
+    return isDeepStrictEqual(result, expected)
+      ? null
+      : `expected ${JSON.stringify(expected)}, got ${JSON.stringify(result)}`;
+  } catch (error) {
+    return `unexpected error: ${error.message}`;
+  }
+}
+
+function findRawFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return findRawFiles(entryPath);
+      }
+      return entry.name.endsWith('.raw') ? [entryPath] : [];
+    });
+}
+
+/**
+ * Run the whole corpus
+ * @returns {{ passed: number, failures: Array<{ name: string, problem: string }> }}
+ */
+function runConformance(testsDir = TESTS_DIR) {
+  const failures = [];
+  let passed = 0;
+  const record = (name, problem) => {
+    if (problem) {
+      failures.push({ name, problem });
+    } else {
+      passed++;
+    }
+  };
+
+  const cases = JSON.parse(fs.readFileSync(path.join(testsDir, 'upstream_cases.json'), 'utf8'));
+  for (const testCase of cases) {
+    record(`upstream/${testCase.name}`, runUpstreamCase(testCase));
+  }
+  for (const rawFile of findRawFiles(testsDir)) {
+    record(path.relative(testsDir, rawFile), runGoldenSample(rawFile));
+  }
+  return { passed, failures };
+}
+
+module.exports = {
+  runConformance,
+  runUpstreamCase,
+  runGoldenSample
+};
+
+if (require.main === module) {
+  const { passed, failures } = runConformance();
+  failures.forEach(({ name, problem }) => console.log(`FAIL: ${name}: ${problem}`));
+  console.log(`${passed} of ${passed + failures.length} TextFSM conformance case(s) passed`);
+  process.exit(failures.length > 0 ? 1 : 0);
+}
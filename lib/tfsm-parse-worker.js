@@ -0,0 +1,23 @@
+// lib/tfsm-parse-worker.js
+/**
+ * Worker thread for the template playground: compiles one template and parses
+ * one block of text with lib/tfsm.js, then posts the outcome back. A rule
+ * regex that backtracks without end only ties up this thread, which the panel
+ * terminates when the parse runs too long.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { TextFSM, TextFSMTemplateError } = require('./tfsm');
+
+const { template, text } = workerData;
+
+try {
+  const fsm = new TextFSM(template);
+  const records = fsm.parseText(text);
+  parentPort.postMessage({ header: fsm.header, records });
+} catch (error) {
+  parentPort.postMessage({
+    error: error.message,
+    errorType: error.name,
+    line: error instanceof TextFSMTemplateError ? error.lineNum : null
+  });
+}
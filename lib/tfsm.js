@@ -13,6 +13,62 @@ class TextFSMTemplateError extends TextFSMError {
     super(message);
     this.name = 'TextFSMTemplateError';
   }
+
+  // 1-based template line named in the message, or null when it names none
+  get lineNum() {
+    const match = /\bLine:? (\d+)/.exec(this.message);
+    return match ? Number(match[1]) : null;
+  }
+}
+
+// Line boundaries recognised by Python's str.splitlines()
+const LINE_BREAK_RE = /\r\n|[\n\r\v\f\x1c-\x1e\x85\u2028\u2029]/;
+
+/**
+ * Convert a Python `re` pattern to a JavaScript RegExp source and flags.
+ * Covers the syntax that appears in TextFSM templates: `(?P<name>...)`,
+ * `(?P=name)`, `\A`, `\Z` and leading global inline flags such as `(?i)`.
+ * @param {string} pattern
+ * @returns {{source: string, flags: string}}
+ */
+function pythonToJsRegex(pattern) {
+  let source = pattern;
+  let flags = '';
+
+  const inline = source.match(/^\(\?([aiLmsux]+)\)/);
+  if (inline) {
+    source = source.slice(inline[0].length);
+    flags = inline[1].replace(/[aLux]/g, '');
+  }
+
+  source = source
+    .replace(/\(\?P<([A-Za-z_]\w*)>/g, '(?<$1>')
+    .replace(/\(\?P=([A-Za-z_]\w*)\)/g, '\\k<$1>')
+    .replace(/(?<!\\)((?:\\\\)*)\\A/g, '$1(?<![\\s\\S])')
+    .replace(/(?<!\\)((?:\\\\)*)\\Z/g, '$1(?![\\s\\S])');
+
+  return { source, flags };
+}
+
+/**
+ * Substitute `$name` and `${name}` the way Python's string.Template does:
+ * `$$` is a literal `$`, and a lone `$` or an unknown name is an error.
+ * @param {string} text
+ * @param {Object} varMap
+ * @returns {string}
+ */
+function substituteTemplate(text, varMap) {
+  return text.replace(/\$(?:(\$)|([_a-z][_a-z0-9]*)|{([_a-z][_a-z0-9]*)}|)/gi,
+    (match, escaped, named, braced) => {
+      if (escaped) {
+        return '$';
+      }
+      const name = named || braced;
+      if (!name || !Object.prototype.hasOwnProperty.call(varMap, name)) {
+        throw new TextFSMTemplateError(`Invalid variable '${name || '$'}'`);
+      }
+      return varMap[name];
+    });
 }
 
 class TextFSMOptions {
@@ -113,6 +169,8 @@ static Required = class {
   };
 
 static Key = class {
+  // Marks the value as part of the record key (used by clitable); it has no
+  // effect on parsing
   constructor(value) {
     this.value = value;
     this.name = 'Key';
@@ -123,29 +181,7 @@ static Key = class {
   OnClearAllVar() {}
   OnAssignVar() {}
   OnGetValue() {}
-
-  OnSaveRecord() {
-    // Skip if the value is empty
-    if (this.value.value === null || this.value.value === undefined || this.value.value === '') {
-      return;
-    }
-
-    // Get all values with Key option to form a composite key
-    const keyValues = this.value.fsm.values
-      .filter(v => v.options.some(opt => opt.name === 'Key'))
-      .map(v => v.value);
-
-    // Create a string key for the Set
-    const keyString = JSON.stringify(keyValues);
-
-    // Check if this key has been seen before
-    if (this.value.fsm._seenKeys.has(keyString)) {
-      throw new SkipRecord(`Duplicate key: ${keyString}`);
-    }
-
-    // Add the key to the seen keys set
-    this.value.fsm._seenKeys.add(keyString);
-  }
+  OnSaveRecord() {}
 };
 
 static List = class {
@@ -160,21 +196,21 @@ static List = class {
   }
 
   OnAssignVar() {
-    // Nested matches will have more than one match group
+    // Nested matches will have named match groups (anchored like re.match)
     let match = null;
 
-    if (this.value.compiledRegex && this.value.compiledRegex.source.includes('(?<')) {
-      match = this.value.compiledRegex.exec(this.value.value);
+    if (this.value.value !== null && this.value.compiledRegex) {
+      const regex = new RegExp(this.value.compiledRegex.source, `${this.value.compiledRegex.flags}y`);
+      match = regex.exec(this.value.value);
     }
 
-    // If the List-value regex has match-groups defined, add the resulting
-    // dict to the list. Otherwise, add the string that was matched
-    if (match && Object.keys(match.groups).length > 1) {
-      // Create a copy of the groups object, excluding the main capture group
-      const groups = { ...match.groups };
-      // If the main group name is the same as the value name, remove it
-      if (groups[this.value.name]) {
-        delete groups[this.value.name];
+    // If the List-value regex has named groups, add the resulting dict to
+    // the list (groups that did not take part are null). Otherwise, add the
+    // string that was matched
+    if (match && match.groups && Object.keys(match.groups).length > 0) {
+      const groups = {};
+      for (const [name, group] of Object.entries(match.groups)) {
+        groups[name] = group === undefined ? null : group;
       }
       this._value.push(groups);
     } else {
@@ -273,9 +309,8 @@ class TextFSMValue {
     }
 
     try {
-      // Convert Python's (?P<name>pattern) to JavaScript's (?<name>pattern)
-      const jsRegex = this.regex.replace(/\(\?P<(\w+)>/g, '(?<$1>');
-      this.compiledRegex = new RegExp(jsRegex);
+      const { source, flags } = pythonToJsRegex(this.regex);
+      this.compiledRegex = new RegExp(source, flags);
     } catch (e) {
       throw new TextFSMTemplateError(e.message);
     }
@@ -354,21 +389,14 @@ constructor(line, lineNum = -1, varMap = null) {
     this.match = trimmedLine;
   }
 
-  // Replace ${varname} entries (template substitution)
+  // Replace $varname and ${varname} entries (string.Template substitution)
   this.regex = this.match;
   if (varMap) {
     try {
-      this.regex = this.match.replace(/\${(\w+)}/g, (match, name) => {
-        if (varMap[name] === undefined) {
-          throw new TextFSMTemplateError(
-            `Invalid variable substitution: '${name}'. Line: ${this.lineNum}`
-          );
-        }
-        return varMap[name];
-      });
+      this.regex = substituteTemplate(this.match, varMap);
     } catch (e) {
       throw new TextFSMTemplateError(
-        `Error in template substitution. Line: ${this.lineNum}. ${e.message}`
+        `Duplicate or invalid variable substitution: '${this.match}'. Line: ${this.lineNum}.`
       );
     }
   }
@@ -378,10 +406,9 @@ constructor(line, lineNum = -1, varMap = null) {
 
   try {
     // Convert Python regex to JavaScript regex
-    const jsRegex = this.regex.replace(/\(\?P<(\w+)>/g, '(?<$1>');
+    const { source, flags } = pythonToJsRegex(this.regex);
     // Use CopyableRegexObject with 's' flag for multi-line patterns
-    const flags = this.multiline ? 's' : '';
-    this.regexObj = new CopyableRegexObject(jsRegex, flags);
+    this.regexObj = new CopyableRegexObject(source, this.multiline ? `${flags}s` : flags);
   } catch (e) {
     throw new TextFSMTemplateError(`Invalid regular expression: '${this.regex}'. Line: ${this.lineNum}`);
   }
@@ -466,7 +493,6 @@ constructor(template, optionsClass = TextFSMOptions) {
   this._lineNum = 0;
   this._curState = null;
   this._curStateName = null;
-  this._seenKeys = new Set(); // Add this for key tracking
 
   // Parse the template (assuming template is a string)
   this._parse(template);
@@ -481,7 +507,6 @@ reset() {
 
   // Clear results and current record
   this._result = [];
-  this._seenKeys.clear();
   this._lineBuffer = undefined; // Initialize line buffer
   this._clearAllRecord();
 }
@@ -554,77 +579,6 @@ _appendRecord() {
   this._clearRecord();
 } // End of _appendRecord
 
-_validateConsistency() {
-  // Check for undefined value references in rules
-  for (const stateName in this.states) {
-    for (const rule of this.states[stateName]) {
-      const valueRefs = (rule.match.match(/\${(\w+)}/g) || [])
-        .map(ref => ref.substring(2, ref.length - 1));
-      for (const ref of valueRefs) {
-        if (!this.valueMap[ref]) {
-          throw new TextFSMTemplateError(
-            `Rule in state '${stateName}' references undefined value '${ref}'`
-          );
-        }
-      }
-    }
-  }
-  // Validate regex patterns in values are valid
-  for (const value of this.values) {
-    try {
-      if (!value.compiledRegex) {
-        throw new Error(`Value '${value.name}' has no compiled regex`);
-      }
-      // Test the regex with a simple string to verify it compiles
-      value.compiledRegex.test("");
-    } catch (e) {
-      throw new TextFSMTemplateError(
-        `Invalid regex in value '${value.name}': ${e.message}`
-      );
-    }
-  }
-  // Check for unreachable states
-  const reachableStates = new Set(['Start']);
-  let statesAdded = true;
-  // Keep adding states until no new states are found
-  while (statesAdded) {
-    statesAdded = false;
-    for (const stateName of reachableStates) {
-      if (!this.states[stateName]) continue;
-      for (const rule of this.states[stateName]) {
-        if (rule.newState &&
-            rule.newState !== 'End' &&
-            rule.newState !== 'EOF' &&
-            !reachableStates.has(rule.newState)) {
-          reachableStates.add(rule.newState);
-          statesAdded = true;
-        }
-      }
-    }
-  }
-  // Find unreachable states
-  const unreachableStates = this.stateList.filter(
-    state => state !== 'End' && state !== 'EOF' && !reachableStates.has(state)
-  );
-  if (unreachableStates.length > 0) {
-    throw new TextFSMTemplateError(
-      `Unreachable states found: ${unreachableStates.join(', ')}`
-    );
-  }
-  // Validate option combinations
-  for (const value of this.values) {
-    const options = value.OptionNames();
-    // Additional checks beyond what's in _validateOptions
-    if (options.includes('Required') && options.includes('Filldown')) {
-      throw new TextFSMTemplateError(
-        `Value '${value.name}' has both 'Required' and 'Filldown' options, which may cause unexpected behavior`
-      );
-    }
-  }
-  return true;
-} // End of _validateConsistency
-
-
 _parse(template) {
   if (!template) {
     throw new TextFSMTemplateError('Null template.');
@@ -658,9 +612,6 @@ _parse(template) {
 
   // Validate FSM
   this._validateFSM();
-
-  // Perform additional validations
-  this._validateConsistency();
 }
 
   _parseVariables(lines) {
@@ -696,7 +647,6 @@ _parse(template) {
             );
           }
 
-          this._validateOptions(value);
           this.values.push(value);
           this.valueMap[value.name] = value.template;
         } catch (e) {
@@ -717,23 +667,6 @@ _parse(template) {
     return lineIndex;
   }
 
-  _validateOptions(value) {
-    // Check for incompatible options
-    const options = value.OptionNames();
-
-    // Cannot have both Key and List
-    if (options.includes('Key') && options.includes('List')) {
-      throw new TextFSMTemplateError(`Value cannot have both 'Key' and 'List' options: '${value.name}'`);
-    }
-
-    // Cannot have both Filldown and Fillup
-    if (options.includes('Filldown') && options.includes('Fillup')) {
-      throw new TextFSMTemplateError(`Value cannot have both 'Filldown' and 'Fillup' options: '${value.name}'`);
-    }
-
-    // Additional validation can be added here
-  }
-
   _parseState(lines, startIndex) {
     let lineIndex = startIndex;
     let stateName = '';
@@ -824,6 +757,11 @@ _validateFSM() {
     throw new TextFSMTemplateError("Non-Empty 'End' state.");
   }
 
+  // 'EOF' state (if specified) must be empty
+  if (this.states['EOF'] && this.states['EOF'].length > 0) {
+    throw new TextFSMTemplateError("Non-Empty 'EOF' state.");
+  }
+
   // Remove 'End' state
   if ('End' in this.states) {
     delete this.states['End'];
@@ -853,43 +791,36 @@ _validateFSM() {
 }
 
 parseText(text, eof = true) {
-  if (!text) {
-    return this._result;
-  }
-
   // Normalize line endings and handle encoding
-  let processedText = text;
-  if (typeof text !== 'string') {
+  let processedText = text || '';
+  if (typeof processedText !== 'string') {
     try {
-      processedText = new TextDecoder('utf-8').decode(text);
+      processedText = new TextDecoder('utf-8').decode(processedText);
     } catch (e) {
       // Fallback for older browsers
-      processedText = text.toString();
+      processedText = processedText.toString();
     }
   }
 
-  // Split text into lines, handling different line endings
-  const lines = processedText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  // Split text into lines like Python's str.splitlines(): no trailing
+  // empty line when the text ends with a line break
+  const lines = processedText ? processedText.split(LINE_BREAK_RE) : [];
+  if (lines.length && lines[lines.length - 1] === '' && LINE_BREAK_RE.test(processedText.slice(-1))) {
+    lines.pop();
+  }
 
   // Process each line
   for (const line of lines) {
     this._processLine(line);
-    if (this._curStateName === 'End') {
+    if (this._curStateName === 'End' || this._curStateName === 'EOF') {
       break;
     }
   }
 
-  // Handle EOF state if it exists
-  if (this._curStateName !== 'End' && eof) {
-    if ('EOF' in this.states) {
-      // Process rules in the EOF state
-      this._curState = this.states['EOF'];
-      this._curStateName = 'EOF';
-      this._processLine(''); // Process with empty line to trigger EOF rules
-    } else {
-      // No EOF state defined, just append the current record
-      this._appendRecord();
-    }
+  // Implicit record at end of input, unless the template declares an
+  // (empty) EOF state to suppress it
+  if (this._curStateName !== 'End' && !('EOF' in this.states) && eof) {
+    this._appendRecord();
   }
 
   return this._result;
@@ -902,53 +833,10 @@ parseText(text, eof = true) {
   }
 
   _preprocessLine(line) {
-    // Remove trailing whitespace
-    // This better matches Python's behavior when handling lines
-    return line.replace(/\s+$/, '');
+    // Lines are matched exactly as given, as in Python TextFSM
+    return line;
   }
 
-parseText(text, eof = true) {
-  if (!text) {
-    return this._result;
-  }
-
-  // Normalize line endings and handle encoding
-  let processedText = text;
-  if (typeof text !== 'string') {
-    try {
-      processedText = new TextDecoder('utf-8').decode(text);
-    } catch (e) {
-      // Fallback for older browsers
-      processedText = text.toString();
-    }
-  }
-
-  // Split text into lines, handling different line endings
-  const lines = processedText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-
-  // Process each line
-  for (const line of lines) {
-    this._processLine(line);
-    if (this._curStateName === 'End') {
-      break;
-    }
-  }
-
-  // Handle EOF state if it exists
-  if (this._curStateName !== 'End' && eof) {
-    if ('EOF' in this.states) {
-      // Process rules in the EOF state
-      this._curState = this.states['EOF'];
-      this._curStateName = 'EOF';
-      this._processLine(''); // Process with empty line to trigger EOF rules
-    } else {
-      // No EOF state defined, just append the current record
-      this._appendRecord();
-    }
-  }
-
-  return this._result;
-}
   _checkLine(line) {
     for (const rule of this._curState) {
       const matched = this._checkRule(rule, line);
@@ -988,10 +876,9 @@ _checkRule(rule, line) {
   _assignVar(matched, value) {
   const fsm_value = this._getValue(value);
   if (fsm_value) {
-    // If we have a matched group, use it
-    if (matched.groups && matched.groups[value] !== undefined) {
-      fsm_value.AssignVar(matched.groups[value]);
-    }
+    // A group that did not take part in the match assigns null (Python None)
+    const group = matched.groups[value];
+    fsm_value.AssignVar(group === undefined ? null : group);
   }
 }
 
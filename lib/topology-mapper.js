@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { NeighborRecord } = require('./neighbor-record.js');
 
 // Check for command line arguments
 if (process.argv.length < 4) {
@@ -49,6 +50,19 @@ try {
   process.exit(1);
 }
 
+/**
+ * Collect the inventory facts gathered during discovery for node_details
+ * @param {Object} source - A graph node or a discovered device record
+ * @returns {Object} - model/serial/version entries that are known
+ */
+function inventoryDetails(source) {
+  const details = {};
+  if (source.model) details.model = source.model;
+  if (source.serialNumber) details.serial = source.serialNumber;
+  if (source.softwareVersion) details.version = source.softwareVersion;
+  return details;
+}
+
 /**
  * Transform graph-formatted network topology data to the mapping format
  * @param {Object} data - The input graph data with nodes and links
@@ -80,7 +94,8 @@ function transformGraphData(data) {
     result[deviceKey] = {
       node_details: {
         ip: node.id,
-        platform: node.platform || ""
+        platform: node.platform || "",
+        ...inventoryDetails(node)
       },
       peers: {}
     };
@@ -192,7 +207,8 @@ function transformTopologyData(data) {
       result[deviceKey] = {
         node_details: {
           ip: device.ipAddress,
-          platform: device.platform || ""
+          platform: device.platform || "",
+          ...inventoryDetails(device)
         },
         peers: {}
       };
@@ -200,12 +216,15 @@ function transformTopologyData(data) {
     
     // Process each neighbor as a potential peer
     if (device.neighbors) {
-      device.neighbors.forEach(neighbor => {
+      device.neighbors.forEach(entry => {
+        // Files saved by older versions hold raw template columns
+        const neighbor = NeighborRecord.from(entry);
+        
         // Skip neighbors without a name
-        if (!neighbor.NEIGHBOR_NAME) return;
+        if (!neighbor.systemName) return;
         
         // Get neighbor's hostname without domain
-        const neighborKey = neighbor.NEIGHBOR_NAME.split('.')[0];
+        const neighborKey = neighbor.systemName.split('.')[0];
         
         // Skip if this is a duplicate (already processed)
         if (result[deviceKey].peers[neighborKey]) return;
@@ -222,8 +241,8 @@ function transformTopologyData(data) {
           // Add peer if we found connections
           if (connections.length > 0) {
             result[deviceKey].peers[neighborKey] = {
-              ip: neighbor.MGMT_ADDRESS || "",
-              platform: neighbor.PLATFORM || "",
+              ip: neighbor.primaryAddress() || "",
+              platform: neighbor.platform || "",
               connections: connections
             };
           }
@@ -231,12 +250,12 @@ function transformTopologyData(data) {
           // Handle external devices that don't have a full device entry
           // This might be a device discovered via CDP/LLDP but not directly managed
           result[deviceKey].peers[neighborKey] = {
-            ip: neighbor.MGMT_ADDRESS || "",
-            platform: neighbor.PLATFORM || "",
+            ip: neighbor.primaryAddress() || "",
+            platform: neighbor.platform || "",
             connections: [
               [
-                neighbor.LOCAL_INTERFACE || "",
-                neighbor.NEIGHBOR_INTERFACE || ""
+                neighbor.localPort || "",
+                neighbor.remotePort || ""
               ]
             ]
           };
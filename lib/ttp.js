@@ -0,0 +1,460 @@
+// TTP (Template Text Parser) JavaScript implementation
+//
+// Covers the parts of TTP our templates use: <group> blocks (nested, a
+// trailing "*" on the name forces a list, method="table" makes every line a
+// start line), {{ var }} match variables and the common match functions.
+// Leading indentation is not significant, runs of blanks in a template line
+// match one or more blanks, and digits in literal text match any number
+// unless the line is marked _exact_ - as in TTP.
+
+class TTPError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TTPError';
+  }
+}
+
+// Regex formatters usable as {{ var | NAME }} or {{ var | re("NAME") }}
+const TTP_PATTERNS = {
+  WORD: '\\S+',
+  PHRASE: '\\S+(?: \\S+)+',
+  ORPHRASE: '\\S+(?: \\S+)*',
+  DIGIT: '\\d+',
+  IP: '(?:\\d{1,3}\\.){3}\\d{1,3}',
+  PREFIX: '(?:\\d{1,3}\\.){3}\\d{1,3}/\\d{1,2}',
+  IPV6: '(?:[0-9A-Fa-f]{0,4}:){2,7}(?:[0-9A-Fa-f]{1,4}|(?:\\d{1,3}\\.){3}\\d{1,3})?',
+  PREFIXV6: '(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}/\\d{1,3}',
+  MAC: '(?:[0-9A-Fa-f]{2}(?:[:-][0-9A-Fa-f]{2}){5}|[0-9A-Fa-f]{4}(?:\\.[0-9A-Fa-f]{4}){2})',
+  ROW: '(?:\\S+ +)+\\S+',
+  _line_: '.+'
+};
+
+// Split "a | b("x|y") | c" on pipes that are not inside quotes or brackets
+function splitPipes(text) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === '|' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts.filter(part => part !== '');
+}
+
+// Parse 'name("a", 1)' into { name, args }
+function parseCall(text) {
+  const match = text.match(/^([A-Za-z_][\w]*)\s*(?:\((.*)\))?$/s);
+  if (!match) {
+    throw new TTPError(`Invalid match function: ${text}`);
+  }
+  const args = [];
+  if (match[2] !== undefined && match[2].trim() !== '') {
+    const argPattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]+)\s*(?:,|$)/gy;
+    let arg;
+    while (argPattern.lastIndex < match[2].length && (arg = argPattern.exec(match[2])) !== null) {
+      let value = arg[1].trim();
+      if (/^(["']).*\1$/s.test(value)) {
+        value = value.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+      }
+      args.push(value);
+    }
+  }
+  return { name: match[1], args };
+}
+
+function escapeLiteral(text, exact) {
+  let escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (!exact) {
+    escaped = escaped.replace(/\d+/g, '\\d+');
+  }
+  return escaped.replace(/[ \t]+/g, '[ \\t]+');
+}
+
+class TTPVariable {
+  constructor(text) {
+    const [head, ...functions] = splitPipes(text);
+    const call = parseCall(head);
+    this.name = call.name;
+    this.regex = TTP_PATTERNS.WORD;
+    this.save = !this.name.startsWith('_');
+    this.actions = [];
+    this.joinChar = null;
+    this.defaultValue = undefined;
+    this.isStart = false;
+    this.isEnd = false;
+    this.isLine = false;
+    this.exact = false;
+
+    // {{ ignore("regex") }} - match but do not save
+    if (this.name === 'ignore') {
+      this.save = false;
+      if (call.args.length > 0) {
+        this.regex = TTP_PATTERNS[call.args[0]] || call.args[0];
+      }
+    }
+    // Indicators used on their own, e.g. {{ _start_ }}
+    if (['_start_', '_end_', '_line_', '_exact_'].includes(this.name)) {
+      this._applyIndicator(this.name);
+    }
+
+    for (const fn of functions) {
+      this._applyFunction(parseCall(fn));
+    }
+  }
+
+  _applyIndicator(name) {
+    if (name === '_start_') this.isStart = true;
+    if (name === '_end_') this.isEnd = true;
+    if (name === '_exact_') this.exact = true;
+    if (name === '_line_') {
+      this.isLine = true;
+      this.regex = TTP_PATTERNS._line_;
+    }
+  }
+
+  _applyFunction({ name, args }) {
+    if (TTP_PATTERNS[name] && name !== '_line_') {
+      this.regex = TTP_PATTERNS[name];
+      return;
+    }
+    switch (name) {
+      case '_start_':
+      case '_end_':
+      case '_line_':
+      case '_exact_':
+        this._applyIndicator(name);
+        return;
+      case 're':
+        this.regex = TTP_PATTERNS[args[0]] || args[0];
+        return;
+      case 'ignore':
+        this.save = false;
+        return;
+      case 'joinmatches':
+        this.joinChar = args.length > 0 ? args[0] : '\n';
+        return;
+      case 'default':
+        this.defaultValue = args[0];
+        return;
+      default:
+        // Result functions are applied in order after a match
+        this.actions.push({ name, args });
+    }
+  }
+
+  // Returns the processed value, or undefined when a check rejects the match
+  process(raw) {
+    let value = raw;
+    for (const { name, args } of this.actions) {
+      switch (name) {
+        case 'to_int': {
+          const number = Number(value);
+          if (value !== '' && !Number.isNaN(number)) value = number;
+          break;
+        }
+        case 'lower': value = String(value).toLowerCase(); break;
+        case 'upper': value = String(value).toUpperCase(); break;
+        case 'title': value = String(value).replace(/\b\w/g, c => c.toUpperCase()); break;
+        case 'strip': value = args.length ? String(value).split(args[0]).join('').trim() : String(value).trim(); break;
+        case 'replace': value = String(value).split(args[0]).join(args[1] || ''); break;
+        case 'prepend': value = `${args[0]}${value}`; break;
+        case 'append': value = `${value}${args[0]}`; break;
+        case 'contains': if (!args.some(arg => String(value).includes(arg))) return undefined; break;
+        case 'exclude': if (args.some(arg => String(value).includes(arg))) return undefined; break;
+        case 'equal': if (String(value) !== args[0]) return undefined; break;
+        case 'notequal': if (String(value) === args[0]) return undefined; break;
+        default:
+          // Unsupported functions are ignored so templates written for the
+          // Python implementation still load
+          break;
+      }
+    }
+    return value;
+  }
+}
+
+class TTPLine {
+  constructor(text) {
+    const parts = text.split(/\{\{(.*?)\}\}/s);
+    this.variables = [];
+    for (let i = 1; i < parts.length; i += 2) {
+      this.variables.push(new TTPVariable(parts[i]));
+    }
+
+    this.isStart = this.variables.some(v => v.isStart);
+    this.isEnd = this.variables.some(v => v.isEnd);
+    this.isLine = this.variables.some(v => v.isLine);
+    const exact = this.variables.some(v => v.exact);
+
+    let body = '';
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 0) {
+        body += escapeLiteral(parts[i], exact);
+      } else {
+        const variable = this.variables[(i - 1) / 2];
+        // Bare indicators such as {{ _start_ }} match nothing themselves
+        if (['_start_', '_end_', '_exact_'].includes(variable.name)) {
+          continue;
+        }
+        body += `(?<v${(i - 1) / 2}>${variable.regex})`;
+      }
+    }
+    this.source = text;
+    this.regex = new RegExp(`^[ \\t]*${body.replace(/(\[ \\t\]\+)+$/, '')}[ \\t]*$`);
+  }
+
+  // Returns [{ variable, value }] for a matching line, or null
+  match(line) {
+    const match = this.regex.exec(line);
+    if (!match) {
+      return null;
+    }
+    const values = [];
+    for (let i = 0; i < this.variables.length; i++) {
+      const variable = this.variables[i];
+      const raw = match.groups && match.groups[`v${i}`];
+      if (raw === undefined) {
+        continue;
+      }
+      const value = variable.process(raw);
+      if (value === undefined) {
+        return null;
+      }
+      if (variable.save) {
+        values.push({ variable, value });
+      }
+    }
+    return values;
+  }
+}
+
+class TTPGroup {
+  constructor(attributes = {}, parent = null) {
+    const name = attributes.name || '_anonymous_';
+    this.forceList = name.endsWith('*');
+    this.name = this.forceList ? name.slice(0, -1) : name;
+    this.method = attributes.method || 'group';
+    this.parent = parent;
+    this.lines = [];
+    this.children = [];
+  }
+
+  addLine(text) {
+    this.lines.push(new TTPLine(text));
+  }
+
+  // The first line starts a match unless lines are marked _start_ explicitly
+  finalize() {
+    if (this.method === 'table') {
+      this.lines.forEach(line => { line.isStart = true; });
+    } else if (this.lines.length > 0 && !this.lines.some(line => line.isStart)) {
+      this.lines[0].isStart = true;
+    }
+    this.children.forEach(child => child.finalize());
+  }
+
+  get startLines() {
+    return this.lines.filter(line => line.isStart);
+  }
+
+  get bodyLines() {
+    return this.lines.filter(line => !line.isStart && !line.isLine);
+  }
+
+  get catchAllLines() {
+    return this.lines.filter(line => line.isLine && !line.isStart);
+  }
+
+  get defaults() {
+    const defaults = {};
+    for (const line of this.lines) {
+      for (const variable of line.variables) {
+        if (variable.save && variable.defaultValue !== undefined) {
+          defaults[variable.name] = variable.defaultValue;
+        }
+      }
+    }
+    return defaults;
+  }
+}
+
+class TTPTemplate {
+  constructor(template) {
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw new TTPError('TTP template is empty');
+    }
+    this.root = this._parseTemplate(template);
+  }
+
+  _parseTemplate(template) {
+    // Drop our "# priority, name" header and TTP <doc> blocks
+    const text = template
+      .replace(/\r\n?/g, '\n')
+      .replace(/^#\s*\d+\s*,.*\n/, '')
+      .replace(/<doc>[\s\S]*?<\/doc>/g, '');
+
+    const root = new TTPGroup({ name: '_anonymous_' });
+    let current = root;
+    const tagPattern = /<group\b([^>]*)>|<\/group\s*>/g;
+    let lastIndex = 0;
+    let tag;
+
+    const addText = (chunk) => {
+      for (const line of chunk.split('\n')) {
+        if (line.trim() !== '') {
+          current.addLine(line.trim());
+        }
+      }
+    };
+
+    while ((tag = tagPattern.exec(text)) !== null) {
+      addText(text.slice(lastIndex, tag.index));
+      lastIndex = tagPattern.lastIndex;
+
+      if (tag[0].startsWith('</')) {
+        if (current === root) {
+          throw new TTPError('Unbalanced </group> in TTP template');
+        }
+        current = current.parent;
+      } else {
+        const attributes = {};
+        const attrPattern = /(\w+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attr;
+        while ((attr = attrPattern.exec(tag[1])) !== null) {
+          attributes[attr[1]] = attr[3] !== undefined ? attr[3] : attr[4];
+        }
+        const group = new TTPGroup(attributes, current);
+        current.children.push(group);
+        current = group;
+      }
+    }
+    addText(text.slice(lastIndex));
+
+    if (current !== root) {
+      throw new TTPError(`Unclosed <group name="${current.name}"> in TTP template`);
+    }
+    root.finalize();
+    return root;
+  }
+
+  /**
+   * Parse device output
+   * @param {string} text - Command output
+   * @returns {Object[]} - One record per match of a top-level group; nested
+   *   groups appear under their name (a list when matched more than once or
+   *   when the group name ends with "*")
+   */
+  parse(text) {
+    const results = [];
+    const topGroups = this.root.children.length > 0 ? this.root.children : [this.root];
+    // Open matches, outermost first: { group, record, children }
+    const stack = [];
+
+    const close = (depth) => {
+      while (stack.length > depth) {
+        const entry = stack.pop();
+        const record = { ...entry.group.defaults, ...entry.record };
+        for (const [name, { forceList, items }] of Object.entries(entry.children)) {
+          record[name] = forceList || items.length > 1 ? items : items[0];
+        }
+        if (Object.keys(record).length === 0) {
+          continue;
+        }
+        const parent = stack[stack.length - 1];
+        if (parent) {
+          const slot = parent.children[entry.group.name] ||
+            (parent.children[entry.group.name] = { forceList: entry.group.forceList, items: [] });
+          slot.items.push(record);
+        } else {
+          results.push(record);
+        }
+      }
+    };
+
+    const assign = (entry, values) => {
+      for (const { variable, value } of values) {
+        if (!(variable.name in entry.record)) {
+          entry.record[variable.name] = value;
+        } else if (variable.joinChar !== null) {
+          entry.record[variable.name] = `${entry.record[variable.name]}${variable.joinChar}${value}`;
+        }
+        // Otherwise the first match within a group result wins
+      }
+    };
+
+    const tryStart = (line) => {
+      // Innermost open group's children first, then siblings further out
+      for (let depth = stack.length; depth >= 0; depth--) {
+        const candidates = depth === 0 ? topGroups : stack[depth - 1].group.children;
+        for (const group of candidates) {
+          for (const startLine of group.startLines) {
+            const values = startLine.match(line);
+            if (values) {
+              close(depth);
+              const entry = { group, record: {}, children: {} };
+              stack.push(entry);
+              assign(entry, values);
+              if (startLine.isEnd) {
+                close(depth);
+              }
+              return true;
+            }
+          }
+        }
+      }
+      return false;
+    };
+
+    const tryBody = (line, linesOf) => {
+      for (let depth = stack.length - 1; depth >= 0; depth--) {
+        for (const bodyLine of linesOf(stack[depth].group)) {
+          const values = bodyLine.match(line);
+          if (values) {
+            assign(stack[depth], values);
+            if (bodyLine.isEnd) {
+              close(depth);
+            }
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    for (const line of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+      if (line.trim() === '') {
+        continue;
+      }
+      if (tryStart(line)) {
+        continue;
+      }
+      if (tryBody(line, group => group.bodyLines)) {
+        continue;
+      }
+      tryBody(line, group => group.catchAllLines);
+    }
+    close(0);
+
+    return results;
+  }
+}
+
+module.exports = {
+  TTPTemplate,
+  TTPError,
+  TTP_PATTERNS
+};
@@ -138,7 +138,7 @@ function changeLayout(layout) {
 
 // Node operations
 function highlightNode(nodeName) {
-    const nodeId = nodeName.replace(/-/g, '_');
+    const nodeId = nodeName.replace(/[^A-Za-z0-9_]/g, '_');
     logMessage('Highlighting node: ' + nodeName);
     
     // Highlight in the list
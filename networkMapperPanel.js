@@ -3,6 +3,7 @@ const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
 const TopologyViewerPanel = require('./topologyViewer');
+const { isSweepSpec, expandSweepSpec, parseTargetList } = require('./lib/ip-utils.js');
 class NetworkMapperPanel {
   static currentPanel = undefined;
   static viewType = 'networkMapper';
@@ -53,6 +54,8 @@ class NetworkMapperPanel {
     this._extensionUri = extensionUri;
     this._disposables = [];
     this._discoveryInProgress = false;
+    // Aborts the running discovery (Stop button or notification cancel)
+    this._abortController = null;
     this._settingsManager = settingsManager;
   this._outputChannel = vscode.window.createOutputChannel('Network Mapper Webview');
   this._hasShownOutputChannel = false;
@@ -86,6 +89,19 @@ this._panel.webview.onDidReceiveMessage(
         }
         return;
         
+      case 'resumeDiscovery':
+        if (!this._discoveryInProgress) {
+          await this._startDiscovery(message.formData, { resume: true });
+        } else {
+          vscode.window.showWarningMessage('A discovery process is already running');
+          this.log('warn', 'Discovery process already running, cannot resume another one');
+        }
+        return;
+        
+      case 'stopDiscovery':
+        this._stopDiscovery('Stop requested from the panel');
+        return;
+        
       case 'viewTopology':
         await this._viewTopology();
         return;
@@ -109,6 +125,10 @@ this._panel.webview.onDidReceiveMessage(
         // Handle request to save logs from webview
         this._handleSaveLog(message);
         return;
+        
+      case 'loadSeedFile':
+        await this._loadSeedFile();
+        return;
     }
   },
   null,
@@ -484,6 +504,11 @@ async _viewTopology() {
   dispose() {
     NetworkMapperPanel.currentPanel = undefined;
 
+    // Don't leave a crawl running against a closed panel
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+
     // Clean up resources
     this._panel.dispose();
 
@@ -546,9 +571,12 @@ async _viewTopology() {
   }
 
   // Process seed devices from form data
+  // Entries are hostname,ip pairs, bare IPs, or CIDR blocks / ranges that are
+  // swept for SSH before discovery starts
   _processSeedDevices(seedDevicesInput) {
     const seedDevices = [];
-    const seedsArray = seedDevicesInput.split(';');
+    const sweepSpecs = [];
+    const seedsArray = parseTargetList(seedDevicesInput);
     
     this.log('debug', `Processing ${seedsArray.length} seed device entries`);
     
@@ -563,29 +591,62 @@ async _viewTopology() {
           });
           this.log('debug', `Added seed device: ${seedParts[0].trim()}, ${seedParts[1].trim()}`);
         }
+      } else if (isSweepSpec(seedInput)) {
+        // Fail early on malformed or oversized blocks
+        expandSweepSpec(seedInput);
+        sweepSpecs.push(seedInput);
+        this.log('debug', `Added sweep target: ${seedInput}`);
       } else {
         // If no comma, treat as single IP address and leave hostname blank
-        const ipAddress = seedInput.trim();
-        if (ipAddress) {
-          seedDevices.push({
-            hostname: '',  // Empty hostname
-            ip_address: ipAddress
-          });
-          this.log('debug', `Added seed device with IP only: ${ipAddress}`);
-        }
+        seedDevices.push({
+          hostname: '',  // Empty hostname
+          ip_address: seedInput
+        });
+        this.log('debug', `Added seed device with IP only: ${seedInput}`);
       }
     }
 
-    if (seedDevices.length === 0) {
+    if (seedDevices.length === 0 && sweepSpecs.length === 0) {
       throw new Error('No valid seed devices specified');
     }
 
-    this.log('info', `Processed ${seedDevices.length} seed devices`);
-    return seedDevices;
+    this.log('info', `Processed ${seedDevices.length} seed devices and ${sweepSpecs.length} sweep targets`);
+    return { seedDevices, sweepSpecs };
+  }
+
+  // Let the user pick a targets file; its entries are appended to the seed box
+  async _loadSeedFile() {
+    const fileUris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      filters: {
+        'Target Lists': ['txt', 'csv', 'list'],
+        'All files': ['*']
+      },
+      title: 'Select Seed / Target File'
+    });
+    
+    if (!fileUris || fileUris.length === 0) {
+      return;
+    }
+    
+    try {
+      const entries = parseTargetList(fs.readFileSync(fileUris[0].fsPath, 'utf8'));
+      this._panel.webview.postMessage({ command: 'seedFileLoaded', entries });
+      this.log('info', `Loaded ${entries.length} seed entries from ${fileUris[0].fsPath}`);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Error reading seed file: ${error.message}`);
+      this.log('error', `Error reading seed file: ${error.message}`);
+    }
   }
 
   // Process credentials from form data
+  // Accepts the webview's credential objects (password, key file and agent
+  // credentials) or the legacy "username:password" lines
   _processCredentials(credentialsInput) {
+    if (Array.isArray(credentialsInput)) {
+      return this._processCredentialList(credentialsInput);
+    }
+    
     const credentials = [];
     const credsArray = credentialsInput.split('\n').filter(line => line.trim() !== '');
     
@@ -635,6 +696,42 @@ async _viewTopology() {
     return credentials;
   }
 
+  _processCredentialList(credentialList) {
+    const credentials = [];
+    
+    for (const cred of credentialList) {
+      const username = (cred.username || '').trim();
+      const hasAuth = cred.password || cred.keyFile || cred.useAgent;
+      if (!username || !hasAuth) {
+        this.log('warn', `Skipping credential without username or authentication method: ${username || '(empty)'}`);
+        continue;
+      }
+      
+      credentials.push(new NetworkMapperPanel.Credential({
+        username,
+        password: cred.password || null,
+        keyFile: cred.keyFile ? cred.keyFile.trim() : null,
+        keyPassphrase: cred.keyPassphrase || null,
+        useAgent: cred.useAgent === true,
+        port: 22,
+        enablePassword: cred.enablePassword || null,
+        scope: Array.isArray(cred.scope) ? cred.scope : [],
+        authPriority: credentials.length
+      }));
+      
+      const methods = [cred.keyFile && 'key', cred.useAgent && 'agent', cred.password && 'password'].filter(Boolean);
+      const scope = Array.isArray(cred.scope) && cred.scope.length > 0 ? ` for ${cred.scope.join(', ')}` : '';
+      this.log('debug', `Added credential for user: ${username} (${methods.join(' then ')})${scope}`);
+    }
+    
+    if (credentials.length === 0) {
+      throw new Error('No valid credentials found');
+    }
+    
+    this.log('info', `Processed ${credentials.length} credentials`);
+    return credentials;
+  }
+
   // Check if templates directory exists
   _checkTemplateDirectory(templatePath) {
     try {
@@ -698,6 +795,93 @@ async _viewTopology() {
     return discovery;
   }
 
+  // Relay NetworkDiscovery progress events to the webview (device table and
+  // progress bar) and to the VS Code progress notification
+  _forwardDiscoveryEvents(discovery, progress) {
+    const summarize = (device) => ({
+      ipAddress: device.ipAddress,
+      hostname: device.hostname || '',
+      platform: device.platform || '',
+      hopCount: device.hopCount,
+      neighborCount: Array.isArray(device.neighbors) ? device.neighbors.length : 0
+    });
+    
+    const post = (event, data) => {
+      this._panel.webview.postMessage({
+        command: 'discoveryEvent',
+        event,
+        data
+      });
+    };
+    
+    const report = (counters) => {
+      if (progress) {
+        const done = counters.successful + counters.failed;
+        progress.report({ message: `${done}/${counters.total} devices scanned, ${counters.inFlight} in progress` });
+      }
+    };
+    
+    discovery.on('hopStarted', (e) => {
+      post('hopStarted', { hop: e.hop, devices: e.devices.map(summarize), counters: e.counters });
+      report(e.counters);
+    });
+    discovery.on('deviceStarted', (e) => {
+      post('deviceStarted', { hop: e.hop, device: summarize(e.device), counters: e.counters });
+      report(e.counters);
+    });
+    discovery.on('deviceConnected', (e) => {
+      post('deviceConnected', {
+        hop: e.hop,
+        device: summarize(e.device),
+        username: e.username,
+        connectedIp: e.connectedIp,
+        counters: e.counters
+      });
+    });
+    // One prompt per run, however many hosts refuse their key
+    let hostKeyWarningShown = false;
+    discovery.on('deviceFailed', (e) => {
+      post('deviceFailed', {
+        hop: e.hop,
+        device: summarize(e.device),
+        reason: e.reason,
+        message: e.message,
+        counters: e.counters
+      });
+      report(e.counters);
+      if (String(e.reason).startsWith('HOST_KEY_') && !hostKeyWarningShown) {
+        hostKeyWarningShown = true;
+        vscode.window.showWarningMessage(`SSH host key refused for ${e.device.ipAddress}: ${e.message}`, 'Manage Host Keys')
+          .then(choice => {
+            if (choice) {
+              vscode.commands.executeCommand('networkMapper.manageHostKeys');
+            }
+          });
+      }
+    });
+    discovery.on('neighborsFound', (e) => {
+      post('neighborsFound', {
+        hop: e.hop,
+        device: summarize(e.device),
+        neighbors: e.neighbors.map(summarize),
+        counters: e.counters
+      });
+      report(e.counters);
+    });
+    discovery.on('hopCompleted', (e) => {
+      post('hopCompleted', { hop: e.hop, nextHopCount: e.nextHopCount, counters: e.counters });
+    });
+    discovery.on('discoveryCompleted', (e) => {
+      post('discoveryCompleted', { status: e.status, outputFile: e.outputFile, counters: e.counters });
+    });
+    discovery.on('sweepProgress', (e) => {
+      post('sweepProgress', { scanned: e.scanned, total: e.total, responsive: e.responsive });
+      if (progress) {
+        progress.report({ message: `Sweep: ${e.scanned}/${e.total} probed, ${e.responsive} responsive` });
+      }
+    });
+  }
+
   // Add custom templates to the parser
   _addCustomTemplates(discovery) {
     try {
@@ -738,15 +922,18 @@ async _viewTopology() {
     return false;
   }
 
-  // Main discovery method
-  async _startDiscovery(formData) {
+  // Main discovery method. With options.resume the run continues from the
+  // checkpoint that belongs to the form's output file instead of the seeds.
+  async _startDiscovery(formData, options = {}) {
+    const resume = options.resume === true;
+    
     // Save form values for next time
     if (this._settingsManager) {
       this._settingsManager.updateLastUsedValues(formData);
     }
 
     this._discoveryInProgress = true;
-    this.log('info', 'Starting discovery process...');
+    this.log('info', resume ? 'Resuming last discovery process...' : 'Starting discovery process...');
     
     // Progress callback that will send messages to both progress and log
     const sendProgress = (message) => {
@@ -759,11 +946,13 @@ async _viewTopology() {
     };
     
     try {
-      // Process seed devices
-      const seedDevices = this._processSeedDevices(formData.seedDevices);
+      // Process seed devices (a resumed run takes its queue from the checkpoint)
+      const { seedDevices, sweepSpecs } = resume
+        ? { seedDevices: [], sweepSpecs: [] }
+        : this._processSeedDevices(formData.seedDevices);
       
       // Process credentials
-      const credentials = this._processCredentials(formData.credentials);
+      const credentials = this._processCredentials(formData.credentialList || formData.credentials);
       
       // Check template directory
       let templatePath = process.env.NET_TEXTFSM;
@@ -789,13 +978,21 @@ async _viewTopology() {
       
       // Get settings for network discovery
       const maxThreads = this._settingsManager ? 
-        this._settingsManager.getSetting('maxThreads') || 1 : 1;
+        parseInt(this._settingsManager.getSetting('maxThreads')) || 1 : 1;
       
       // Create the NetworkDiscovery instance
       const discovery = this._createNetworkDiscovery(credentials, {
         maxThreads: maxThreads,
         outputFile: outputFile || 'network_topology.json',
         exclusions: formData.exclusions || '',
+        jumpHosts: this._settingsManager ? this._settingsManager.getSetting('jumpHosts') || [] : [],
+        jumpHostRules: this._settingsManager ? this._settingsManager.getSetting('jumpHostRules') || [] : [],
+        telnetFallback: this._settingsManager ? Boolean(this._settingsManager.getSetting('telnetFallback')) : false,
+        telnetSubnets: this._settingsManager ? this._settingsManager.getSetting('telnetSubnets') || [] : [],
+        hostKeyFile: this._settingsManager ? this._settingsManager.getSetting('hostKeyFile') : null,
+        knownHostsFile: this._settingsManager ? this._settingsManager.getSetting('knownHostsFile') || null : null,
+        strictHostKeyChecking: this._settingsManager ? Boolean(this._settingsManager.getSetting('strictHostKeyChecking')) : false,
+        maxAuthFailures: this._settingsManager ? parseInt(this._settingsManager.getSetting('maxAuthFailures')) || 0 : 0,
         progressCallback: sendProgress
       });
       
@@ -819,20 +1016,85 @@ async _viewTopology() {
       }
       
       // Run discovery
-      sendProgress('Starting network discovery...');
+      if (!resume) {
+        sendProgress('Starting network discovery...');
+      }
       const maxHops = parseInt(formData.maxHops) || 4;
       
-      this.log('info', 'Starting discovery with discoverSingleThreaded...');
-      const discovered = await discovery.discoverSingleThreaded(seedDevices, maxHops);
+      this._abortController = new AbortController();
+      const signal = this._abortController.signal;
       
-      // If we get here, the discovery was successful
-      this.log('info', 'Discovery process completed successfully');
+      const runDiscovery = async () => {
+        if (sweepSpecs.length > 0) {
+          sendProgress(`Sweeping ${sweepSpecs.join(', ')} for SSH...`);
+          const knownIps = new Set(seedDevices.map(device => device.ip_address));
+          const swept = await discovery.sweepTargets(sweepSpecs, {
+            concurrency: this._settingsManager ? this._settingsManager.getSetting('sweepConcurrency') : undefined,
+            timeout: this._settingsManager ? this._settingsManager.getSetting('sweepTimeout') : undefined,
+            signal
+          });
+          swept.filter(device => !knownIps.has(device.ip_address)).forEach(device => seedDevices.push(device));
+          sendProgress(`Sweep found ${swept.length} responsive host(s)`);
+          if (seedDevices.length === 0 && !signal.aborted) {
+            throw new Error('No responsive hosts found in the sweep targets');
+          }
+        }
+        
+        if (resume) {
+          const checkpointFile = discovery.checkpointFile;
+          if (!checkpointFile || !fs.existsSync(checkpointFile)) {
+            throw new Error(`No discovery checkpoint found at ${checkpointFile}`);
+          }
+          this.log('info', `Resuming discovery from checkpoint: ${checkpointFile}`);
+          sendProgress('Resuming discovery from last checkpoint...');
+          const resumeOptions = maxThreads > 1 ? { concurrency: maxThreads, signal } : { signal };
+          const result = await discovery.resumeFrom(checkpointFile, resumeOptions);
+          outputFile = discovery.outputFile || outputFile;
+          return result;
+        } else if (maxThreads > 1 && typeof discovery.discoverConcurrent === 'function') {
+          this.log('info', `Starting discovery with discoverConcurrent (${maxThreads} threads)...`);
+          return discovery.discoverConcurrent(seedDevices, maxHops, { concurrency: maxThreads, signal });
+        } else {
+          this.log('info', 'Starting discovery with discoverSingleThreaded...');
+          return discovery.discoverSingleThreaded(seedDevices, maxHops, { signal });
+        }
+      };
+      
+      // The notification's cancel button stops the run the same way as the panel's Stop button
+      const discovered = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Network Mapper discovery',
+        cancellable: true
+      }, async (progress, token) => {
+        token.onCancellationRequested(() => this._stopDiscovery('Cancelled from notification'));
+        this._forwardDiscoveryEvents(discovery, progress);
+        return runDiscovery();
+      });
       
       // Generate summary
       const totalDevices = Object.keys(discovered).length;
       const successful = Object.values(discovered).filter(d => d.visited && !d.failed).length;
       const failed = Object.values(discovered).filter(d => d.failed).length;
       
+      if (discovery.status === 'cancelled') {
+        this.log('warn', `Discovery cancelled after ${successful} of ${totalDevices} devices; partial results saved to ${outputFile}`);
+        sendProgress('Discovery cancelled. Partial results saved; use Resume Last Discovery to continue.');
+        this._panel.webview.postMessage({
+          command: 'discoveryCancelled',
+          results: {
+            totalDevices,
+            successful,
+            failed,
+            outputFile: outputFile,
+            cancelled: true
+          }
+        });
+        return;
+      }
+      
+      // If we get here, the discovery was successful
+      this.log('info', 'Discovery process completed successfully');
+      
       this.log('info', `Discovered ${totalDevices} total devices`);
       this.log('info', `Successfully scanned: ${successful}`);
       this.log('info', `Failed to scan: ${failed}`);
@@ -888,11 +1150,22 @@ try {
         error: error.message
       });
     } finally {
+      this._abortController = null;
       this._discoveryInProgress = false;
       this.log('info', 'Discovery process finished');
     }
   }
 
+  // Abort the running discovery; the crawl saves its partial results and checkpoint
+  _stopDiscovery(reason) {
+    if (!this._abortController || this._abortController.signal.aborted) {
+      this.log('debug', 'No running discovery to stop');
+      return;
+    }
+    this.log('warn', `Stopping discovery: ${reason}`);
+    this._abortController.abort();
+  }
+
 // In networkMapperPanel.js, update the _viewTopology method
 
 // In networkMapperPanel.js, update the _viewTopology method
@@ -58,6 +58,8 @@ class SettingsManager {
       extensionPath: this.context.extensionPath,
       templatePath: path.join(this.context.extensionPath, 'templates', 'textfsm'),
       storagePath: globalStoragePath,
+      // SSH host keys pinned on first use (lib/host-keys.js)
+      hostKeyFile: path.join(globalStoragePath, 'host_keys.json'),
       
       // User configurable paths
       outputDirectory: path.join(globalStoragePath, 'output'),
@@ -67,6 +69,15 @@ class SettingsManager {
       maxHops: 4,
       maxThreads: 1,
       scanTimeout: 60000,
+      jumpHosts: [],
+      jumpHostRules: [],
+      telnetFallback: false,
+      telnetSubnets: [],
+      knownHostsFile: '',
+      strictHostKeyChecking: false,
+      maxAuthFailures: 0,
+      sweepConcurrency: 32,
+      sweepTimeout: 1000,
       
       // Last used values (remembered between sessions)
       lastSeedDevices: '',
@@ -121,6 +132,30 @@ class SettingsManager {
           settings.maxHops = this.extensionSettings.get('maxHops');
           console.log(`Applied maxHops from workspace settings: ${settings.maxHops}`);
         }
+        // Only override the settings panel value when the user actually set maxThreads
+        const maxThreadsConfig = this.extensionSettings.inspect && this.extensionSettings.inspect('maxThreads');
+        if (maxThreadsConfig && (maxThreadsConfig.globalValue !== undefined || maxThreadsConfig.workspaceValue !== undefined)) {
+          settings.maxThreads = this.extensionSettings.get('maxThreads');
+          console.log(`Applied maxThreads from workspace settings: ${settings.maxThreads}`);
+        }
+        // Likewise, these override the settings panel only when set explicitly
+        for (const key of ['sweepConcurrency', 'sweepTimeout', 'telnetFallback', 'telnetSubnets', 'knownHostsFile', 'strictHostKeyChecking', 'maxAuthFailures']) {
+          const inspected = this.extensionSettings.inspect && this.extensionSettings.inspect(key);
+          if (inspected && (inspected.globalValue !== undefined || inspected.workspaceValue !== undefined)) {
+            settings[key] = this.extensionSettings.get(key);
+            console.log(`Applied ${key} from workspace settings: ${settings[key]}`);
+          }
+        }
+        // Jump hosts carry credentials, so they only ever come from settings.json
+        // and are never copied into global state by saveSettings
+        if (this.extensionSettings.has && this.extensionSettings.has('jumpHosts')) {
+          settings.jumpHosts = this.extensionSettings.get('jumpHosts') || [];
+          console.log(`Applied ${settings.jumpHosts.length} jump host(s) from workspace settings`);
+        }
+        if (this.extensionSettings.has && this.extensionSettings.has('jumpHostRules')) {
+          settings.jumpHostRules = this.extensionSettings.get('jumpHostRules') || [];
+          console.log(`Applied ${settings.jumpHostRules.length} jump host rule(s) from workspace settings`);
+        }
       }
     } catch (e) {
       console.error('Error applying workspace settings:', e);
@@ -148,6 +183,8 @@ class SettingsManager {
         maxHops: this.currentSettings.maxHops,
         maxThreads: this.currentSettings.maxThreads,
         scanTimeout: this.currentSettings.scanTimeout,
+        sweepConcurrency: this.currentSettings.sweepConcurrency,
+        sweepTimeout: this.currentSettings.sweepTimeout,
         lastSeedDevices: this.currentSettings.lastSeedDevices,
         lastCredentials: this.currentSettings.lastCredentials,
         lastExclusions: this.currentSettings.lastExclusions,
@@ -0,0 +1,260 @@
+// templatePlaygroundPanel.js
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+const { Worker } = require('worker_threads');
+const { TextFSM } = require('./lib/tfsm');
+const { TemplateIndex } = require('./lib/template-index');
+
+// A parse still running after this long is stopped; a rule regex is most
+// likely backtracking catastrophically on the input
+const PARSE_TIMEOUT_MS = 2000;
+
+/**
+ * TextFSM template playground: raw CLI output, the template and the parsed
+ * records side by side. Parsing runs lib/tfsm.js in a worker thread, so the
+ * result is exactly what discovery would get and a runaway pattern cannot
+ * freeze the extension host.
+ */
+class TemplatePlaygroundPanel {
+  static currentPanel = undefined;
+  static viewType = 'networkMapperTemplatePlayground';
+
+  static createOrShow(context, settingsManager) {
+    const column = vscode.window.activeTextEditor
+      ? vscode.window.activeTextEditor.viewColumn
+      : undefined;
+
+    // Start from the template being edited, if there is one
+    const initialTemplate = TemplatePlaygroundPanel._activeTemplate();
+
+    // If we already have a panel, show it
+    if (TemplatePlaygroundPanel.currentPanel) {
+      TemplatePlaygroundPanel.currentPanel._panel.reveal(column);
+      if (initialTemplate) {
+        TemplatePlaygroundPanel.currentPanel._loadTemplate(initialTemplate);
+      }
+      return;
+    }
+
+    // Otherwise, create a new panel
+    const panel = vscode.window.createWebviewPanel(
+      TemplatePlaygroundPanel.viewType,
+      'TextFSM Template Playground',
+      column || vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        localResourceRoots: [
+          vscode.Uri.joinPath(context.extensionUri, 'webview')
+        ],
+        retainContextWhenHidden: true
+      }
+    );
+
+    TemplatePlaygroundPanel.currentPanel = new TemplatePlaygroundPanel(panel, context, settingsManager, initialTemplate);
+  }
+
+  // Template text and name of the active editor when it holds a TextFSM template
+  static _activeTemplate() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !/\.textfsm$/i.test(editor.document.fileName)) {
+      return null;
+    }
+    return {
+      name: path.basename(editor.document.fileName),
+      text: editor.document.getText()
+    };
+  }
+
+  constructor(panel, context, settingsManager, initialTemplate) {
+    this._panel = panel;
+    this._context = context;
+    this._settingsManager = settingsManager;
+    this._initialTemplate = initialTemplate;
+    this._disposables = [];
+    this._parseWorker = null;
+    this._parseTimer = null;
+
+    // Set initial HTML content
+    this._panel.webview.html = this._getHtmlForWebview(this._panel.webview);
+
+    // Handle messages from the webview
+    this._panel.webview.onDidReceiveMessage(
+      async message => {
+        switch (message.command) {
+          case 'ready':
+            if (this._initialTemplate) {
+              this._loadTemplate(this._initialTemplate);
+            }
+            return;
+          case 'parse':
+            this._handleParse(message);
+            return;
+          case 'openTemplate':
+            await this._handleOpenTemplate();
+            return;
+          case 'saveTemplate':
+            await this._handleSaveTemplate(message);
+            return;
+        }
+      },
+      null,
+      this._disposables
+    );
+
+    // Clean up resources when the panel is closed
+    this._panel.onDidDispose(
+      () => this.dispose(),
+      null,
+      this._disposables
+    );
+  }
+
+  dispose() {
+    TemplatePlaygroundPanel.currentPanel = undefined;
+
+    // Clean up resources
+    this._stopParse();
+    this._panel.dispose();
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  _loadTemplate({ name, text }) {
+    this._panel.webview.postMessage({ command: 'loadTemplate', name, template: text });
+  }
+
+  // Compile the template and parse the raw output in a worker; errors go back
+  // with the template line they refer to so the webview can mark it. A newer
+  // parse request replaces the one still running.
+  _handleParse({ id, template, text }) {
+    this._stopParse();
+
+    const worker = new Worker(path.join(__dirname, 'lib', 'tfsm-parse-worker.js'), {
+      workerData: { template, text }
+    });
+    const finish = response => {
+      if (this._parseWorker !== worker) {
+        return;
+      }
+      this._stopParse();
+      this._panel.webview.postMessage({ command: 'parseResult', id, ...response });
+    };
+
+    this._parseWorker = worker;
+    this._parseTimer = setTimeout(() => finish({
+      error: `Parsing took longer than ${PARSE_TIMEOUT_MS / 1000} s and was stopped; a pattern may be backtracking catastrophically`,
+      errorType: 'ParseTimeout',
+      line: null
+    }), PARSE_TIMEOUT_MS);
+
+    worker.on('message', finish);
+    worker.on('error', error => finish({ error: error.message, errorType: error.name, line: null }));
+    worker.on('exit', code => finish({ error: `Parser stopped unexpectedly (exit code ${code})`, errorType: 'Error', line: null }));
+  }
+
+  _stopParse() {
+    clearTimeout(this._parseTimer);
+    this._parseTimer = null;
+    if (this._parseWorker) {
+      this._parseWorker.terminate();
+      this._parseWorker = null;
+    }
+  }
+
+  async _handleOpenTemplate() {
+    const fileUris = await vscode.window.showOpenDialog({
+      canSelectFiles: true,
+      canSelectFolders: false,
+      canSelectMany: false,
+      filters: {
+        'TextFSM Templates': ['textfsm'],
+        'All Files': ['*']
+      },
+      title: 'Open TextFSM Template'
+    });
+
+    if (fileUris && fileUris.length > 0) {
+      const filePath = fileUris[0].fsPath;
+      this._loadTemplate({ name: path.basename(filePath), text: fs.readFileSync(filePath, 'utf8') });
+    }
+  }
+
+  // Save the template as <platform>_<command>.textfsm in the user templates
+  // directory and register it in that directory's index
+  async _handleSaveTemplate({ template, platform, command }) {
+    platform = (platform || '').trim();
+    command = (command || '').trim().replace(/\s+/g, ' ');
+    if (!/^\w+$/.test(platform) || !command) {
+      vscode.window.showErrorMessage('Enter a platform (e.g. cisco_ios) and the command the template parses');
+      return;
+    }
+
+    try {
+      new TextFSM(template);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Template does not compile: ${error.message}`);
+      return;
+    }
+
+    const userTemplates = this._settingsManager?.getSetting('userTemplatesDirectory');
+    if (!userTemplates) {
+      vscode.window.showErrorMessage('No user templates directory is configured');
+      return;
+    }
+
+    const directory = path.join(userTemplates, 'textfsm');
+    const fileName = `${platform}_${command.replace(/[^\w]+/g, '_')}.textfsm`.toLowerCase();
+    const filePath = path.join(directory, fileName);
+
+    if (fs.existsSync(filePath)) {
+      const choice = await vscode.window.showWarningMessage(
+        `${fileName} already exists in the user templates directory. Overwrite it?`,
+        { modal: true },
+        'Overwrite'
+      );
+      if (choice !== 'Overwrite') {
+        return;
+      }
+    }
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(filePath, template.endsWith('\n') ? template : `${template}\n`);
+      const entry = TemplateIndex.register(directory, { template: fileName, platform, command });
+      this._panel.webview.postMessage({ command: 'templateSaved', name: fileName });
+      vscode.window.showInformationMessage(
+        `Saved ${fileName} and registered it for '${command}' on ${platform} (index line ${entry.line})`
+      );
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to save template: ${error.message}`);
+    }
+  }
+
+  // Generate the HTML for the playground webview
+  _getHtmlForWebview(webview) {
+    const scriptUri = webview.asWebviewUri(
+      vscode.Uri.joinPath(this._context.extensionUri, 'webview', 'playgroundView.js')
+    );
+    const styleUri = webview.asWebviewUri(
+      vscode.Uri.joinPath(this._context.extensionUri, 'webview', 'main.css')
+    );
+
+    const htmlPath = vscode.Uri.joinPath(this._context.extensionUri, 'webview', 'playground.html').fsPath;
+    let html = fs.readFileSync(htmlPath, 'utf8');
+
+    // Replace placeholders
+    html = html.replace(/\${cspSource}/g, webview.cspSource);
+    html = html.replace(/\${scriptUri}/g, scriptUri);
+    html = html.replace(/\${styleUri}/g, styleUri);
+
+    return html;
+  }
+}
+
+module.exports = TemplatePlaygroundPanel;
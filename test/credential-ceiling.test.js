@@ -0,0 +1,81 @@
+// Failed login ceiling with devices crawled in parallel
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { NetworkDiscovery, Credential } = require('../lib/crawl4.js');
+const { CredentialSelector } = require('../lib/credential-selector.js');
+
+const HOSTS = ['10.9.0.1', '10.9.0.2', '10.9.0.3', '10.9.0.4', '10.9.0.5'];
+
+// Stands in for SynchronousSSHClient: the login takes a moment, then the
+// device accepts or refuses the password like ssh2 does
+class FakeClient extends EventEmitter {
+  constructor(options, goodPassword, attempts) {
+    super();
+    this._options = options;
+    this._goodPassword = goodPassword;
+    this._attempts = attempts;
+  }
+
+  connect() {
+    this._attempts.push(this._options.host);
+    return new Promise((resolve, reject) => setTimeout(() => {
+      if (this._options.password === this._goodPassword) {
+        resolve();
+      } else {
+        reject(Object.assign(new Error('All configured authentication methods failed'), { level: 'client-authentication' }));
+      }
+    }, 20));
+  }
+
+  disconnect() {}
+}
+
+function discovery(credentials, goodPassword, attempts) {
+  const instance = new NetworkDiscovery(credentials, { maxAuthFailures: 2 });
+  instance._createSshClient = (options) => new FakeClient(options, goodPassword, attempts);
+  return instance;
+}
+
+test('parallel failing logins stop at the ceiling', async () => {
+  const attempts = [];
+  const instance = discovery([new Credential({ username: 'admin', password: 'wrong' })], 'right', attempts);
+
+  const results = await Promise.all(HOSTS.map(host => instance._trySshConnection(host, 1000)));
+
+  assert.ok(results.every(result => !result.success));
+  assert.strictEqual(attempts.length, 2);
+  assert.deepStrictEqual(instance.credentialSelector.failures, { admin: 2 });
+  assert.ok(instance.credentialSelector.locked('admin'));
+});
+
+test('workers wait for logins in progress instead of skipping a good account', async () => {
+  const attempts = [];
+  const instance = discovery([new Credential({ username: 'admin', password: 'right' })], 'right', attempts);
+
+  const results = await Promise.all(HOSTS.map(host => instance._trySshConnection(host, 1000)));
+
+  assert.ok(results.every(result => result.success));
+  assert.strictEqual(attempts.length, HOSTS.length);
+  assert.deepStrictEqual(instance.credentialSelector.failures, {});
+  assert.deepStrictEqual(instance.credentialSelector.inFlight, { admin: 0 });
+});
+
+test('a reservation released without a failure frees its slot', async () => {
+  const cred = { username: 'admin' };
+  const selector = new CredentialSelector([cred], { maxAuthFailures: 1 });
+
+  assert.strictEqual(await selector.reserve(cred), true);
+  let second = false;
+  const waiting = selector.reserve(cred).then(result => { second = result; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(second, false);
+
+  selector.release(cred);
+  await waiting;
+  assert.strictEqual(second, true);
+
+  selector.recordFailure(cred, { level: 'client-authentication' });
+  selector.release(cred);
+  assert.strictEqual(await selector.reserve(cred), false);
+});
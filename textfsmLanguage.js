@@ -0,0 +1,171 @@
+// textfsmLanguage.js
+const vscode = require('vscode');
+const { TextFSM, TextFSMOptions, TextFSMRule, TextFSMTemplateError } = require('./lib/tfsm');
+
+const LANGUAGE_ID = 'textfsm';
+const DIAGNOSTIC_DELAY_MS = 300;
+const RESERVED_STATES = ['Start', 'End', 'EOF'];
+
+/**
+ * Find the template line an error refers to. Most TextFSMTemplateError
+ * messages name it; the FSM-level ones ("Missing state 'Start'",
+ * "State 'X' not found ...") only name a state, so fall back to the first
+ * line mentioning it.
+ * @param {Error} error
+ * @param {string[]} lines - Template lines
+ * @returns {number} - 0-based line
+ */
+function errorLine(error, lines) {
+  if (error instanceof TextFSMTemplateError && error.lineNum) {
+    return Math.min(error.lineNum, lines.length) - 1;
+  }
+
+  const quoted = /'([^']+)'/.exec(error.message);
+  if (quoted) {
+    const name = quoted[1];
+    const stateLine = lines.findIndex(line => line.trim() === name);
+    if (stateLine !== -1) {
+      return stateLine;
+    }
+    const reference = lines.findIndex(line => new RegExp(`->.*\\b${name.replace(/\W/g, '\\$&')}\\b`).test(line));
+    if (reference !== -1) {
+      return reference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Compile the document with lib/tfsm.js and report the first error
+ * @param {vscode.TextDocument} document
+ * @returns {vscode.Diagnostic[]}
+ */
+function templateDiagnostics(document) {
+  const text = document.getText();
+  try {
+    new TextFSM(text);
+    return [];
+  } catch (error) {
+    const line = errorLine(error, text.split(/\r?\n/));
+    const diagnostic = new vscode.Diagnostic(
+      document.lineAt(line).range,
+      error.message,
+      vscode.DiagnosticSeverity.Error
+    );
+    diagnostic.source = 'TextFSM';
+    return [diagnostic];
+  }
+}
+
+// Names declared in the document, for completion
+function declaredNames(document) {
+  const values = [];
+  const states = [];
+  for (let i = 0; i < document.lineCount; i++) {
+    const line = document.lineAt(i).text;
+    const value = /^Value\s+(?:\S+\s+)?(\w+)\s+\(/.exec(line);
+    if (value) {
+      values.push(value[1]);
+    } else if (/^\w+\s*$/.test(line)) {
+      states.push(line.trim());
+    }
+  }
+  return { values, states };
+}
+
+function completionItems(labels, kind, detail) {
+  return labels.map(label => {
+    const item = new vscode.CompletionItem(label, kind);
+    item.detail = detail;
+    return item;
+  });
+}
+
+/**
+ * Completion for Value options, `${value}` substitutions and the actions and
+ * target states after `->`
+ */
+const completionProvider = {
+  provideCompletionItems(document, position) {
+    const before = document.lineAt(position).text.slice(0, position.character);
+    const { values, states } = declaredNames(document);
+
+    // Value [Option[,Option]] — options come before the name
+    if (/^Value\s+(?:\w+,)*\w*$/.test(before)) {
+      const used = before.replace(/^Value\s+/, '').split(',');
+      const options = TextFSMOptions.ValidOptions().filter(option => !used.includes(option));
+      return completionItems(options, vscode.CompletionItemKind.Keyword, 'Value option');
+    }
+
+    // ${NAME} or $NAME inside a rule
+    if (/^\s+\^/.test(before) && /\$\{?\w*$/.test(before)) {
+      return completionItems(values, vscode.CompletionItemKind.Variable, 'Value');
+    }
+
+    // Rule action: line/record operators, then the next state
+    const action = /\s->\s*(\S*)(\s+\S*)?$/.exec(before);
+    if (/^\s+\^/.test(before) && action) {
+      const targets = completionItems(
+        [...new Set([...states, ...RESERVED_STATES])],
+        vscode.CompletionItemKind.Class,
+        'State'
+      );
+      if (action[2] !== undefined) {
+        return targets;
+      }
+      const operators = [
+        ...TextFSMRule.LINE_OP,
+        ...TextFSMRule.RECORD_OP,
+        ...TextFSMRule.LINE_OP.flatMap(lineOp => TextFSMRule.RECORD_OP.map(recordOp => `${lineOp}.${recordOp}`))
+      ];
+      return [
+        ...completionItems(operators, vscode.CompletionItemKind.Operator, 'Action'),
+        ...targets
+      ];
+    }
+
+    return undefined;
+  }
+};
+
+/**
+ * Register diagnostics and completion for the TextFSM language contributed
+ * in package.json
+ * @param {vscode.ExtensionContext} context
+ */
+function registerTextFsmLanguage(context) {
+  const diagnostics = vscode.languages.createDiagnosticCollection(LANGUAGE_ID);
+  const timers = new Map();
+
+  function validate(document) {
+    if (document.languageId === LANGUAGE_ID) {
+      diagnostics.set(document.uri, templateDiagnostics(document));
+    }
+  }
+
+  function scheduleValidate(document) {
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      validate(document);
+    }, DIAGNOSTIC_DELAY_MS));
+  }
+
+  context.subscriptions.push(
+    diagnostics,
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument(event => scheduleValidate(event.document)),
+    vscode.workspace.onDidCloseTextDocument(document => {
+      clearTimeout(timers.get(document.uri.toString()));
+      diagnostics.delete(document.uri);
+    }),
+    vscode.languages.registerCompletionItemProvider(LANGUAGE_ID, completionProvider, ' ', ',', '{', '$', '.')
+  );
+
+  vscode.workspace.textDocuments.forEach(validate);
+}
+
+module.exports = {
+  registerTextFsmLanguage
+};
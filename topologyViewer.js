@@ -522,7 +522,7 @@ analyzeTopology() {
             // Add nodes for this site
             for (const nodeId of nodes) {
                 const nodeData = graph.nodes[nodeId];
-                const sanitizedId = nodeId.replace(/-/g, '_');
+                const sanitizedId = nodeId.replace(/[^A-Za-z0-9_]/g, '_');
                 
                 const nodeInfo = [nodeId];
                 if (nodeData.ip) {
@@ -541,7 +541,7 @@ analyzeTopology() {
     for (const [nodeId, nodeData] of Object.entries(graph.nodes)) {
         const siteParts = nodeId.split('-');
         if (siteParts.length <= 1 || !siteGroups[siteParts[0]] || !siteGroups[siteParts[0]].includes(nodeId)) {
-            const sanitizedId = nodeId.replace(/-/g, '_');
+            const sanitizedId = nodeId.replace(/[^A-Za-z0-9_]/g, '_');
             const nodeInfo = [nodeId];
             if (nodeData.ip) {
                 nodeInfo.push(`IP: ${nodeData.ip}`);
@@ -554,8 +554,8 @@ analyzeTopology() {
 
     // Add edges with improved connection information
     for (const edge of graph.edges) {
-        const sourceId = edge.source.replace(/-/g, '_');
-        const targetId = edge.target.replace(/-/g, '_');
+        const sourceId = edge.source.replace(/[^A-Za-z0-9_]/g, '_');
+        const targetId = edge.target.replace(/[^A-Za-z0-9_]/g, '_');
         
         // Format connection label based on number of interfaces
         let label = '';
@@ -3,16 +3,25 @@ const vscode = acquireVsCodeApi();
 
 // Form elements
 const seedDevicesInput = document.getElementById('seedDevices');
+const loadSeedFileButton = document.getElementById('loadSeedFileButton');
 const credentialList = document.getElementById('credentialList');
 const credUsernameInput = document.getElementById('credUsername');
 const credPasswordInput = document.getElementById('credPassword');
+const credEnableInput = document.getElementById('credEnable');
 const addCredButton = document.getElementById('addCredButton');
+const credAuthTypeSelect = document.getElementById('credAuthType');
+const credKeyRow = document.getElementById('credKeyRow');
+const credKeyFileInput = document.getElementById('credKeyFile');
+const credKeyPassphraseInput = document.getElementById('credKeyPassphrase');
+const credScopeInput = document.getElementById('credScope');
 
 let credentials = [];
 const maxHopsInput = document.getElementById('maxHops');
 const exclusionsInput = document.getElementById('exclusions');
 const outputFileInput = document.getElementById('outputFile');
 const startButton = document.getElementById('startButton');
+const resumeButton = document.getElementById('resumeButton');
+const stopButton = document.getElementById('stopButton');
 const viewTopologyButton = document.getElementById('viewTopologyButton');
 const clearLogButton = document.getElementById('clearLogButton');
 const openSettingsButton = document.getElementById('openSettingsButton');
@@ -86,6 +95,7 @@ function saveFormState() {
     const formData = {
         seedDevices: seedDevicesInput.value,
         credentials: getCredentialsString(), // Convert to string format for backward compatibility
+        credentialList: credentials, // Full credentials including key and agent auth
         maxHops: maxHopsInput.value,
         exclusions: exclusionsInput.value,
         outputFile: outputFileInput.value
@@ -101,9 +111,20 @@ function saveFormState() {
 // Show results
 function showResults(results) {
     resultsDiv.classList.remove('hidden');
+    // Keep the per-device table from the run below the summary
+    const progressContainer = document.getElementById('progressContainer');
     
     if (results.error) {
         resultsContent.innerHTML = `<p class="error">Error: ${results.error}</p>`;
+    } else if (results.cancelled) {
+        resultsContent.innerHTML = `
+            <p class="error">Discovery was stopped before it finished.</p>
+            <p>Total devices discovered: <strong>${results.totalDevices}</strong></p>
+            <p>Successfully scanned: <strong class="success">${results.successful}</strong></p>
+            <p>Failed to scan: <strong class="error">${results.failed}</strong></p>
+            <p>Partial results saved to: <strong class="info">${results.outputFile}</strong></p>
+            <p>Use <strong>Resume Last Discovery</strong> to continue.</p>
+        `;
     } else {
         resultsContent.innerHTML = `
             <p>Total devices discovered: <strong>${results.totalDevices}</strong></p>
@@ -114,6 +135,10 @@ function showResults(results) {
         `;
     }
     
+    if (progressContainer) {
+        resultsContent.appendChild(progressContainer);
+    }
+    
     state.lastResults = results;
     vscode.setState(state);
 }
@@ -137,10 +162,31 @@ function createProgressContainer() {
     
     const messageContainer = document.createElement('div');
     messageContainer.id = 'progressMessage';
-    messageContainer.className = 'progress-message';
+    messageContainer.className = 'progress-status';
     messageContainer.textContent = 'Initializing discovery...';
     container.appendChild(messageContainer);
     
+    // Filled from 'discoveryEvent' messages
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    bar.innerHTML = '<div id="progressBarFill" class="progress-bar-fill"></div>';
+    container.appendChild(bar);
+    
+    const counters = document.createElement('div');
+    counters.id = 'progressCounters';
+    counters.className = 'progress-counters';
+    container.appendChild(counters);
+    
+    const table = document.createElement('table');
+    table.className = 'device-table';
+    table.innerHTML = `
+        <thead>
+            <tr><th>IP Address</th><th>Hostname</th><th>Hop</th><th>Status</th><th>Details</th></tr>
+        </thead>
+        <tbody id="deviceTableBody"></tbody>
+    `;
+    container.appendChild(table);
+    
     resultsDiv.classList.remove('hidden');
     resultsContent.innerHTML = '';
     resultsContent.appendChild(container);
@@ -152,20 +198,116 @@ function createProgressContainer() {
 function updateProgress(message) {
     const messageContainer = document.getElementById('progressMessage');
     if (messageContainer) {
-        // Append new message with timestamp
-        const now = new Date();
-        const timestamp = now.toLocaleTimeString();
-        const formattedMessage = `[${timestamp}] ${message}\n`;
-        messageContainer.textContent += formattedMessage;
-        
-        // Auto-scroll to bottom
-        messageContainer.scrollTop = messageContainer.scrollHeight;
+        // Only the latest status is shown; the full history is in the log
+        const timestamp = new Date().toLocaleTimeString();
+        messageContainer.textContent = `[${timestamp}] ${message}`;
     }
     
     // Also log the message
     logMessage('info', message);
 }
 
+// Update the progress bar and counter line from an event's counters
+function updateCounters(counters) {
+    if (!counters) {
+        return;
+    }
+    
+    const done = counters.successful + counters.failed;
+    const fill = document.getElementById('progressBarFill');
+    if (fill) {
+        const percent = counters.total > 0 ? Math.round((done / counters.total) * 100) : 0;
+        fill.style.width = `${percent}%`;
+    }
+    
+    const countersDiv = document.getElementById('progressCounters');
+    if (countersDiv) {
+        countersDiv.textContent = `${done} of ${counters.total} devices scanned ` +
+            `(${counters.successful} ok, ${counters.failed} failed, ${counters.inFlight} in progress, ` +
+            `${counters.pending - counters.inFlight} queued)`;
+    }
+}
+
+// Insert or update the row for one device in the progress table
+function setDeviceRow(device, status, details = '') {
+    const tbody = document.getElementById('deviceTableBody');
+    if (!tbody || !device) {
+        return;
+    }
+    
+    let row = tbody.querySelector(`tr[data-ip="${device.ipAddress}"]`);
+    if (!row) {
+        row = document.createElement('tr');
+        row.dataset.ip = device.ipAddress;
+        for (let i = 0; i < 5; i++) {
+            row.appendChild(document.createElement('td'));
+        }
+        tbody.appendChild(row);
+    }
+    
+    const cells = row.children;
+    cells[0].textContent = device.ipAddress;
+    if (device.hostname) {
+        cells[1].textContent = device.hostname;
+    }
+    cells[2].textContent = device.hopCount;
+    cells[3].textContent = status;
+    cells[3].className = `device-status device-status-${status}`;
+    cells[4].textContent = details;
+}
+
+// Handle a structured progress event relayed from NetworkDiscovery
+function handleDiscoveryEvent(event, data) {
+    switch (event) {
+        case 'hopStarted':
+            updateProgress(`Hop ${data.hop}: scanning ${data.devices.length} device(s)`);
+            data.devices.forEach(device => setDeviceRow(device, 'queued'));
+            break;
+            
+        case 'deviceStarted':
+            setDeviceRow(data.device, 'scanning');
+            break;
+            
+        case 'deviceConnected':
+            setDeviceRow(data.device, 'connected', `as ${data.username} via ${data.connectedIp}`);
+            break;
+            
+        case 'deviceFailed':
+            setDeviceRow(data.device, 'failed', `${data.reason}: ${data.message || ''}`);
+            break;
+            
+        case 'neighborsFound':
+            setDeviceRow(data.device, 'done',
+                `${data.device.platform ? data.device.platform + ', ' : ''}${data.neighbors.length} new neighbor(s)`);
+            data.neighbors.forEach(device => setDeviceRow(device, 'queued'));
+            break;
+            
+        case 'hopCompleted':
+            updateProgress(`Hop ${data.hop} complete, ${data.nextHopCount} device(s) queued for hop ${data.hop + 1}`);
+            break;
+            
+        case 'discoveryCompleted':
+            updateProgress(`Discovery ${data.status}`);
+            break;
+            
+        case 'sweepProgress': {
+            // Sweep runs before hop 0, so it drives the bar on its own
+            const fill = document.getElementById('progressBarFill');
+            if (fill) {
+                fill.style.width = `${Math.round((data.scanned / data.total) * 100)}%`;
+            }
+            const countersDiv = document.getElementById('progressCounters');
+            if (countersDiv) {
+                countersDiv.textContent = `Sweep: ${data.scanned} of ${data.total} addresses probed, ` +
+                    `${data.responsive} responsive`;
+            }
+            return;
+        }
+    }
+    
+    updateCounters(data.counters);
+}
+
 // Log message function
 function logMessage(level, message, save = true) {
     const selectedLevel = logLevelSelect.value;
@@ -239,7 +381,7 @@ function validateForm(formData) {
         return 'Please enter at least one seed device.';
     }
     
-    if (!formData.credentials) {
+    if (formData.credentialList.length === 0) {
         return 'Please enter at least one set of credentials.';
     }
     
@@ -280,7 +422,7 @@ function startDiscovery() {
     
     logMessage('info', 'Starting network discovery with the following configuration:');
     logMessage('info', `Seed Devices: ${formData.seedDevices}`);
-    logMessage('info', `Credentials: ${formData.credentials.split('\n').length} credential sets`);
+    logMessage('info', `Credentials: ${formData.credentialList.length} credential sets`);
     logMessage('info', `Max Hops: ${formData.maxHops}`);
     logMessage('info', `Exclusions: ${formData.exclusions || 'None'}`);
     logMessage('info', `Output File: ${formData.outputFile}`);
@@ -292,6 +434,46 @@ function startDiscovery() {
     });
 }
 
+// Resume the last interrupted discovery from its checkpoint
+function resumeDiscovery() {
+    clearLog();
+    logMessage('debug', 'Resume Last Discovery button clicked');
+    const formData = saveFormState();
+    
+    // Seeds come from the checkpoint, but credentials are never persisted there
+    if (formData.credentialList.length === 0) {
+        const validationError = 'Please enter at least one set of credentials.';
+        logMessage('error', `Validation error: ${validationError}`);
+        vscode.postMessage({
+            command: 'showError',
+            message: validationError
+        });
+        return;
+    }
+    
+    setFormEnabled(false);
+    createProgressContainer();
+    
+    state.isDiscovering = true;
+    vscode.setState(state);
+    
+    logMessage('info', `Resuming last discovery for: ${formData.outputFile}`);
+    
+    vscode.postMessage({
+        command: 'resumeDiscovery',
+        formData: formData
+    });
+}
+
+// Stop the running discovery; the extension answers with 'discoveryCancelled'
+function stopDiscovery() {
+    logMessage('warn', 'Stopping discovery...');
+    stopButton.disabled = true;
+    vscode.postMessage({
+        command: 'stopDiscovery'
+    });
+}
+
 // View existing topology
 function viewTopology() {
     logMessage('info', 'Opening file dialog to select topology file...');
@@ -300,6 +482,13 @@ function viewTopology() {
     });
 }
 
+// Ask the extension to pick a target list file for the seed box
+function loadSeedFile() {
+    vscode.postMessage({
+        command: 'loadSeedFile'
+    });
+}
+
 // Open settings panel
 function openSettings() {
     logMessage('info', 'Opening settings panel...');
@@ -310,7 +499,7 @@ function openSettings() {
 
 // Set form enabled/disabled state
 function setFormEnabled(enabled) {
-    const controls = document.querySelectorAll('input, textarea, button');
+    const controls = document.querySelectorAll('input, textarea, button, select');
     controls.forEach(control => {
         // Don't disable the log controls or settings button
         if (control !== logLevelSelect && 
@@ -320,6 +509,8 @@ function setFormEnabled(enabled) {
             control.disabled = !enabled;
         }
     });
+    // Stop is only useful while a discovery is running
+    stopButton.disabled = enabled;
 }
 
 // Initialize form when page loads
@@ -333,9 +524,12 @@ if (state.isDiscovering) {
 
 // Event listeners
 startButton.addEventListener('click', startDiscovery);
+resumeButton.addEventListener('click', resumeDiscovery);
+stopButton.addEventListener('click', stopDiscovery);
 viewTopologyButton.addEventListener('click', viewTopology);
 clearLogButton.addEventListener('click', clearLog);
 openSettingsButton.addEventListener('click', openSettings);
+loadSeedFileButton.addEventListener('click', loadSeedFile);
 
 // Log level change handler
 logLevelSelect.addEventListener('change', (e) => {
@@ -364,6 +558,18 @@ window.addEventListener('message', event => {
             updateProgress(message.message);
             break;
             
+        case 'discoveryEvent':
+            handleDiscoveryEvent(message.event, message.data);
+            break;
+            
+        case 'seedFileLoaded': {
+            const existing = seedDevicesInput.value.trim();
+            seedDevicesInput.value = (existing ? existing + '\n' : '') + message.entries.join('\n');
+            saveFormState();
+            logMessage('info', `Loaded ${message.entries.length} seed entries from file`);
+            break;
+        }
+            
         case 'log':
             logMessage(message.level || 'info', message.message);
             break;
@@ -384,6 +590,18 @@ window.addEventListener('message', event => {
             showResults(message.results);
             break;
             
+        case 'discoveryCancelled':
+            logMessage('warn', 'Discovery cancelled');
+            logMessage('info', `Devices scanned before stopping: ${message.results.successful} of ${message.results.totalDevices}`);
+            
+            // Enable form controls
+            setFormEnabled(true);
+            state.isDiscovering = false;
+            vscode.setState(state);
+            
+            showResults(message.results);
+            break;
+            
         case 'discoveryError':
             // Log error
             logMessage('error', `Discovery failed: ${message.error}`);
@@ -399,22 +617,61 @@ window.addEventListener('message', event => {
     }
 });
 
+// Show the key fields and adjust the password hint for the selected auth type
+function updateCredentialForm() {
+    const authType = credAuthTypeSelect.value;
+    credKeyRow.classList.toggle('hidden', authType !== 'key');
+    credPasswordInput.placeholder = authType === 'password' ? 'Password' : 'Password fallback (optional)';
+}
+
 // Add a new credential
 function addCredential() {
+    const authType = credAuthTypeSelect.value;
     const username = credUsernameInput.value.trim();
     const password = credPasswordInput.value.trim();
-    
-    if (!username || !password) {
+    const keyFile = credKeyFileInput.value.trim();
+    const keyPassphrase = credKeyPassphraseInput.value;
+    const enablePassword = credEnableInput.value;
+    // Subnets and hostname globs the credential is limited to
+    const scope = credScopeInput.value.split(',').map(entry => entry.trim()).filter(Boolean);
+    
+    if (!username) {
+        logMessage('error', 'Username is required');
+        return;
+    }
+    if (authType === 'password' && !password) {
         logMessage('error', 'Username and password are required');
         return;
     }
+    if (authType === 'key' && !keyFile) {
+        logMessage('error', 'Private key path is required for key authentication');
+        return;
+    }
     
-    // Add to credentials array
-    credentials.push({ username, password });
+    // Add to credentials array; a password on a key/agent credential is tried after it
+    const credential = { username, password };
+    if (authType === 'key') {
+        credential.keyFile = keyFile;
+        credential.keyPassphrase = keyPassphrase;
+    } else if (authType === 'agent') {
+        credential.useAgent = true;
+    }
+    // Used to leave a `>` user-exec prompt with `enable`
+    if (enablePassword) {
+        credential.enablePassword = enablePassword;
+    }
+    if (scope.length > 0) {
+        credential.scope = scope;
+    }
+    credentials.push(credential);
     
     // Clear inputs
     credUsernameInput.value = '';
     credPasswordInput.value = '';
+    credKeyFileInput.value = '';
+    credKeyPassphraseInput.value = '';
+    credEnableInput.value = '';
+    credScopeInput.value = '';
     
     // Refresh the list
     renderCredentialList();
@@ -463,7 +720,12 @@ function renderCredentialList() {
         
         const password = document.createElement('span');
         password.className = 'credential-password';
-        password.textContent = '•'.repeat(8); // Mask the password
+        const methods = [];
+        if (cred.keyFile) methods.push(`key ${cred.keyFile}`);
+        if (cred.useAgent) methods.push('agent');
+        if (cred.password) methods.push('•'.repeat(8)); // Mask the password
+        password.textContent = methods.join(' then ') + (cred.enablePassword ? ' + enable' : '') +
+            (cred.scope && cred.scope.length > 0 ? ` for ${cred.scope.join(', ')}` : '');
         
         const removeButton = document.createElement('button');
         removeButton.className = 'remove-cred-button';
@@ -480,9 +742,13 @@ function renderCredentialList() {
     });
 }
 
-// Convert credentials array to string format for backward compatibility
+// Convert credentials array to string format for backward compatibility.
+// Only password credentials can be expressed this way.
 function getCredentialsString() {
-    return credentials.map(cred => `${cred.username}:${cred.password}`).join('\n');
+    return credentials
+        .filter(cred => cred.password)
+        .map(cred => `${cred.username}:${cred.password}`)
+        .join('\n');
 }
 
 // Initialize credentials from string format (for backward compatibility)
@@ -507,6 +773,7 @@ function initializeCredentialsFromString(credString) {
 }
 // Add credential event listeners
 addCredButton.addEventListener('click', addCredential);
+credAuthTypeSelect.addEventListener('change', updateCredentialForm);
 
 // Also allow enter key to add credentials
 credPasswordInput.addEventListener('keypress', function(e) {
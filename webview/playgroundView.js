@@ -0,0 +1,199 @@
+// webview/playgroundView.js
+(function() {
+    // Initialize communication with VS Code
+    const vscode = acquireVsCodeApi();
+
+    const PARSE_DELAY_MS = 250;
+    const STARTER_TEMPLATE = [
+        'Value INTERFACE (\\S+)',
+        'Value STATUS (up|down)',
+        '',
+        'Start',
+        '  ^${INTERFACE}\\s+${STATUS} -> Record',
+        ''
+    ].join('\n');
+
+    // DOM elements
+    const rawText = document.getElementById('rawText');
+    const template = document.getElementById('template');
+    const gutter = document.getElementById('gutter');
+    const templateName = document.getElementById('templateName');
+    const templateError = document.getElementById('templateError');
+    const results = document.getElementById('results');
+    const recordCount = document.getElementById('recordCount');
+    const platform = document.getElementById('platform');
+    const command = document.getElementById('command');
+    const status = document.getElementById('status');
+
+    // Restore the last session; parses only apply if they answer the latest request
+    const state = vscode.getState() || { rawText: '', template: STARTER_TEMPLATE, platform: '', command: '' };
+    let parseTimer = null;
+    let parseId = 0;
+    let errorLine = null;
+
+    rawText.value = state.rawText;
+    template.value = state.template;
+    platform.value = state.platform;
+    command.value = state.command;
+
+    function saveState() {
+        vscode.setState({
+            rawText: rawText.value,
+            template: template.value,
+            platform: platform.value,
+            command: command.value
+        });
+    }
+
+    // Line numbers next to the template, with the failing line marked
+    function renderGutter() {
+        const count = template.value.split('\n').length;
+        gutter.textContent = '';
+        for (let line = 1; line <= count; line++) {
+            const number = document.createElement('div');
+            number.textContent = line;
+            if (line === errorLine) {
+                number.className = 'playground-error-line';
+            }
+            gutter.appendChild(number);
+        }
+        gutter.scrollTop = template.scrollTop;
+    }
+
+    function scheduleParse() {
+        saveState();
+        renderGutter();
+        clearTimeout(parseTimer);
+        parseTimer = setTimeout(() => {
+            parseId++;
+            status.textContent = 'Parsing...';
+            vscode.postMessage({
+                command: 'parse',
+                id: parseId,
+                template: template.value,
+                text: rawText.value
+            });
+        }, PARSE_DELAY_MS);
+    }
+
+    function formatCell(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => (item !== null && typeof item === 'object') ? JSON.stringify(item) : item).join('\n');
+        }
+        return value;
+    }
+
+    function renderResults(header, records) {
+        results.textContent = '';
+
+        const headRow = results.createTHead().insertRow();
+        header.forEach(name => {
+            const cell = document.createElement('th');
+            cell.textContent = name;
+            headRow.appendChild(cell);
+        });
+
+        const body = results.createTBody();
+        records.forEach(record => {
+            const row = body.insertRow();
+            record.forEach(value => {
+                row.insertCell().textContent = formatCell(value);
+            });
+        });
+
+        recordCount.textContent = `(${records.length})`;
+    }
+
+    function showError(message) {
+        templateError.textContent = errorLine ? `Line ${errorLine}: ${message}` : message;
+        templateError.classList.remove('hidden');
+    }
+
+    function clearError() {
+        templateError.textContent = '';
+        templateError.classList.add('hidden');
+    }
+
+    function handleParseResult(message) {
+        if (message.id !== parseId) {
+            return;
+        }
+        status.textContent = '';
+        errorLine = message.line || null;
+        renderGutter();
+
+        if (message.error) {
+            // Records from an earlier parse would read as this template's output
+            results.textContent = '';
+            recordCount.textContent = '';
+            showError(message.error);
+            return;
+        }
+
+        clearError();
+        renderResults(message.header, message.records);
+    }
+
+    rawText.addEventListener('input', scheduleParse);
+    template.addEventListener('input', scheduleParse);
+    platform.addEventListener('input', saveState);
+    command.addEventListener('input', saveState);
+    template.addEventListener('scroll', () => {
+        gutter.scrollTop = template.scrollTop;
+    });
+
+    // Keep Tab inside the template instead of moving focus
+    template.addEventListener('keydown', event => {
+        if (event.key === 'Tab') {
+            event.preventDefault();
+            const start = template.selectionStart;
+            template.setRangeText('  ', start, template.selectionEnd, 'end');
+            scheduleParse();
+        }
+    });
+
+    document.getElementById('openTemplate').addEventListener('click', () => {
+        vscode.postMessage({ command: 'openTemplate' });
+    });
+
+    document.getElementById('saveTemplate').addEventListener('click', () => {
+        vscode.postMessage({
+            command: 'saveTemplate',
+            template: template.value,
+            platform: platform.value,
+            command: command.value
+        });
+    });
+
+    // Handle messages from the extension
+    window.addEventListener('message', event => {
+        const message = event.data;
+
+        switch (message.command) {
+            case 'loadTemplate': {
+                template.value = message.template;
+                templateName.textContent = `(${message.name})`;
+                // <platform>_<command>.textfsm names fill in the save fields
+                const match = /^([a-z0-9]+_[a-z0-9]+)_(show_.+)\.textfsm$/i.exec(message.name);
+                if (match) {
+                    platform.value = match[1];
+                    command.value = match[2].replace(/_/g, ' ');
+                }
+                scheduleParse();
+                break;
+            }
+
+            case 'parseResult':
+                handleParseResult(message);
+                break;
+
+            case 'templateSaved':
+                templateName.textContent = `(${message.name})`;
+                status.textContent = `Saved ${message.name}`;
+                break;
+        }
+    });
+
+    vscode.postMessage({ command: 'ready' });
+    scheduleParse();
+})();
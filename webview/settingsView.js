@@ -51,6 +51,8 @@
         settings.maxHops = parseInt(document.getElementById('maxHops').value);
         settings.maxThreads = parseInt(document.getElementById('maxThreads').value);
         settings.scanTimeout = parseInt(document.getElementById('scanTimeout').value);
+        settings.sweepConcurrency = parseInt(document.getElementById('sweepConcurrency').value);
+        settings.sweepTimeout = parseInt(document.getElementById('sweepTimeout').value);
         
         // Send to extension
         vscode.postMessage({
@@ -103,6 +105,8 @@
         document.getElementById('maxHops').value = settings.maxHops || 4;
         document.getElementById('maxThreads').value = settings.maxThreads || 1;
         document.getElementById('scanTimeout').value = settings.scanTimeout || 60000;
+        document.getElementById('sweepConcurrency').value = settings.sweepConcurrency || 32;
+        document.getElementById('sweepTimeout').value = settings.sweepTimeout || 1000;
     }
     
     // Update path info display